@@ -16,6 +16,18 @@
 		return;
 	}
 
+	// Query flag turning on diagnostics (see Focus_Editor_UI::is_debug_enabled()).
+	const DEBUG_QUERY_FLAG = 'mwe_focus_debug';
+
+	/**
+	 * Check whether diagnostics were requested with the query flag.
+	 * Also works before the config has arrived.
+	 * @return {boolean}
+	 */
+	function isDebugRequested() {
+		return new URLSearchParams(window.location.search).has(DEBUG_QUERY_FLAG);
+	}
+
 	/**
 	 * Wait for config to be available.
 	 * Gives up after a reasonable timeout to avoid polling indefinitely.
@@ -28,7 +40,10 @@
 			if (typeof mweFocusPointEditor !== 'undefined') {
 				callback();
 			} else if (Date.now() - startTime > MAX_CONFIG_WAIT_MS) {
-				// Config never arrived — stop polling silently.
+				// Config never arrived — stop polling, silently unless debugging.
+				if (isDebugRequested()) {
+					console.error('MWE Focus Point Editor: Configuration not found after waiting');
+				}
 				return;
 			} else {
 				setTimeout(check, CONFIG_CHECK_INTERVAL_MS);
@@ -48,34 +63,226 @@
 		}
 
 		const config = mweFocusPointEditor;
-		const { ajaxUrl, nonce, postId, i18n } = config;
+		const { restUrl, restNonce, i18n } = config;
+
+		// Post (page, template or component) being edited. Etch can switch to
+		// another one without reloading the builder, see checkEditedPost().
+		let postId = parseInt(config.postId, 10) || 0;
+
+		// Breakpoints an override can hold a focus point for, largest first.
+		// Max-widths (px) come from the mwe_etchwp_focus_breakpoints filter.
+		const BREAKPOINTS = ['desktop', 'tablet', 'mobile'];
+		const breakpointWidths = Object.assign({ tablet: 1024, mobile: 767 }, config.breakpoints || {});
+
+		// Selectors and settings fields of the Etch UI, for the installed Etch
+		// version. Adapters come from Focus_UI_Adapters and can be added through
+		// the mwe_etchwp_focus_ui_adapters filter.
+		const uiAdapter = Object.assign({ selectors: {}, fields: {} }, config.uiAdapter || {});
+
+		// Breakpoint tab selected in the picker (kept when switching images).
+		let activeBreakpoint = 'desktop';
+
+		// Breakpoint the canvas was last rendered for (follows iframe width).
+		let canvasBreakpoint = null;
+
+		// Aspect ratios shown as crop previews next to the picker.
+		const CROP_PREVIEW_RATIOS = [
+			{ label: '16:9', ratio: 16 / 9 },
+			{ label: '1:1', ratio: 1 },
+			{ label: '4:5', ratio: 4 / 5 }
+		];
+
+		// Window for collecting focus data lookups into one batch request,
+		// and the maximum items per request (Focus_Ajax::MAX_BATCH_SIZE).
+		const BATCH_WINDOW_MS = 20;
+		const BATCH_MAX_SIZE = 200;
+
+		// localStorage key for the side the overview panel is docked to.
+		const OVERVIEW_DOCK_STORAGE_KEY = 'mweFocusOverviewDock';
+
+		// localStorage key of the focus point clipboard (shared across builder tabs).
+		const CLIPBOARD_STORAGE_KEY = 'mweFocusClipboard';
+
+		// Smallest focus area (% of the image) on each axis; smaller drags set a point.
+		const MIN_FOCUS_AREA_SIZE = 2;
+
+		// Zoom range for focus points; mirrors Focus_Ajax::MAX_ZOOM.
+		const MAX_ZOOM = 4;
+		const ZOOM_STEP = 0.05;
+
+		// Attributes marking component roots in the canvas, holding the component ID.
+		const COMPONENT_ID_ATTRIBUTES = ['data-etch-component-id', 'data-etch-ref', 'data-component-id'];
+
+		// Longest side (px) images are scaled to for focus point suggestions.
+		const SUGGEST_ANALYSIS_SIZE = 96;
+
+		// Interval for noticing a reloaded canvas, a re-mounted sidebar or a
+		// switch to another post in the builder.
+		const LIFECYCLE_CHECK_INTERVAL_MS = 1000;
+
+		// Events dispatched on the document for other plugins (see initPublicApi()).
+		const READY_EVENT = 'mwe:focus-ready';
+		const FOCUS_CHANGE_EVENT = 'mwe:focus-change';
+		const PANEL_INJECTED_EVENT = 'mwe:panel-injected';
+
+		// Idle time after the last arrow key before a keyboard edit is saved.
+		const KEYBOARD_COMMIT_DELAY_MS = 600;
+
+		// Delay before queued override changes are sent, so rapid edits
+		// are coalesced, and the backoff range for retrying failed saves.
+		const SAVE_DEBOUNCE_MS = 400;
+		const SAVE_RETRY_BASE_MS = 1000;
+		const SAVE_RETRY_MAX_MS = 30000;
+
+		// Number of override changes kept for undo.
+		const MAX_HISTORY = 100;
+
+		// Images we have set object-position on, so it can be cleared again.
+		const styledImages = new WeakSet();
+
+		// Images we have zoomed in on their focus point.
+		const zoomedImages = new WeakSet();
+
+		// Background image URL last seen per canvas element, to notice changes.
+		const backgroundImageUrls = new WeakMap();
+
+		// Canvas images rendered by a dynamic image loop (image -> loop key).
+		const loopImageScopes = new WeakMap();
 
 		// Cache for focus point overrides.
+		// Values are a string (desktop only) or an object keyed by breakpoint.
 		let overridesCache = {};
 
-		// Cache for global focus point AJAX responses (by URL).
+		// Legacy URL keys whose overrides are being moved to their current key.
+		const pendingUrlKeyMigrations = new Set();
+
+		// Cache for global focus point responses (by URL).
 		const globalFocusPointCache = new Map();
 
+		// Suggested focus points (promises, by image URL).
+		const suggestionCache = new Map();
+
+		// Unsaved override changes per image key, oldest first.
+		const saveQueue = new Map();
+		let saveFlushTimer = null;
+		let saveRetryTimer = null;
+		let saveRetryAttempt = 0;
+		let saveFlush = null;
+
+		// Override values before and after each change, for undo and redo.
+		const undoStack = [];
+		const redoStack = [];
+
+		// Diagnostics report, shown with ?mwe_focus_debug or MWE_ETCHWP_FOCUS_DEBUG.
+		const debugEnabled = Boolean(config.debug);
+		const MAX_DEBUG_ENTRIES = 20;
+		const DEBUG_RENDER_DELAY_MS = 250;
+		const diagnostics = {
+			panelCheck: null,
+			imageKey: null,
+			caches: {},
+			requests: [],
+			errors: []
+		};
+		let debugPanel = null;
+		let debugRenderTimer = null;
+
+		// Callbacks adding controls of other plugins to the picker.
+		const customControls = [];
+
 		/**
 		 * Initialize the focus point editor.
 		 */
 		function init() {
+			// Use focus data resolved while rendering the builder page.
+			seedPreloadedFocusData();
+
 			// Load existing overrides, then apply to iframe.
 			loadOverrides().then(() => {
 				applyFocusPointsToIframe();
 			});
 
-			// Watch for panel changes.
-			observePanelChanges();
-
 			// Listen for image selection in canvas.
 			observeCanvasSelection();
 
 			// Watch for src input changes in panel.
 			observeSrcInputChanges();
 
-			// Watch iframe for image changes.
-			observeIframeChanges();
+			// Page-wide overview panel (opened on demand).
+			initOverviewPanel();
+
+			// Crosshairs for editing directly on the canvas (toggled on demand).
+			initCanvasOverlay();
+
+			// Keep unsaved changes across connection drops and page unloads.
+			initSaveQueue();
+
+			// Watch the canvas iframe and sidebar, across reloads and re-mounts
+			// by Etch, and follow Etch when it switches to another post.
+			initLifecycle();
+
+			// Floating report for bug tickets (debug mode only).
+			initDiagnostics();
+
+			// window.mweFocusPoint and events for other plugins.
+			initPublicApi();
+
+			// Copies made in another builder tab enable pasting here.
+			window.addEventListener('storage', (e) => {
+				if (e.key === CLIPBOARD_STORAGE_KEY) {
+					updateClipboardButtons();
+				}
+			});
+		}
+
+		/**
+		 * Send a request to the plugin's REST routes (mwe/v1).
+		 * Works with and without pretty permalinks.
+		 * @param {string} path - Route below the namespace, e.g. "posts/12/focus-overrides"
+		 * @param {Object} [options]
+		 * @param {string} [options.method]
+		 * @param {Object|null} [options.body] - Sent as JSON
+		 * @param {Object} [options.query] - Query arguments
+		 * @return {Promise<Response>}
+		 */
+		function restRequest(path, { method = 'GET', body = null, query = {} } = {}) {
+			const url = new URL(restUrl + path, window.location.href);
+			for (const [name, value] of Object.entries(query)) {
+				url.searchParams.set(name, value);
+			}
+
+			const headers = { 'X-WP-Nonce': restNonce };
+			if (body) {
+				headers['Content-Type'] = 'application/json';
+			}
+
+			const request = fetch(url, {
+				method,
+				headers,
+				credentials: 'same-origin',
+				body: body ? JSON.stringify(body) : undefined
+			});
+
+			if (debugEnabled) {
+				const start = performance.now();
+				request.then(
+					(response) => recordRequest(method, path, response.status, performance.now() - start),
+					(e) => recordRequest(method, path, e.message || String(e), performance.now() - start)
+				);
+			}
+
+			return request;
+		}
+
+		/**
+		 * Get the REST route of the override of an image on a post.
+		 * Colons of scoped keys are kept, as they are valid in paths.
+		 * @param {string} imageKey
+		 * @param {number} [targetPostId] - Defaults to the current post
+		 * @return {string}
+		 */
+		function getOverrideRoute(imageKey, targetPostId = postId) {
+			return `posts/${targetPostId}/focus-overrides/${encodeURIComponent(imageKey).replace(/%3A/gi, ':')}`;
 		}
 
 		/**
@@ -84,20 +291,92 @@
 		async function loadOverrides() {
 			if (!postId) return;
 
+			const requestedPostId = postId;
 			try {
-				const response = await fetch(
-					`${ajaxUrl}?action=mwe_get_all_focus_overrides&post_id=${postId}&nonce=${nonce}`
-				);
+				const response = await restRequest(`posts/${requestedPostId}/focus-overrides`);
 				const data = await response.json();
 
-				if (data.success && data.data.overrides) {
-					overridesCache = data.data.overrides;
+				// Drop the response if Etch switched to another post meanwhile.
+				if (requestedPostId !== postId) return;
+
+				if (response.ok && data.overrides) {
+					overridesCache = data.overrides;
+					// Keep edits that have not reached the server yet.
+					reapplyQueuedChanges();
 				}
 			} catch (error) {
 				console.error('MWE Focus Point: Failed to load overrides', error);
 			}
 		}
 
+		/**
+		 * Get the ID of the post shown in the canvas. Etch passes it as
+		 * post_id query parameter to the canvas and the builder page.
+		 * @return {number} Post ID, or 0 if unknown.
+		 */
+		function getEditedPostId() {
+			const urls = [];
+			const iframe = getCanvasIframe();
+			if (iframe) {
+				try {
+					urls.push(iframe.contentWindow.location.href);
+				} catch (e) {
+					// Iframe not accessible
+					recordDiagnosticError('Canvas access', e);
+				}
+				urls.push(iframe.getAttribute('src') || '');
+			}
+			urls.push(window.location.href);
+
+			for (const url of urls) {
+				try {
+					const id = parseInt(new URL(url, window.location.href).searchParams.get('post_id'), 10);
+					if (id > 0) return id;
+				} catch (e) {
+					// Not a valid URL
+				}
+			}
+
+			return parseInt(config.postId, 10) || 0;
+		}
+
+		/**
+		 * Switch the editor when Etch has switched to another post, template
+		 * or component without reloading the builder.
+		 */
+		function checkEditedPost() {
+			const editedPostId = getEditedPostId();
+			if (editedPostId && editedPostId !== postId) {
+				switchEditedPost(editedPostId);
+			}
+		}
+
+		/**
+		 * Switch the editor to another post: reload its overrides and clear
+		 * the state of the previous post. Queued changes are still saved to
+		 * the post they were made on.
+		 * @param {number} nextPostId
+		 */
+		async function switchEditedPost(nextPostId) {
+			flushSaveQueue();
+
+			postId = nextPostId;
+			overridesCache = {};
+			undoStack.length = 0;
+			redoStack.length = 0;
+			updateHistoryButtons();
+			overviewJumpIndex.clear();
+
+			// The picker belongs to an element of the previous post.
+			document.querySelectorAll('.mwe-focus-point-container, .mwe-focus-point-notice, .mwe-focus-loop')
+				.forEach((el) => el.remove());
+			currentImageSrc = null;
+
+			await loadOverrides();
+			applyFocusPointsToIframe();
+			checkForImagePanel();
+		}
+
 		// Debounce timer for panel checks
 		let panelCheckTimer = null;
 
@@ -114,52 +393,106 @@
 			}, 50);
 		}
 
+		// Observers attached to the current canvas iframe and sidebar.
+		let canvasBinding = null;
+		let sidebarBinding = null;
+
 		/**
-		 * Observe changes to the Etch settings panel.
+		 * Keep the canvas and sidebar observers attached to the elements Etch
+		 * currently shows. Etch reloads the canvas and re-mounts the sidebar,
+		 * e.g. when switching posts, so the bindings are checked on iframe
+		 * load events, history navigation and periodically while the builder
+		 * tab is visible. Checks are cheap when nothing changed.
 		 */
-		function observePanelChanges() {
-			// Find the Etch sidebar container to observe more specifically
-			const findAndObserveSidebar = () => {
-				// Use Etch's actual class names
-				const sidebar = document.querySelector('.etch-sidebar, .etch-sidebar__content-wrapper');
-
-				if (sidebar) {
-					const observer = new MutationObserver((mutations) => {
-						// Only check if there are meaningful changes
-						let hasRelevantChange = false;
-						for (const mutation of mutations) {
-							if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-								hasRelevantChange = true;
-								break;
-							}
-						}
-						if (hasRelevantChange) {
-							debouncedPanelCheck();
-						}
-					});
+		function initLifecycle() {
+			// Load events of the canvas iframe don't bubble, but can be captured.
+			document.addEventListener('load', (e) => {
+				if (e.target.tagName === 'IFRAME') syncLifecycle();
+			}, true);
+			window.addEventListener('popstate', syncLifecycle);
+			document.addEventListener('visibilitychange', syncLifecycle);
+			setInterval(syncLifecycle, LIFECYCLE_CHECK_INTERVAL_MS);
+
+			syncLifecycle();
+		}
 
-					observer.observe(sidebar, {
-						childList: true,
-						subtree: true
-					});
-				} else {
-					// Fallback: observe body but with debouncing
-					const observer = new MutationObserver(() => {
-						debouncedPanelCheck();
-					});
+		/**
+		 * Re-attach stale observers and follow post switches.
+		 */
+		function syncLifecycle() {
+			if (document.hidden) return;
 
-					observer.observe(document.body, {
-						childList: true,
-						subtree: true
-					});
+			syncCanvasBinding();
+			syncSidebarBinding();
+			checkEditedPost();
+		}
+
+		/**
+		 * Attach the canvas observers to the current iframe document, replacing
+		 * those of a previous iframe or document, and apply focus points.
+		 */
+		function syncCanvasBinding() {
+			const iframe = getCanvasIframe();
+			let iframeDoc = null;
+			try {
+				iframeDoc = iframe ? iframe.contentDocument || iframe.contentWindow.document : null;
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+			}
+
+			const body = iframeDoc && iframeDoc.readyState !== 'loading' ? iframeDoc.body : null;
+			if (canvasBinding && canvasBinding.iframe === iframe && canvasBinding.body === body && iframe.isConnected) return;
+
+			if (canvasBinding) {
+				canvasBinding.disconnect();
+				canvasBinding = null;
+			}
+			if (!body) return;
+
+			canvasBinding = { iframe, body, disconnect: observeCanvas(iframe, iframeDoc) };
+
+			canvasBreakpoint = getCanvasBreakpoint();
+			applyFocusPointsToIframe();
+		}
+
+		/**
+		 * Attach the panel observer to the current sidebar, replacing that of
+		 * a previous sidebar, and show the picker in it.
+		 */
+		function syncSidebarBinding() {
+			const sidebar = queryUi('sidebar');
+			if (sidebarBinding && sidebarBinding.sidebar === sidebar && (!sidebar || sidebar.isConnected)) return;
+
+			if (sidebarBinding) {
+				sidebarBinding.disconnect();
+			}
+			sidebarBinding = { sidebar, disconnect: observePanel(sidebar) };
+
+			// The picker was removed with the previous sidebar.
+			currentImageSrc = null;
+			debouncedPanelCheck();
+		}
+
+		/**
+		 * Observe changes to the Etch settings panel.
+		 * @param {Element|null} sidebar - The sidebar, or null to observe the whole page
+		 * @return {Function} Disconnects the observer
+		 */
+		function observePanel(sidebar) {
+			const observer = new MutationObserver((mutations) => {
+				// Only check if there are meaningful changes
+				if (mutations.some((mutation) => mutation.type === 'childList' && mutation.addedNodes.length > 0)) {
+					debouncedPanelCheck();
 				}
-			};
+			});
 
-			// Try to find sidebar after a short delay
-			setTimeout(findAndObserveSidebar, 100);
+			observer.observe(sidebar || document.body, {
+				childList: true,
+				subtree: true
+			});
 
-			// Initial check.
-			setTimeout(checkForImagePanel, 500);
+			return () => observer.disconnect();
 		}
 
 		/**
@@ -183,7 +516,7 @@
 			// Use event delegation on document for input events
 			document.addEventListener('input', (e) => {
 				const input = e.target;
-				if (!input.matches || !input.matches('.etch-input')) return;
+				if (!input.matches || !matchesUi(input, 'panelInput')) return;
 
 				// Check if this input contains an image URL
 				if (isImageUrl(input.value)) {
@@ -198,7 +531,7 @@
 			// Also listen for change events (when input loses focus)
 			document.addEventListener('change', (e) => {
 				const input = e.target;
-				if (!input.matches || !input.matches('.etch-input')) return;
+				if (!input.matches || !matchesUi(input, 'panelInput')) return;
 
 				if (isImageUrl(input.value)) {
 					checkForImagePanel();
@@ -207,221 +540,858 @@
 		}
 
 		/**
-		 * Observe iframe for image changes and apply focus points.
+		 * Observe the canvas for image changes and apply focus points.
+		 * @param {HTMLIFrameElement} iframe
+		 * @param {Document} iframeDoc
+		 * @return {Function} Disconnects the observers and removes the listeners
 		 */
-		function observeIframeChanges() {
-			const checkIframe = () => {
-				const iframe = document.querySelector('iframe[title="Etch Iframe"]');
-				if (!iframe) {
-					setTimeout(checkIframe, 500);
-					return;
-				}
+		function observeCanvas(iframe, iframeDoc) {
+			// Re-apply when the canvas is resized across a breakpoint
+			// (e.g. switching Etch's device preview) or pictures switch sources.
+			let resizeObserver = null;
+			if (typeof ResizeObserver !== 'undefined') {
+				let pictureSources = getPictureSourceState(iframeDoc);
+				resizeObserver = new ResizeObserver(() => {
+					scheduleOverlayPosition();
+					const breakpoint = getCanvasBreakpoint();
+					const sources = getPictureSourceState(iframeDoc);
+					if (breakpoint !== canvasBreakpoint || sources !== pictureSources) {
+						canvasBreakpoint = breakpoint;
+						pictureSources = sources;
+						applyFocusPointsToIframe();
+					}
+				});
+				resizeObserver.observe(iframe);
+			}
 
-				try {
-					const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-					
-					// Apply focus points initially
-					applyFocusPointsToIframe();
+			// Observe iframe for image-related changes only
+			const observer = new MutationObserver((mutations) => {
+				let hasImageChange = false;
+
+				for (const mutation of mutations) {
+					// Check for src attribute changes on img or etch:img elements
+					if (mutation.type === 'attributes' &&
+						mutation.attributeName === 'src' &&
+						(mutation.target.tagName === 'IMG' || mutation.target.tagName === 'ETCH:IMG')) {
+						hasImageChange = true;
+						break;
+					}
+
+					// Check for changed sources of pictures
+					if (mutation.type === 'attributes' && mutation.target.tagName === 'SOURCE') {
+						hasImageChange = true;
+						break;
+					}
 
-					// Observe iframe for image-related changes only
-					const observer = new MutationObserver((mutations) => {
-						let hasImageChange = false;
+					// Check for background images set or changed inline or through classes
+					if (mutation.type === 'attributes' && mutation.attributeName !== 'src' &&
+						isBackgroundElement(mutation.target)) {
+						const url = getBackgroundImageUrl(mutation.target);
+						if (url !== (backgroundImageUrls.get(mutation.target) || null)) {
+							backgroundImageUrls.set(mutation.target, url);
+							hasImageChange = true;
+							break;
+						}
+					}
 
-						for (const mutation of mutations) {
-							// Check for src attribute changes on img or etch:img elements
-							if (mutation.type === 'attributes' &&
-								mutation.attributeName === 'src' &&
-								(mutation.target.tagName === 'IMG' || mutation.target.tagName === 'ETCH:IMG')) {
+					// Check for added img or etch:img elements, or elements with a background image
+					if (mutation.type === 'childList') {
+						for (const node of mutation.addedNodes) {
+							if (node.tagName === 'IMG' || node.tagName === 'ETCH:IMG' ||
+								(node.nodeType === Node.ELEMENT_NODE && getBackgroundImageUrl(node)) ||
+								(node.querySelectorAll && (node.querySelectorAll('img').length > 0 || node.querySelectorAll('etch\\:img').length > 0))) {
 								hasImageChange = true;
 								break;
 							}
+						}
+					}
 
-							// Check for added img or etch:img elements
-							if (mutation.type === 'childList') {
-								for (const node of mutation.addedNodes) {
-									if (node.tagName === 'IMG' || node.tagName === 'ETCH:IMG' ||
-										(node.querySelectorAll && (node.querySelectorAll('img').length > 0 || node.querySelectorAll('etch\\:img').length > 0))) {
-										hasImageChange = true;
-										break;
-									}
-								}
-							}
+					if (hasImageChange) break;
+				}
 
-							if (hasImageChange) break;
-						}
+				if (hasImageChange) {
+					applyFocusPointsToIframe();
+				}
+			});
 
-						if (hasImageChange) {
-							applyFocusPointsToIframe();
-						}
-					});
+			observer.observe(iframeDoc.body, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter: ['src', 'srcset', 'media', 'style', 'class']
+			});
 
-					observer.observe(iframeDoc.body, {
-						childList: true,
-						subtree: true,
-						attributes: true,
-						attributeFilter: ['src']
-					});
-				} catch (e) {
-					// Iframe not ready, try again
-					setTimeout(checkIframe, 500);
+			// Capture scrolling of the canvas and of nested scroll containers
+			iframeDoc.addEventListener('scroll', scheduleOverlayPosition, { capture: true, passive: true });
+
+			return () => {
+				observer.disconnect();
+				if (resizeObserver) {
+					resizeObserver.disconnect();
 				}
+				iframeDoc.removeEventListener('scroll', scheduleOverlayPosition, { capture: true });
 			};
+		}
 
-			checkIframe();
+		/**
+		 * Get which media queries of picture sources match the canvas.
+		 * @param {Document} iframeDoc
+		 * @return {string}
+		 */
+		function getPictureSourceState(iframeDoc) {
+			const view = iframeDoc.defaultView;
+			return [...iframeDoc.querySelectorAll('picture > source[media]')]
+				.map((source) => (view && view.matchMedia(source.media).matches ? '1' : '0'))
+				.join('');
 		}
 
 		/**
 		 * Apply focus points to all images in the Etch iframe.
 		 */
 		async function applyFocusPointsToIframe() {
-			const iframe = document.querySelector('iframe[title="Etch Iframe"]');
+			const iframe = getCanvasIframe();
 			if (!iframe) return;
 
 			try {
 				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-				// Select both standard img and etch:img elements
-				const images = iframeDoc.querySelectorAll('img, etch\\:img');
+				// Select img and etch:img elements and elements with a background image
+				const images = queryCanvasImages(iframeDoc);
 
 				// Process all images in parallel for better performance
-				await Promise.all([...images].map(img => applyFocusPointToImage(img)));
+				await Promise.all(images.map(img => applyFocusPointToImage(img)));
 			} catch (e) {
 				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
 			}
+
+			// Keep the overview panel and canvas overlay in sync with canvas and overrides
+			refreshOverviewPanel();
+			renderCanvasOverlay();
 		}
 
 		/**
-		 * Apply focus point to a single image.
+		 * Apply focus point to a single image, as background-position for background images.
 		 */
 		async function applyFocusPointToImage(img) {
-			const src = img.src;
-			if (!src || src.includes('data:')) return;
+			const property = isBackgroundElement(img) ? 'backgroundPosition' : 'objectPosition';
+			if (property === 'backgroundPosition') {
+				backgroundImageUrls.set(img, getBackgroundImageUrl(img));
+			}
+			const resolved = await resolveCanvasImage(img);
+			if (!resolved) return;
+
+			// Check for the most specific override first, then global, for the canvas breakpoint
+			const { scopeKeys, globalData } = await getCanvasImageScopes(img, resolved);
+			const focusPoint = resolveFocusPoint(
+				getScopedOverride(scopeKeys),
+				globalData,
+				canvasBreakpoint || getCanvasBreakpoint()
+			);
+
+			if (property === 'objectPosition') {
+				applyZoom(img, focusPoint);
+			}
 
-			// Fetch global data (includes attachment_id)
-			const globalData = await fetchGlobalFocusPoint(src);
-			const attachmentId = globalData?.attachmentId || null;
-			const globalFocusPoint = globalData?.focusPoint || null;
+			if (focusPoint && focusPoint !== '50% 50%') {
+				img.style[property] = toObjectPosition(focusPoint, img);
+				styledImages.add(img);
 
-			// Determine image key
-			const imageKey = attachmentId 
-				? `attachment_${attachmentId}` 
-				: 'url_' + md5(src);
+				// Areas depend on the natural size: apply again once loaded
+				if (parseArea(focusPoint) && img.tagName === 'IMG' && !img.complete) {
+					img.addEventListener('load', () => applyFocusPointToImage(img), { once: true });
+				}
+			} else if (styledImages.has(img)) {
+				// Override removed or breakpoint has no value - back to default
+				img.style[property] = '';
+				styledImages.delete(img);
+			}
+		}
 
-			// Check for override first, then global
-			const focusPoint = overridesCache[imageKey] || globalFocusPoint;
+		/**
+		 * Get the override keys that apply to a canvas image and the global focus
+		 * point they fall back to. The img of a picture shows the image of the
+		 * matching source, which uses the overrides of the source first, then
+		 * those of its image.
+		 * @param {Element} img
+		 * @param {{imageKey: string, globalData: Object|null}} resolved - From resolveCanvasImage()
+		 * @return {Promise<{scopeKeys: string[], pageKey: string, globalData: Object|null}>}
+		 *         Keys most specific first; pageKey is the page scope of the shown image.
+		 */
+		async function getCanvasImageScopes(img, resolved) {
+			const source = isBackgroundElement(img) ? null : getActivePictureSource(img);
+			const sourceImage = source ? await resolvePictureSource(source) : null;
+			const imageKeys = sourceImage
+				? [`${sourceImage.sourceKey}:${sourceImage.imageKey}`, sourceImage.imageKey]
+				: [resolved.imageKey];
+
+			return {
+				scopeKeys: imageKeys.flatMap((imageKey) => getOverrideScopes(img, loopImageScopes.get(img), imageKey)
+					.map((scope) => scope.key)
+					.reverse()),
+				pageKey: imageKeys[0],
+				globalData: sourceImage ? sourceImage.globalData : resolved.globalData
+			};
+		}
 
-			if (focusPoint && focusPoint !== '50% 50%') {
-				img.style.objectPosition = focusPoint;
-			}
+		/**
+		 * Get the elements in the canvas focus points apply to: img and etch:img
+		 * elements, then elements with a background image from the Media Library.
+		 * @param {Document} iframeDoc
+		 * @return {Element[]}
+		 */
+		function queryCanvasImages(iframeDoc) {
+			const images = [...iframeDoc.querySelectorAll('img, etch\\:img')];
+			const backgrounds = [...iframeDoc.body.querySelectorAll('*')]
+				.filter((el) => isBackgroundElement(el) && getBackgroundImageUrl(el));
+
+			return images.concat(backgrounds);
 		}
 
 		/**
-		 * Check if element is within Etch canvas.
+		 * Check whether a canvas element shows its image as background (not img or etch:img).
+		 * @param {Element} el
+		 * @return {boolean}
 		 */
-		function isInEtchCanvas(element) {
-			return element.closest('[data-etch-canvas]') !== null ||
-				   element.closest('.etch-canvas') !== null ||
-				   document.querySelector('[data-etch-builder]') !== null;
+		function isBackgroundElement(el) {
+			return el.tagName !== 'IMG' && el.tagName !== 'ETCH:IMG';
 		}
 
-		// Track the current image src to detect changes
-		let currentImageSrc = null;
+		/**
+		 * Get the Media Library image an element shows as background, from its
+		 * inline style or its classes.
+		 * @param {Element} el
+		 * @return {string|null} Image URL, or null if none.
+		 */
+		function getBackgroundImageUrl(el) {
+			const view = el.ownerDocument.defaultView;
+			const value = el.style.backgroundImage || (view ? view.getComputedStyle(el).backgroundImage : '');
+			const match = value && value.match(/url\(\s*(['"]?)(.*?)\1\s*\)/);
+
+			return match && match[2].includes('/wp-content/uploads/') ? match[2] : null;
+		}
 
 		/**
-		 * Check if an image settings panel is open and inject our UI.
+		 * Get the URL of the image a canvas element shows.
+		 * @param {Element} img - img, etch:img or background image element
+		 * @return {string|null}
 		 */
-		function checkForImagePanel() {
-			let panel = null;
-			let isEtchImageElement = false;
+		function getCanvasImageSrc(img) {
+			if (isBackgroundElement(img)) return getBackgroundImageUrl(img);
+			return img.src || img.getAttribute('src');
+		}
 
-			// Strategy 1: Check for etch:img panel - look for "WP Media ID" field
-			// Use Etch's actual class names: .etch-sidebar, .etch-sidebar__content-wrapper
-			const sidebar = document.querySelector('.etch-sidebar, .etch-sidebar__content-wrapper');
+		/**
+		 * Resolve a canvas image to its image key and global focus data.
+		 * @param {Element} img - img, etch:img or background image element in the Etch iframe
+		 * @return {Promise<{imageKey: string, globalData: Object|null}|null>}
+		 */
+		async function resolveCanvasImage(img) {
+			const src = getCanvasImageSrc(img);
+			if (!src || src.includes('data:')) return null;
 
-			// Dynamic Image element (etch/dynamic-image).
-			// Uniquely identified by its "src (Static URL - Optional/Fallback)" field.
-			// Its "WP Media ID" can hold a dynamic expression (e.g. {item.attachment_id})
-			// when used in a loop, which resolves to many different attachments and has no
-			// single image to target. Only show the picker when a fixed numeric Media ID is
-			// set; otherwise show an explanatory notice instead of a non-functional picker.
-			if (sidebar && isDynamicImagePanel(sidebar)) {
-				const fixedId = getDynamicImageFixedId(sidebar);
-				if (fixedId) {
-					// Fixed Media ID - reuse the etch:img picker path with this panel.
-					panel = sidebar;
-					isEtchImageElement = true;
-				} else {
-					// Loop expression or fallback-only - show notice, no picker.
-					// Remove any picker UI, but keep an existing notice to avoid an
-					// insert/observe feedback loop.
-					const existingPicker = document.querySelector('.mwe-focus-point-container');
-					if (existingPicker) {
-						existingPicker.remove();
-					}
-					if (!sidebar.querySelector('.mwe-focus-point-notice')) {
-						injectDynamicImageNotice(sidebar);
-					}
-					currentImageSrc = null;
-					return;
-				}
-			}
+			return resolveImageSrc(src);
+		}
 
-			if (sidebar && !panel) {
-				// Look for WP Media ID label - this is unique to etch:img elements
-				const allLabels = sidebar.querySelectorAll('label');
-				for (const label of allLabels) {
-					if (label.textContent && label.textContent.trim() === 'WP Media ID') {
-						// Found etch:img panel - use sidebar as the panel
-						panel = sidebar;
-						isEtchImageElement = true;
-						break;
-					}
-				}
-			}
+		/**
+		 * Resolve an image URL to its image key and global focus data.
+		 * @param {string} src
+		 * @return {Promise<{imageKey: string, globalData: Object|null}>}
+		 */
+		async function resolveImageSrc(src) {
+			// Fetch global data (includes attachment_id)
+			const globalData = await fetchGlobalFocusPoint(src);
+			const attachmentId = globalData?.attachmentId || null;
 
-			// Fallback: search in document if sidebar not found
-			if (!panel && !sidebar) {
-				const allLabels = document.querySelectorAll('label');
-				for (const label of allLabels) {
-					if (label.textContent && label.textContent.trim() === 'WP Media ID') {
-						panel = label.closest('.etch-sidebar, .etch-sidebar__content-wrapper, [class*="sidebar"]') || label.parentElement.parentElement.parentElement;
-						isEtchImageElement = true;
-						break;
-					}
-				}
+			// Determine image key
+			const imageKey = attachmentId
+				? `attachment_${attachmentId}`
+				: generateUrlKey(src);
+
+			if (!attachmentId) {
+				migrateLegacyUrlKey(src, imageKey);
 			}
 
-			// Strategy 2: Fall back to standard HTML block properties wrapper (for regular <img> tags)
-			if (!panel) {
-				panel = document.querySelector('.etch-html-block-properties-wrapper');
+			return { imageKey, globalData };
+		}
 
-				if (panel) {
-					// Verify this is for an image by checking if tag value is 'img'
-					const tagInput = panel.querySelector('input.etch-combobox__native-input, .etch-combobox__input-wrapper input, input[placeholder="Enter tag"]');
-					const tagValue = tagInput ? tagInput.value.toLowerCase() : '';
-					const isImageTag = tagValue === 'img';
+		/**
+		 * Move the overrides of an external image from its key before URL
+		 * normalization (MD5 of the raw URL) to its current key, in every scope.
+		 * Overrides already stored under the current key are kept.
+		 * @param {string} src - Image URL
+		 * @param {string} imageKey - Current image key of the URL
+		 */
+		async function migrateLegacyUrlKey(src, imageKey) {
+			const legacyKey = 'url_' + md5(src);
+			if (legacyKey === imageKey || !postId || pendingUrlKeyMigrations.has(legacyKey)) return;
+
+			const moves = Object.keys(overridesCache)
+				.filter((key) => key.slice(key.lastIndexOf(':') + 1) === legacyKey)
+				.map((key) => ({ from: key, to: key.slice(0, -legacyKey.length) + imageKey }))
+				.filter((move) => !overridesCache[move.to]);
+			if (!moves.length) return;
+
+			const items = moves.flatMap((move) => Object.entries(normalizeOverride(overridesCache[move.from]))
+				.map(([breakpoint, focusPoint]) => ({ image_key: move.to, focus_point: focusPoint, breakpoint })));
+
+			// Apply right away; the server keeps applying the legacy key until then.
+			for (const move of moves) {
+				overridesCache[move.to] = overridesCache[move.from];
+				delete overridesCache[move.from];
+			}
 
-					if (!isImageTag) {
-						removeExistingFocusUI();
-						currentImageSrc = null;
-						return;
-					}
+			const targetPostId = postId;
+			pendingUrlKeyMigrations.add(legacyKey);
+			try {
+				const saved = await restRequest(`posts/${targetPostId}/focus-overrides`, {
+					method: 'PUT',
+					body: { overrides: items }
+				});
+				if (!saved.ok) throw new Error(`HTTP ${saved.status}`);
+
+				await restRequest(`posts/${targetPostId}/focus-overrides`, {
+					method: 'DELETE',
+					body: { overrides: moves.map((move) => ({ image_key: move.from })) }
+				});
+			} catch (error) {
+				console.warn('MWE Focus Point: Failed to migrate overrides of', src, error);
+				for (const move of targetPostId === postId ? moves : []) {
+					overridesCache[move.from] = overridesCache[move.to];
+					delete overridesCache[move.to];
 				}
+			} finally {
+				pendingUrlKeyMigrations.delete(legacyKey);
 			}
+		}
 
-			if (!panel) {
-				// No panel, remove any existing UI and reset tracking
+		/**
+		 * Get the image URL of a picture source: the first srcset candidate,
+		 * or a src set on the source by mistake. Mirrors Helper::get_source_url().
+		 * @param {Element} source
+		 * @return {string|null} Absolute URL, or null if none.
+		 */
+		function getPictureSourceUrl(source) {
+			const value = (source.getAttribute('srcset') || source.getAttribute('src') || '').trim();
+			const url = value.split(/[\s,]+/)[0];
+			if (!url) return null;
+
+			try {
+				return new URL(url, source.ownerDocument.baseURI).href;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Get the source whose image the img of a picture shows: the first one
+		 * whose media query matches the canvas. Type support is not checked.
+		 * @param {Element} img
+		 * @return {Element|null} Null for images outside a picture and fallback images.
+		 */
+		function getActivePictureSource(img) {
+			const picture = img.parentElement;
+			if (!picture || picture.tagName !== 'PICTURE') return null;
+
+			const view = img.ownerDocument.defaultView;
+			return [...picture.children].find((el) => el.tagName === 'SOURCE'
+				&& getPictureSourceUrl(el)
+				&& (!el.media || (view && view.matchMedia(el.media).matches))) || null;
+		}
+
+		/**
+		 * Resolve a picture source to its image, image key and source key.
+		 * @param {Element} source
+		 * @return {Promise<{src: string, imageKey: string, sourceKey: string, globalData: Object|null}|null>}
+		 */
+		async function resolvePictureSource(source) {
+			const src = getPictureSourceUrl(source);
+			if (!src) return null;
+
+			const { imageKey, globalData } = await resolveImageSrc(src);
+			return { src, imageKey, sourceKey: generateSourceKey(source.getAttribute('media') || ''), globalData };
+		}
+
+		/**
+		 * Find all images in the Etch iframe that resolve to an image key.
+		 * @param {string} imageKey
+		 * @return {Promise<Element[]>}
+		 */
+		async function findCanvasImages(imageKey) {
+			const iframe = getCanvasIframe();
+			if (!iframe) return [];
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				const images = queryCanvasImages(iframeDoc);
+				const resolved = await Promise.all(images.map(resolveCanvasImage));
+				return images.filter((img, i) => resolved[i]?.imageKey === imageKey);
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return [];
+			}
+		}
+
+		/**
+		 * Get the breakpoint matching the current Etch iframe width.
+		 * @return {string} 'desktop', 'tablet' or 'mobile'
+		 */
+		function getCanvasBreakpoint() {
+			const iframe = getCanvasIframe();
+			const width = iframe ? iframe.clientWidth : window.innerWidth;
+
+			if (width <= breakpointWidths.mobile) return 'mobile';
+			if (width <= breakpointWidths.tablet) return 'tablet';
+			return 'desktop';
+		}
+
+		/**
+		 * Normalize a stored override to an object keyed by breakpoint.
+		 * Plain strings are desktop-only overrides.
+		 * @param {string|Object|null} value
+		 * @return {Object}
+		 */
+		function normalizeOverride(value) {
+			if (!value) return {};
+			if (typeof value === 'string') return { desktop: value };
+
+			const record = {};
+			for (const breakpoint of BREAKPOINTS) {
+				if (value[breakpoint]) record[breakpoint] = value[breakpoint];
+			}
+			return record;
+		}
+
+		/**
+		 * Get the first override found for a list of image keys.
+		 * @param {string[]} imageKeys - Scoped keys, most specific first
+		 * @return {string|Object|null}
+		 */
+		function getScopedOverride(imageKeys) {
+			const imageKey = imageKeys.find((key) => overridesCache[key]);
+			return imageKey ? overridesCache[imageKey] : null;
+		}
+
+		/**
+		 * Get the scopes an override of a canvas image can be saved for, broadest first:
+		 * the page, the loop, and per enclosing component (outermost first) every
+		 * use of the component and this instance. The most specific scope with an
+		 * override wins. Mirrors Focus_Position::get_scoped_override().
+		 * @param {Element|null} img - Canvas image, if known
+		 * @param {string|null} loopKey - Loop key of a dynamic image in a loop
+		 * @param {string} imageKey - Page-level image key
+		 * @return {{key: string, label: string}[]}
+		 */
+		function getOverrideScopes(img, loopKey, imageKey) {
+			const scopes = [{ key: imageKey, label: i18n.thisPage || 'This page' }];
+
+			if (loopKey) {
+				scopes.push({ key: `${loopKey}:${imageKey}`, label: i18n.pageAndLoop || 'This page + loop' });
+			}
+
+			for (const component of (img ? getCanvasComponents(img) : []).reverse()) {
+				scopes.push({
+					key: `component_${component.id}:${imageKey}`,
+					label: i18n.allComponentUses || 'Every use of this component'
+				});
+				scopes.push({
+					key: `component_${component.id}_${component.instance}:${imageKey}`,
+					label: i18n.thisInstance || 'This component instance'
+				});
+			}
+
+			return scopes;
+		}
+
+		/**
+		 * Get the components a canvas image is rendered in, innermost first.
+		 * Instances are numbered per component in document order, starting at 1,
+		 * like Focus_Position::enter_component() numbers them when rendering.
+		 * @param {Element} img
+		 * @return {{id: number, instance: number}[]}
+		 */
+		function getCanvasComponents(img) {
+			const selector = COMPONENT_ID_ATTRIBUTES.map((attribute) => `[${attribute}]`).join(', ');
+			const components = [];
+
+			for (let root = img.closest(selector); root; root = root.parentElement?.closest(selector)) {
+				const attribute = COMPONENT_ID_ATTRIBUTES.find((name) => root.hasAttribute(name));
+				const id = parseInt(root.getAttribute(attribute), 10);
+				if (!id) continue;
+
+				const instances = [...root.ownerDocument.querySelectorAll(`[${attribute}="${root.getAttribute(attribute)}"]`)];
+				components.push({ id, instance: instances.indexOf(root) + 1 });
+			}
+
+			return components;
+		}
+
+		/**
+		 * Generate the loop key for a dynamic Media ID expression.
+		 * Matches Focus_Ajax::generate_loop_key().
+		 * @param {string} expression - e.g. "{item.image.id}"
+		 * @return {string}
+		 */
+		function generateLoopKey(expression) {
+			return 'loop_' + md5(expression.replace(/\s+/g, ''));
+		}
+
+		/**
+		 * Generate the source key for the media query of a picture source.
+		 * Matches Focus_Ajax::generate_source_key().
+		 * @param {string} media - e.g. "(max-width: 600px)", empty if none
+		 * @return {string}
+		 */
+		function generateSourceKey(media) {
+			return 'source_' + md5(media.replace(/\s+/g, ''));
+		}
+
+		/**
+		 * Generate the image key of an external image URL.
+		 * Matches Focus_Ajax::generate_url_key().
+		 * @param {string} src - Image URL
+		 * @return {string}
+		 */
+		function generateUrlKey(src) {
+			return 'url_' + md5(normalizeImageUrl(src));
+		}
+
+		/**
+		 * Normalize an image URL for its image key: the decoded path, without
+		 * scheme, host, query string, fragment and size suffixes ("-1440x960",
+		 * "-scaled"). Mirrors Focus_Ajax::normalize_url(). Works on the UTF-8
+		 * bytes like PHP does, so the result is a byte string for md5().
+		 * @param {string} url
+		 * @return {string}
+		 */
+		function normalizeImageUrl(url) {
+			const bytes = String.fromCharCode(...new TextEncoder().encode(url.trim()));
+			const path = bytes
+				.replace(/^(?:[a-z][a-z0-9+.-]*:)?\/\/[^/?#]*/i, '')
+				.replace(/[?#][\s\S]*$/, '')
+				.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+				.replace(/(?:-\d+x\d+|-scaled)+(\.[a-z0-9]+)$/i, '$1');
+
+			return path !== '' ? path : bytes;
+		}
+
+		/**
+		 * Resolve the focus point for a breakpoint.
+		 * Smaller breakpoints inherit from larger ones; the override wins over
+		 * the Media Library value. Mirrors Focus_Position::resolve_breakpoint_positions().
+		 * @param {string|Object|null} override - Stored override value
+		 * @param {Object|null} globalData - { focusPoint, focusPointMobile }
+		 * @param {string} breakpoint
+		 * @return {string|null}
+		 */
+		function resolveFocusPoint(override, globalData, breakpoint) {
+			const o = normalizeOverride(override);
+			const globalDesktop = globalData?.focusPoint || null;
+			const globalMobile = globalData?.focusPointMobile || null;
+
+			const chains = {
+				desktop: [o.desktop, globalDesktop],
+				tablet: [o.tablet, o.desktop, globalDesktop],
+				mobile: [o.mobile, o.tablet, o.desktop, globalMobile, globalDesktop]
+			};
+
+			return (chains[breakpoint] || chains.desktop).find(Boolean) || null;
+		}
+
+		/**
+		 * Get a selector of the UI adapter.
+		 * @param {string} name - e.g. "sidebar"
+		 * @return {string} Empty if the adapter has none.
+		 */
+		function getUiSelector(name) {
+			return uiAdapter.selectors[name] || '';
+		}
+
+		/**
+		 * Find all elements matching a selector of the UI adapter.
+		 * Invalid selectors of custom adapters match nothing.
+		 * @param {string} name
+		 * @param {Document|Element} [root]
+		 * @return {Element[]}
+		 */
+		function queryAllUi(name, root = document) {
+			return querySelectorSafe(root, getUiSelector(name), true);
+		}
+
+		/**
+		 * Find the first element matching a selector of the UI adapter.
+		 * @param {string} name
+		 * @param {Document|Element} [root]
+		 * @return {Element|null}
+		 */
+		function queryUi(name, root = document) {
+			return querySelectorSafe(root, getUiSelector(name), false);
+		}
+
+		/**
+		 * Check whether an element matches a selector of the UI adapter.
+		 * @param {Element} element
+		 * @param {string} name
+		 * @return {boolean}
+		 */
+		function matchesUi(element, name) {
+			try {
+				return Boolean(getUiSelector(name)) && element.matches(getUiSelector(name));
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Find the closest ancestor matching a selector of the UI adapter.
+		 * @param {Element} element
+		 * @param {string} name
+		 * @return {Element|null}
+		 */
+		function closestUi(element, name) {
+			try {
+				return getUiSelector(name) ? element.closest(getUiSelector(name)) : null;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Run a selector that may come from a custom adapter.
+		 * @param {Document|Element} root
+		 * @param {string} selector
+		 * @param {boolean} all
+		 * @return {Element[]|Element|null}
+		 */
+		function querySelectorSafe(root, selector, all) {
+			try {
+				if (selector) {
+					return all ? [...root.querySelectorAll(selector)] : root.querySelector(selector);
+				}
+			} catch (e) {
+				console.warn('MWE Focus Point: Invalid selector in UI adapter', selector);
+			}
+			return all ? [] : null;
+		}
+
+		/**
+		 * Get the canvas iframe of the builder.
+		 * @return {HTMLIFrameElement|null}
+		 */
+		function getCanvasIframe() {
+			return queryUi('canvasIframe');
+		}
+
+		/**
+		 * Find a settings field described by the UI adapter. Fields are found
+		 * by their selector, then by their keys (identifiers such as the name
+		 * or id of the input), which don't depend on the admin language, and
+		 * only then by their label in English or the admin language.
+		 * @param {string} name - e.g. "mediaId"
+		 * @param {Document|Element} scope
+		 * @return {{input: HTMLInputElement|null, container: Element, matchedBy: string}|null}
+		 */
+		function findUiField(name, scope) {
+			const field = uiAdapter.fields[name];
+			if (!field || !scope) return null;
+
+			const getContainer = (element) => closestUi(element, 'fieldContainer') || element.parentElement;
+
+			const input = querySelectorSafe(scope, field.selector || '', false);
+			if (input) {
+				return { input, container: getContainer(input) || input, matchedBy: 'selector' };
+			}
+
+			const keyed = findUiFieldByKey(field.keys || [], scope);
+			if (keyed) {
+				return { input: keyed, container: getContainer(keyed) || keyed, matchedBy: 'key' };
+			}
+
+			const labels = (field.labels || []).map(normalizeLabel);
+			if (!labels.length) return null;
+
+			for (const label of queryAllUi('fieldLabel', scope)) {
+				if (!labels.includes(normalizeLabel(label.textContent))) continue;
+				const container = getContainer(label) || label;
+				return { input: container.querySelector('input'), container, matchedBy: 'label' };
+			}
+
+			return null;
+		}
+
+		/**
+		 * Find the input of a field by an identifier in one of the key attributes
+		 * of the adapter, on the input itself, a label pointing to it or a
+		 * container around it. "media_id" and "mediaId" are the same key.
+		 * @param {string[]} keys
+		 * @param {Document|Element} scope
+		 * @return {HTMLInputElement|null}
+		 */
+		function findUiFieldByKey(keys, scope) {
+			const normalizeKey = (value) => (value || '').replace(/[^a-z0-9]/gi, '').toLowerCase();
+			const wanted = keys.map(normalizeKey).filter(Boolean);
+			const attributes = (uiAdapter.keyAttributes || []).filter((attribute) => /^[a-z][a-z0-9-]*$/i.test(attribute));
+			if (!wanted.length || !attributes.length) return null;
+
+			const candidates = scope.querySelectorAll(attributes.map((attribute) => `[${attribute}]`).join(', '));
+			for (const element of candidates) {
+				if (!attributes.some((attribute) => wanted.includes(normalizeKey(element.getAttribute(attribute))))) continue;
+
+				const input = element.matches('input')
+					? element
+					: (element.htmlFor && element.ownerDocument.getElementById(element.htmlFor)) || element.querySelector('input');
+				if (input && input.matches('input')) return input;
+			}
+
+			return null;
+		}
+
+		/**
+		 * Normalize a label text for comparison.
+		 * @param {string|null} text
+		 * @return {string}
+		 */
+		function normalizeLabel(text) {
+			return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+		}
+
+		/**
+		 * Check if element is within Etch canvas.
+		 */
+		function isInEtchCanvas(element) {
+			return closestUi(element, 'canvasRoot') !== null ||
+				   queryUi('builderRoot') !== null;
+		}
+
+		// Track the current image src to detect changes
+		let currentImageSrc = null;
+
+		/**
+		 * Check if an image settings panel is open and inject our UI.
+		 */
+		function checkForImagePanel() {
+			let panel = null;
+			let isEtchImageElement = false;
+
+			// Strategy 1: Check for etch:img panel - look for the Media ID field
+			const sidebar = queryUi('sidebar');
+
+			// Dynamic Image element (etch/dynamic-image).
+			// Uniquely identified by its fallback URL field.
+			// Its "WP Media ID" can hold a dynamic expression (e.g. {item.attachment_id})
+			// when used in a loop, which resolves to many different attachments and has no
+			// single image to target. Show the picker when a fixed numeric Media ID is set,
+			// the images the loop resolves to for an expression, and a notice otherwise.
+			if (sidebar && isDynamicImagePanel(sidebar)) {
+				const fixedId = getDynamicImageFixedId(sidebar);
+				const expression = fixedId ? null : getDynamicImageExpression(sidebar);
+				if (fixedId) {
+					// Fixed Media ID - reuse the etch:img picker path with this panel.
+					panel = sidebar;
+					isEtchImageElement = true;
+				} else if (expression) {
+					// Loop expression - keep the loop UI (and a picker opened from it)
+					// while the expression is unchanged.
+					const existingLoop = sidebar.querySelector('.mwe-focus-loop');
+					if (existingLoop && existingLoop.dataset.expression === expression) {
+						recordPanelCheck('skipped', 'Dynamic image loop unchanged');
+						return;
+					}
+					removeExistingFocusUI();
+					currentImageSrc = null;
+					injectLoopFocusUI(sidebar, expression);
+					recordPanelCheck('injected', `Dynamic image loop (${expression})`);
+					return;
+				} else {
+					// Fallback-only - show notice, no picker.
+					// Remove any picker or loop UI, but keep an existing notice to avoid an
+					// insert/observe feedback loop.
+					document.querySelectorAll('.mwe-focus-point-container, .mwe-focus-loop')
+						.forEach((el) => el.remove());
+					if (!sidebar.querySelector('.mwe-focus-point-notice')) {
+						injectDynamicImageNotice(sidebar);
+					}
+					currentImageSrc = null;
+					recordPanelCheck('skipped', 'Dynamic image without a fixed Media ID or loop expression (notice shown)');
+					return;
+				}
+			}
+
+			// The Media ID field is unique to etch:img elements - use sidebar as the panel
+			if (sidebar && !panel && findUiField('mediaId', sidebar)) {
+				panel = sidebar;
+				isEtchImageElement = true;
+			}
+
+			// Fallback: search in document if sidebar not found
+			if (!panel && !sidebar) {
+				const mediaIdField = findUiField('mediaId', document);
+				if (mediaIdField) {
+					const { container } = mediaIdField;
+					panel = closestUi(container, 'sidebar') || closestUi(container, 'sidebarFallback')
+						|| container.parentElement?.parentElement?.parentElement
+						|| container;
+					isEtchImageElement = true;
+				}
+			}
+
+			// Strategy 2: Fall back to standard HTML block properties wrapper (for regular <img> tags)
+			// Other elements get the picker when they have a background image from the Media Library.
+			let backgroundImage = null;
+			if (!panel) {
+				panel = queryUi('elementPanel');
+
+				if (panel) {
+					// Verify this is for an image by checking if tag value is 'img'
+					const tagInput = queryUi('tagInput', panel);
+					const tagValue = tagInput ? tagInput.value.toLowerCase() : '';
+					const isImageTag = tagValue === 'img';
+
+					// Pictures get a focus point per source. Selecting the picture, one
+					// of its sources or its img shows the list of sources.
+					const picture = ['img', 'picture', 'source'].includes(tagValue) ? getSelectedPicture() : null;
+					if (picture) {
+						const signature = getPictureSignature(picture);
+						const existing = panel.querySelector('.mwe-focus-picture');
+						if (existing && existing.dataset.signature === signature) {
+							recordPanelCheck('skipped', 'Picture unchanged');
+							return;
+						}
+						removeExistingFocusUI();
+						currentImageSrc = null;
+						injectPictureFocusUI(panel, picture, signature);
+						recordPanelCheck('injected', 'Picture sources');
+						return;
+					}
+
+					backgroundImage = isImageTag ? null : getSelectedBackgroundImage();
+					if (!isImageTag && !backgroundImage) {
+						removeExistingFocusUI();
+						currentImageSrc = null;
+						recordPanelCheck('skipped', `Element is not an image and has no Media Library background (tag "${tagValue}")`);
+						return;
+					}
+				}
+			}
+
+			if (!panel) {
+				// No panel, remove any existing UI and reset tracking
 				removeExistingFocusUI();
 				currentImageSrc = null;
+				recordPanelCheck('skipped', sidebar
+					? 'No Media ID field or element panel found in the sidebar'
+					: 'No sidebar or element panel found');
 				return;
 			}
 
 			// Check if we already have UI injected for this panel
 			if (panel.querySelector('.mwe-focus-point-container')) {
 				// UI already exists, check if we need to update it
-				const selectedImage = getSelectedImage(isEtchImageElement, panel);
+				const selectedImage = backgroundImage || getSelectedImage(isEtchImageElement, panel);
 				if (!selectedImage) {
 					removeExistingFocusUI();
 					currentImageSrc = null;
+					recordPanelCheck('skipped', 'No selected image found');
 					return;
 				}
 
@@ -431,15 +1401,17 @@
 
 				// Only rebuild if image actually changed
 				if (newImageKey === currentImageSrc) {
+					recordPanelCheck('skipped', 'Image unchanged');
 					return; // No change, keep existing UI
 				}
 			}
 
 			// Get the currently selected image.
-			const selectedImage = getSelectedImage(isEtchImageElement, panel);
+			const selectedImage = backgroundImage || getSelectedImage(isEtchImageElement, panel);
 			if (!selectedImage) {
 				removeExistingFocusUI();
 				currentImageSrc = null;
+				recordPanelCheck('skipped', 'No selected image found');
 				return;
 			}
 
@@ -453,6 +1425,9 @@
 				removeExistingFocusUI();
 				currentImageSrc = newImageKey;
 				injectFocusPointUI(panel, selectedImage, isEtchImageElement);
+				recordPanelCheck('injected', isEtchImageElement ? 'Etch image' : selectedImage.isBackground ? 'Background image' : 'Image');
+			} else {
+				recordPanelCheck('skipped', 'Image unchanged');
 			}
 		}
 
@@ -471,13 +1446,7 @@
 		 * @return {boolean}
 		 */
 		function isDynamicImagePanel(scope) {
-			const labels = scope.querySelectorAll('label');
-			for (const label of labels) {
-				if (label.textContent && label.textContent.trim() === 'src (Static URL - Optional/Fallback)') {
-					return true;
-				}
-			}
-			return false;
+			return findUiField('dynamicImageSrc', scope) !== null;
 		}
 
 		/**
@@ -488,56 +1457,316 @@
 		 * @return {number|null}
 		 */
 		function getDynamicImageFixedId(scope) {
-			const labels = scope.querySelectorAll('label');
-			for (const label of labels) {
-				if (label.textContent && label.textContent.trim() === 'WP Media ID') {
-					const container = label.closest('label, [class*="field"], [class*="control"]') || label.parentElement;
-					const input = container ? container.querySelector('input') : null;
-					if (input) {
-						const value = (input.value || '').trim();
-						if (/^\d+$/.test(value)) {
-							return parseInt(value, 10);
-						}
-					}
-					return null;
-				}
-			}
-			return null;
+			const input = findUiField('mediaId', scope)?.input;
+			const value = input ? (input.value || '').trim() : '';
+			return /^\d+$/.test(value) ? parseInt(value, 10) : null;
 		}
 
 		/**
-		 * Inject an explanatory notice into a Dynamic Image panel when no fixed
-		 * Media ID is set. Tells the user where to set focus points for dynamic images.
-		 * @param {Element} panel - The panel element to inject into.
+		 * Get the dynamic expression (e.g. {item.image.id}) from the WP Media ID
+		 * field of a Dynamic Image panel.
+		 * @param {Element} scope - Element to search within.
+		 * @return {string|null}
 		 */
-		function injectDynamicImageNotice(panel) {
-			const notice = document.createElement('div');
-			notice.className = 'mwe-focus-point-notice';
-
-			const title = document.createElement('span');
-			title.className = 'mwe-focus-point-notice-title';
-			title.textContent = i18n.focusPoint;
-
-			const text = document.createElement('p');
-			text.className = 'mwe-focus-point-notice-text';
-			text.textContent = i18n.dynamicImageNotice
-				|| 'This dynamic image resolves to different images. Set the focus point per image in the Media Library.';
-
-			notice.appendChild(title);
-			notice.appendChild(text);
-
-			const insertionPoint = findInsertionPoint(panel);
-			if (insertionPoint) {
-				insertionPoint.parentNode.insertBefore(notice, insertionPoint.nextSibling);
-			} else {
-				panel.appendChild(notice);
-			}
+		function getDynamicImageExpression(scope) {
+			const input = findUiField('mediaId', scope)?.input;
+			const value = input ? (input.value || '').trim() : '';
+			return /^\{[^{}]+\}$/.test(value) ? value : null;
 		}
 
-
-
 		/**
-		 * Check if a string looks like an image URL.
+		 * Get the image selected in the Etch canvas.
+		 * @return {Element|null}
+		 */
+		function getSelectedCanvasImage() {
+			const iframe = getCanvasIframe();
+			if (!iframe) return null;
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				for (const selected of queryAllUi('canvasSelected', iframeDoc)) {
+					const img = selected.tagName === 'IMG' ? selected : selected.querySelector('img');
+					if (img) return img;
+				}
+				return null;
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return null;
+			}
+		}
+
+		/**
+		 * Get the background image of the element selected in the Etch canvas.
+		 * @return {{src: string, isBackground: boolean, canvasImage: Element}|null}
+		 */
+		function getSelectedBackgroundImage() {
+			const iframe = getCanvasIframe();
+			if (!iframe) return null;
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				const selected = queryUi('canvasSelected', iframeDoc);
+				const src = selected && isBackgroundElement(selected) ? getBackgroundImageUrl(selected) : null;
+				return src ? { src, isBackground: true, canvasImage: selected } : null;
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return null;
+			}
+		}
+
+		/**
+		 * Get the picture selected in the Etch canvas, or containing the selected
+		 * source or img.
+		 * @return {Element|null}
+		 */
+		function getSelectedPicture() {
+			const iframe = getCanvasIframe();
+			if (!iframe) return null;
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				const selected = queryUi('canvasSelected', iframeDoc);
+				const picture = selected ? selected.closest('picture') : null;
+				return picture || getSelectedCanvasImage()?.closest('picture') || null;
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return null;
+			}
+		}
+
+		/**
+		 * Identify a picture and its sources, to rebuild the picture UI when they change.
+		 * @param {Element} picture
+		 * @return {string}
+		 */
+		function getPictureSignature(picture) {
+			const index = [...picture.ownerDocument.querySelectorAll('picture')].indexOf(picture);
+			const children = [...picture.children].map((el) => [
+				el.tagName,
+				el.getAttribute('media') || '',
+				el.getAttribute('srcset') || el.getAttribute('src') || ''
+			].join('|'));
+
+			return [index, ...children].join('\n');
+		}
+
+		/**
+		 * Inject the source picker for a picture: lists each source with its
+		 * media query and the fallback image, each opening the focus point picker
+		 * for that image. Sources store their overrides under their source key.
+		 * @param {Element} panel - The panel element to inject into.
+		 * @param {Element} picture - The picture in the canvas.
+		 * @param {string} signature - See getPictureSignature().
+		 */
+		function injectPictureFocusUI(panel, picture, signature) {
+			const notice = document.createElement('div');
+			notice.className = 'mwe-focus-point-notice mwe-focus-picture';
+			notice.dataset.signature = signature;
+
+			const title = document.createElement('span');
+			title.className = 'mwe-focus-point-notice-title';
+			title.textContent = i18n.focusPoint;
+
+			const text = document.createElement('p');
+			text.className = 'mwe-focus-point-notice-text';
+			text.textContent = i18n.pictureSourcesHint || 'Select a source of this picture to set its focus point.';
+
+			const list = document.createElement('div');
+			list.className = 'mwe-focus-picture-sources';
+
+			notice.appendChild(title);
+			notice.appendChild(text);
+			notice.appendChild(list);
+
+			const insertionPoint = findInsertionPoint(panel);
+			if (insertionPoint) {
+				insertionPoint.parentNode.insertBefore(notice, insertionPoint.nextSibling);
+			} else {
+				panel.appendChild(notice);
+			}
+
+			const img = [...picture.children].find((el) => el.tagName === 'IMG') || null;
+			const sources = [...picture.children].filter((el) => el.tagName === 'SOURCE' && getPictureSourceUrl(el));
+			const fallbackSrc = img ? getCanvasImageSrc(img) : null;
+
+			Promise.all([
+				...sources.map(resolvePictureSource),
+				fallbackSrc ? resolveImageSrc(fallbackSrc).then((entry) => ({ ...entry, src: fallbackSrc, sourceKey: null })) : null
+			]).then((resolved) => {
+				resolved.forEach((entry, i) => {
+					if (!entry || !notice.isConnected) return;
+
+					const media = sources[i] ? sources[i].getAttribute('media') || '' : null;
+					const button = document.createElement('button');
+					button.type = 'button';
+					button.className = 'mwe-focus-picture-source';
+					button.title = entry.src.split('/').pop();
+					button.innerHTML = '<img alt=""><span></span>';
+					button.querySelector('img').src = entry.src;
+					button.querySelector('span').textContent = media === null
+						? i18n.pictureFallback || 'Fallback image'
+						: media || i18n.allViewports || 'All viewports';
+
+					button.addEventListener('click', () => {
+						list.querySelectorAll('.mwe-focus-picture-source').forEach((el) => {
+							el.classList.toggle('is-active', el === button);
+						});
+						document.querySelectorAll('.mwe-focus-point-container').forEach((el) => el.remove());
+
+						const attachmentId = entry.globalData?.attachmentId || null;
+						const image = attachmentId
+							? { attachmentId, isEtchImg: true, sourceKey: entry.sourceKey, canvasImage: img }
+							: { src: entry.src, sourceKey: entry.sourceKey, canvasImage: img };
+						injectFocusPointUI(notice, image, Boolean(attachmentId));
+					});
+
+					list.appendChild(button);
+				});
+			});
+		}
+
+		/**
+		 * Find the canvas images rendered by the selected dynamic image in a loop.
+		 * The loop item is the closest ancestor of the selected image that repeats
+		 * among its siblings; each item contributes the image at the same position.
+		 * @return {Element[]}
+		 */
+		function findLoopImages() {
+			const selected = getSelectedCanvasImage();
+			if (!selected) return [];
+
+			const isSameItem = (a, b) => a.tagName === b.tagName && a.className === b.className;
+
+			for (let item = selected; item.parentElement && item !== selected.ownerDocument.body; item = item.parentElement) {
+				const siblings = [...item.parentElement.children].filter((el) => isSameItem(el, item));
+				if (siblings.length < 2) continue;
+
+				const index = [...item.querySelectorAll('img')].indexOf(selected);
+				return siblings
+					.map((sibling) => (sibling === selected ? selected : sibling.querySelectorAll('img')[index]))
+					.filter(Boolean);
+			}
+			return [];
+		}
+
+		/**
+		 * Inject the loop picker into a Dynamic Image panel whose Media ID is a
+		 * dynamic expression: lists the images the loop resolves to in the canvas,
+		 * each opening the focus point picker for that image.
+		 * @param {Element} panel - The panel element to inject into.
+		 * @param {string} expression - The dynamic Media ID expression.
+		 */
+		function injectLoopFocusUI(panel, expression) {
+			const loopKey = generateLoopKey(expression);
+
+			const notice = document.createElement('div');
+			notice.className = 'mwe-focus-point-notice mwe-focus-loop';
+			notice.dataset.expression = expression;
+
+			const title = document.createElement('span');
+			title.className = 'mwe-focus-point-notice-title';
+			title.textContent = i18n.focusPoint;
+
+			const text = document.createElement('p');
+			text.className = 'mwe-focus-point-notice-text';
+			text.textContent = i18n.loopImagesHint || 'Select an image of this loop to set its focus point.';
+
+			const list = document.createElement('div');
+			list.className = 'mwe-focus-loop-images';
+
+			notice.appendChild(title);
+			notice.appendChild(text);
+			notice.appendChild(list);
+
+			const insertionPoint = findInsertionPoint(panel);
+			if (insertionPoint) {
+				insertionPoint.parentNode.insertBefore(notice, insertionPoint.nextSibling);
+			} else {
+				panel.appendChild(notice);
+			}
+
+			const images = findLoopImages();
+			if (images.length === 0) {
+				text.textContent = i18n.dynamicImageNotice
+					|| 'This dynamic image resolves to different images. Set the focus point per image in the Media Library.';
+				return;
+			}
+
+			// Canvas images of this loop use the loop-scoped overrides
+			for (const img of images) {
+				loopImageScopes.set(img, loopKey);
+			}
+
+			Promise.all(images.map(resolveCanvasImage)).then((resolved) => {
+				const seen = new Set();
+				resolved.forEach((entry, i) => {
+					if (!entry || seen.has(entry.imageKey) || !notice.isConnected) return;
+					seen.add(entry.imageKey);
+
+					const src = images[i].currentSrc || images[i].src;
+					const button = document.createElement('button');
+					button.type = 'button';
+					button.className = 'mwe-focus-loop-image';
+					button.title = src.split('/').pop();
+					button.innerHTML = '<img alt="">';
+					button.querySelector('img').src = src;
+
+					button.addEventListener('click', () => {
+						list.querySelectorAll('.mwe-focus-loop-image').forEach((el) => {
+							el.classList.toggle('is-active', el === button);
+						});
+						document.querySelectorAll('.mwe-focus-point-container').forEach((el) => el.remove());
+
+						const attachmentId = entry.globalData?.attachmentId || null;
+						const image = attachmentId
+							? { attachmentId, isEtchImg: true, loopKey, canvasImage: images[i] }
+							: { src, loopKey, canvasImage: images[i] };
+						injectFocusPointUI(notice, image, Boolean(attachmentId));
+					});
+
+					list.appendChild(button);
+				});
+
+				applyFocusPointsToIframe();
+			});
+		}
+
+		/**
+		 * Inject an explanatory notice into a Dynamic Image panel when no fixed
+		 * Media ID is set. Tells the user where to set focus points for dynamic images.
+		 * @param {Element} panel - The panel element to inject into.
+		 */
+		function injectDynamicImageNotice(panel) {
+			const notice = document.createElement('div');
+			notice.className = 'mwe-focus-point-notice';
+
+			const title = document.createElement('span');
+			title.className = 'mwe-focus-point-notice-title';
+			title.textContent = i18n.focusPoint;
+
+			const text = document.createElement('p');
+			text.className = 'mwe-focus-point-notice-text';
+			text.textContent = i18n.dynamicImageNotice
+				|| 'This dynamic image resolves to different images. Set the focus point per image in the Media Library.';
+
+			notice.appendChild(title);
+			notice.appendChild(text);
+
+			const insertionPoint = findInsertionPoint(panel);
+			if (insertionPoint) {
+				insertionPoint.parentNode.insertBefore(notice, insertionPoint.nextSibling);
+			} else {
+				panel.appendChild(notice);
+			}
+		}
+
+
+
+		/**
+		 * Check if a string looks like an image URL.
 		 */
 		function isImageUrl(str) {
 			if (!str) return false;
@@ -555,83 +1784,44 @@
 		function getSelectedImage(isEtchImageElement = false, panelElement = null) {
 			// For etch:img elements, get the WP Media ID from the panel
 			if (isEtchImageElement) {
-				const searchRoot = panelElement || document;
-
-				// Strategy 1: Find label with "WP Media ID" and get the associated input
-				const allLabels = searchRoot.querySelectorAll('label');
-				for (const label of allLabels) {
-					if (label.textContent && label.textContent.trim() === 'WP Media ID') {
-						// Find the input within the same parent container
-						const container = label.closest('label, [class*="field"], [class*="control"]') || label.parentElement;
-						const input = container.querySelector('input');
-						if (input && input.value && !isNaN(parseInt(input.value))) {
-							return { attachmentId: parseInt(input.value), fromPanel: true, isEtchImg: true };
-						}
-						// Also check for text content with the ID (e.g., displayed next to thumbnail)
-						const textContent = container.textContent;
-						const idMatch = textContent.match(/(\d+)/);
-						if (idMatch && parseInt(idMatch[1]) > 0) {
-							return { attachmentId: parseInt(idMatch[1]), fromPanel: true, isEtchImg: true };
-						}
+				const mediaIdField = findUiField('mediaId', panelElement || document);
+				if (mediaIdField) {
+					const mediaId = mediaIdField.input ? parseInt(mediaIdField.input.value, 10) : NaN;
+					if (!isNaN(mediaId)) {
+						return { attachmentId: mediaId, fromPanel: true, isEtchImg: true };
 					}
-				}
-
-				// Strategy 2: Look for any input near "WP Media ID" text
-				const allInputs = searchRoot.querySelectorAll('input');
-				for (const input of allInputs) {
-					const parent = input.closest('label, [class*="field"], [class*="control"]');
-					if (parent && parent.textContent && parent.textContent.includes('WP Media ID')) {
-						const mediaId = input.value;
-						if (mediaId && !isNaN(parseInt(mediaId))) {
-							return { attachmentId: parseInt(mediaId), fromPanel: true, isEtchImg: true };
-						}
+					// Also check for text content with the ID (e.g., displayed next to thumbnail)
+					const idMatch = mediaIdField.container.textContent.match(/(\d+)/);
+					if (idMatch && parseInt(idMatch[1], 10) > 0) {
+						return { attachmentId: parseInt(idMatch[1], 10), fromPanel: true, isEtchImg: true };
 					}
 				}
 			}
 
 			// For standard img elements, try to get the image src from the panel itself
-			const panel = panelElement || document.querySelector('.etch-html-block-properties-wrapper');
+			const panel = panelElement || queryUi('elementPanel');
 			if (panel) {
-				// Find the src input field - look for input after 'src' label
-				const labels = panel.querySelectorAll('label.etch-label');
-				for (const label of labels) {
-					if (label.textContent.trim().toLowerCase() === 'src') {
-						// Get the next input after this label
-						const nextInput = label.querySelector('input.etch-input');
-						if (nextInput && isImageUrl(nextInput.value)) {
-							return { src: nextInput.value, fromPanel: true };
-						}
-					}
+				const srcInput = findUiField('src', panel)?.input;
+				if (srcInput && isImageUrl(srcInput.value)) {
+					return { src: srcInput.value, fromPanel: true };
 				}
 
 				// Fallback: check all inputs for image URLs
-				const inputs = panel.querySelectorAll('input.etch-input');
-				for (const input of inputs) {
+				for (const input of queryAllUi('panelInput', panel)) {
 					if (isImageUrl(input.value)) {
 						return { src: input.value, fromPanel: true };
 					}
 				}
 			}
 
-			// Try to find in iframe
-			const iframe = document.querySelector('iframe[title="Etch Iframe"]');
+			// Try to find in iframe: the selected img or etch:img, or the one inside the selected element
+			const iframe = getCanvasIframe();
 			if (iframe) {
 				try {
 					const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-					// Selectors for both img and etch:img elements
-					const selectors = [
-						'.etch-selected img',
-						'.etch-selected etch\\:img',
-						'[data-etch-selected] img',
-						'[data-etch-selected] etch\\:img',
-						'.etch-builder-block--selected img',
-						'.etch-builder-block--selected etch\\:img',
-						'img.etch-builder-block--selected',
-						'etch\\:img.etch-builder-block--selected'
-					];
-
-					for (const selector of selectors) {
-						const img = iframeDoc.querySelector(selector);
+					for (const selected of queryAllUi('canvasSelected', iframeDoc)) {
+						if (selected.tagName === 'IMG' || selected.tagName === 'ETCH:IMG') return selected;
+						const img = selected.querySelector('img') || selected.querySelector('etch\\:img');
 						if (img) return img;
 					}
 				} catch (e) {
@@ -640,375 +1830,3119 @@
 			}
 
 			// Fallback: look in main document
-			const selectors = [
-				'.etch-selected img',
-				'.etch-selected etch\\:img',
-				'[data-etch-selected] img',
-				'[data-etch-selected] etch\\:img',
-				'.etch-canvas img.selected',
-				'.etch-canvas etch\\:img.selected',
-				'img[data-etch-selected]',
-				'etch\\:img[data-etch-selected]',
-				'.etch-element--selected img',
-				'.etch-element--selected etch\\:img'
-			];
+			return queryUi('builderSelectedImage');
+		}
+
+		/**
+		 * Inject the focus point UI into the panel.
+		 * @param {Element} panel - The panel element to inject into
+		 * @param {Object} image - Image object with src or attachmentId
+		 * @param {boolean} isEtchImageElement - Whether this is an etch:img element
+		 */
+		async function injectFocusPointUI(panel, image, isEtchImageElement = false) {
+			let globalData = null;
+			let attachmentId = null;
+			let imageSrc = null;
 
-			for (const selector of selectors) {
-				const img = document.querySelector(selector);
-				if (img) return img;
+			// Handle etch:img elements which provide attachmentId directly
+			if (image.isEtchImg && image.attachmentId) {
+				attachmentId = image.attachmentId;
+				// Fetch image data by attachment ID
+				const attachmentData = await fetchAttachmentData(attachmentId);
+				imageSrc = attachmentData?.url || null;
+				globalData = attachmentData;
+			} else {
+				// Standard img element - fetch global focus point from URL
+				imageSrc = image.src;
+				globalData = await fetchGlobalFocusPoint(imageSrc);
+				attachmentId = globalData?.attachmentId || null;
 			}
 
-			return null;
+			// If we couldn't get an image URL, we can't show the UI
+			if (!imageSrc) {
+				console.warn('MWE Focus Point: Could not determine image URL');
+				recordPanelCheck('skipped', 'Could not determine image URL');
+				return;
+			}
+
+			// Use attachment_id for WordPress images, URL hash for external
+			const baseKey = attachmentId
+				? `attachment_${attachmentId}`
+				: generateUrlKey(imageSrc);
+			if (!attachmentId) {
+				await migrateLegacyUrlKey(imageSrc, baseKey);
+			}
+
+			// Images in loops and components can be overridden for narrower scopes
+			// than the page. The most specific scope with a value is preselected.
+			// Picture sources have their own overrides under their source key and
+			// inherit those of their image.
+			const loopKey = image.loopKey || null;
+			const canvasImage = image.canvasImage || getSelectedCanvasImage();
+			const scopes = getOverrideScopes(canvasImage, loopKey, image.sourceKey ? `${image.sourceKey}:${baseKey}` : baseKey);
+			const imageScopes = image.sourceKey
+				? getOverrideScopes(canvasImage, loopKey, baseKey)
+					.map((scope) => ({ ...scope, label: i18n.allSources || 'All sources' }))
+				: [];
+			let imageKey = ([...scopes].reverse().find((scope) => overridesCache[scope.key]) || scopes[0]).key;
+			recordImageKey(imageKey, imageSrc);
+
+			// Create container.
+			const container = document.createElement('div');
+			container.className = 'mwe-focus-point-container';
+			if (isEtchImageElement) {
+				container.classList.add('mwe-focus-point-container--etch-img');
+			}
+
+			// Create header.
+			const header = document.createElement('div');
+			header.className = 'mwe-focus-point-header';
+			header.innerHTML = `
+				<span class="mwe-focus-point-title">${image.isBackground ? i18n.backgroundFocusPoint || 'Background focus point' : i18n.focusPoint}</span>
+				<span class="mwe-focus-point-unsaved" role="status" hidden></span>
+				<span class="mwe-focus-point-status"></span>
+			`;
+
+			// Create breakpoint tabs.
+			const tabs = document.createElement('div');
+			tabs.className = 'mwe-focus-point-breakpoints';
+			tabs.setAttribute('role', 'tablist');
+			tabs.setAttribute('aria-label', i18n.breakpoints || 'Breakpoints');
+
+			const tabButtons = {};
+			for (const breakpoint of BREAKPOINTS) {
+				const tab = document.createElement('button');
+				tab.type = 'button';
+				tab.className = 'mwe-focus-point-breakpoint';
+				tab.dataset.breakpoint = breakpoint;
+				tab.setAttribute('role', 'tab');
+				tab.textContent = i18n[breakpoint] || breakpoint;
+				tabButtons[breakpoint] = tab;
+				tabs.appendChild(tab);
+			}
+
+			// Create scope switch for images in loops and components.
+			let scopeSwitch = null;
+			const scopeButtons = [];
+			if (scopes.length > 1) {
+				scopeSwitch = document.createElement('div');
+				scopeSwitch.className = 'mwe-focus-point-scopes';
+				scopeSwitch.setAttribute('role', 'group');
+				scopeSwitch.setAttribute('aria-label', i18n.overrideScope || 'Override scope');
+
+				for (const scope of scopes) {
+					const button = document.createElement('button');
+					button.type = 'button';
+					button.className = 'mwe-focus-point-button mwe-focus-point-scope';
+					button.dataset.key = scope.key;
+					button.textContent = scope.label;
+					scopeButtons.push(button);
+					scopeSwitch.appendChild(button);
+				}
+			}
+
+			// Create preview area.
+			const preview = document.createElement('div');
+			preview.className = 'mwe-focus-point-preview';
+
+			const previewImage = document.createElement('img');
+			previewImage.src = imageSrc;
+			previewImage.className = 'mwe-focus-point-preview-image';
+
+			// The marker is a focusable 2D slider: arrow keys move it, Shift for bigger steps.
+			const marker = document.createElement('div');
+			marker.className = 'mwe-focus-point-marker';
+			marker.tabIndex = 0;
+			marker.setAttribute('role', 'slider');
+			marker.setAttribute('aria-label', i18n.markerLabel || i18n.focusPoint);
+			marker.setAttribute('aria-valuemin', '0');
+			marker.setAttribute('aria-valuemax', '100');
+
+			// Focus area rectangle (shown for area values and while drawing one).
+			const areaBox = document.createElement('div');
+			areaBox.className = 'mwe-focus-point-area';
+			areaBox.hidden = true;
+
+			// Ghost marker for a suggested focus point (shown until accepted or dismissed).
+			const ghostMarker = document.createElement('div');
+			ghostMarker.className = 'mwe-focus-point-marker mwe-focus-point-ghost';
+			ghostMarker.hidden = true;
+
+			preview.appendChild(previewImage);
+			preview.appendChild(areaBox);
+			preview.appendChild(ghostMarker);
+			preview.appendChild(marker);
+
+			// Create exact X/Y inputs.
+			const inputs = document.createElement('div');
+			inputs.className = 'mwe-focus-point-inputs';
+
+			const createAxisInput = (axis, label) => {
+				const field = document.createElement('label');
+				field.className = 'mwe-focus-point-input';
+
+				const text = document.createElement('span');
+				text.textContent = axis.toUpperCase();
+
+				const input = document.createElement('input');
+				input.type = 'number';
+				input.min = '0';
+				input.max = '100';
+				input.step = '0.1';
+				input.dataset.axis = axis;
+				input.setAttribute('aria-label', label);
+
+				field.appendChild(text);
+				field.appendChild(input);
+				inputs.appendChild(field);
+				return input;
+			};
+
+			const inputX = createAxisInput('x', i18n.focusPointX || 'Focus point X (%)');
+			const inputY = createAxisInput('y', i18n.focusPointY || 'Focus point Y (%)');
+
+			// Area mode: dragging on the preview draws a focus area instead of moving the point.
+			const areaModeButton = document.createElement('button');
+			areaModeButton.type = 'button';
+			areaModeButton.className = 'mwe-focus-point-button mwe-focus-point-area-mode';
+			areaModeButton.textContent = i18n.focusArea || 'Area';
+			areaModeButton.title = i18n.focusAreaHint || 'Drag on the image to draw the area to keep visible';
+			areaModeButton.setAttribute('aria-pressed', 'false');
+			inputs.appendChild(areaModeButton);
+
+			// Zoom in on the focus point, saved together with the position.
+			const zoomField = document.createElement('label');
+			zoomField.className = 'mwe-focus-point-zoom';
+
+			const zoomText = document.createElement('span');
+			zoomText.textContent = i18n.zoom || 'Zoom';
+
+			const zoomInput = document.createElement('input');
+			zoomInput.type = 'range';
+			zoomInput.min = '1';
+			zoomInput.max = String(MAX_ZOOM);
+			zoomInput.step = String(ZOOM_STEP);
+			zoomInput.value = '1';
+			zoomInput.title = i18n.zoomHint || 'Zoom in on the focus point (points only)';
+
+			const zoomOutput = document.createElement('output');
+
+			zoomField.appendChild(zoomText);
+			zoomField.appendChild(zoomInput);
+			zoomField.appendChild(zoomOutput);
+
+			// Create crop previews for common aspect ratios.
+			const crops = document.createElement('div');
+			crops.className = 'mwe-focus-point-crops';
+
+			const cropImages = [];
+			const createCropPreview = (ratio, label) => {
+				const item = document.createElement('figure');
+				item.className = 'mwe-focus-point-crop';
+
+				const frame = document.createElement('div');
+				frame.className = 'mwe-focus-point-crop-frame';
+				frame.style.aspectRatio = String(ratio);
+
+				const cropImage = document.createElement('img');
+				cropImage.src = imageSrc;
+				cropImage.alt = '';
+				cropImage.className = 'mwe-focus-point-crop-image';
+				// Focus areas depend on the natural size of the image
+				cropImage.addEventListener('load', () => {
+					cropImage.style.objectPosition = toObjectPosition(positionDisplay.textContent, cropImage);
+				});
+
+				const caption = document.createElement('figcaption');
+				caption.textContent = label;
+
+				frame.appendChild(cropImage);
+				item.appendChild(frame);
+				item.appendChild(caption);
+				crops.appendChild(item);
+				cropImages.push(cropImage);
+				return item;
+			};
+
+			for (const crop of CROP_PREVIEW_RATIOS) {
+				createCropPreview(crop.ratio, crop.label);
+			}
+
+			// Canvas images showing this image. The image of a source is shown in the img of its picture.
+			const canvasImagesFound = image.sourceKey
+				? Promise.resolve(image.canvasImage ? [image.canvasImage] : [])
+				: findCanvasImages(baseKey);
+
+			// Add a preview matching the rendered box of this image in the canvas.
+			canvasImagesFound.then((canvasImages) => {
+				const canvasImage = canvasImages.find((img) => img.clientWidth > 0 && img.clientHeight > 0);
+				if (!canvasImage || !container.isConnected) return;
+
+				const item = createCropPreview(
+					canvasImage.clientWidth / canvasImage.clientHeight,
+					`${i18n.canvasBox || 'Canvas'} ${canvasImage.clientWidth}×${canvasImage.clientHeight}`
+				);
+				item.classList.add('mwe-focus-point-crop--canvas');
+				const cropImage = cropImages[cropImages.length - 1];
+				cropImage.style.objectPosition = toObjectPosition(positionDisplay.textContent, cropImage);
+				applyZoom(cropImage, positionDisplay.textContent);
+			});
+
+			// Create info area.
+			const info = document.createElement('div');
+			info.className = 'mwe-focus-point-info';
+
+			const positionDisplay = document.createElement('span');
+			positionDisplay.className = 'mwe-focus-point-position';
+
+			const typeLabel = document.createElement('span');
+			typeLabel.className = 'mwe-focus-point-type';
+
+			info.appendChild(positionDisplay);
+			info.appendChild(typeLabel);
+
+			// Create actions.
+			const actions = document.createElement('div');
+			actions.className = 'mwe-focus-point-actions';
+
+			const resetButton = document.createElement('button');
+			resetButton.type = 'button';
+			resetButton.className = 'mwe-focus-point-button mwe-focus-point-reset';
+			resetButton.textContent = i18n.useGlobal;
+
+			actions.appendChild(resetButton);
+
+			const undoButton = document.createElement('button');
+			undoButton.type = 'button';
+			undoButton.className = 'mwe-focus-point-button mwe-focus-point-history mwe-focus-point-undo';
+			undoButton.textContent = '\u21B6';
+			undoButton.title = i18n.undo || 'Undo (Ctrl+Z)';
+			undoButton.setAttribute('aria-label', undoButton.title);
+
+			const redoButton = document.createElement('button');
+			redoButton.type = 'button';
+			redoButton.className = 'mwe-focus-point-button mwe-focus-point-history mwe-focus-point-redo';
+			redoButton.textContent = '\u21B7';
+			redoButton.title = i18n.redo || 'Redo (Ctrl+Shift+Z)';
+			redoButton.setAttribute('aria-label', redoButton.title);
+
+			actions.appendChild(undoButton);
+			actions.appendChild(redoButton);
+
+			// Create clipboard actions.
+			const clipboardActions = document.createElement('div');
+			clipboardActions.className = 'mwe-focus-point-actions mwe-focus-point-clipboard';
+
+			const copyButton = document.createElement('button');
+			copyButton.type = 'button';
+			copyButton.className = 'mwe-focus-point-button mwe-focus-point-copy';
+			copyButton.textContent = i18n.copy || 'Copy';
+
+			const pasteButton = document.createElement('button');
+			pasteButton.type = 'button';
+			pasteButton.className = 'mwe-focus-point-button mwe-focus-point-paste';
+			pasteButton.textContent = i18n.paste || 'Paste';
+
+			const applyAllButton = document.createElement('button');
+			applyAllButton.type = 'button';
+			applyAllButton.className = 'mwe-focus-point-button mwe-focus-point-apply-all';
+			applyAllButton.textContent = i18n.applyToAll || 'Apply to all on page';
+
+			clipboardActions.appendChild(copyButton);
+			clipboardActions.appendChild(pasteButton);
+			clipboardActions.appendChild(applyAllButton);
+
+			// Create suggestion actions: suggest, then accept or dismiss the ghost marker.
+			const suggestActions = document.createElement('div');
+			suggestActions.className = 'mwe-focus-point-actions mwe-focus-point-suggest';
+
+			const suggestButton = document.createElement('button');
+			suggestButton.type = 'button';
+			suggestButton.className = 'mwe-focus-point-button mwe-focus-point-suggest-button';
+			suggestButton.textContent = i18n.suggest || 'Suggest';
+
+			const acceptButton = document.createElement('button');
+			acceptButton.type = 'button';
+			acceptButton.className = 'mwe-focus-point-button mwe-focus-point-accept';
+			acceptButton.textContent = i18n.acceptSuggestion || 'Accept';
+			acceptButton.hidden = true;
+
+			const dismissButton = document.createElement('button');
+			dismissButton.type = 'button';
+			dismissButton.className = 'mwe-focus-point-button mwe-focus-point-dismiss';
+			dismissButton.textContent = i18n.dismissSuggestion || 'Dismiss';
+			dismissButton.hidden = true;
+
+			suggestActions.appendChild(suggestButton);
+			suggestActions.appendChild(acceptButton);
+			suggestActions.appendChild(dismissButton);
+
+			// Writing the Media Library value is only possible for WordPress attachments.
+			let saveGlobalButton = null;
+			if (attachmentId) {
+				saveGlobalButton = document.createElement('button');
+				saveGlobalButton.type = 'button';
+				saveGlobalButton.className = 'mwe-focus-point-button mwe-focus-point-save-global';
+				saveGlobalButton.textContent = i18n.saveAsGlobal || 'Save as global';
+				actions.appendChild(saveGlobalButton);
+			}
+
+			// Assemble container.
+			container.appendChild(header);
+			if (scopeSwitch) {
+				container.appendChild(scopeSwitch);
+			}
+			container.appendChild(tabs);
+			container.appendChild(preview);
+			container.appendChild(inputs);
+			container.appendChild(zoomField);
+			container.appendChild(crops);
+			container.appendChild(info);
+			container.appendChild(actions);
+			container.appendChild(clipboardActions);
+			container.appendChild(suggestActions);
+			addCustomControls(container, {
+				container,
+				imageSrc,
+				attachmentId,
+				getImageKey: () => imageKey,
+				getBreakpoint: () => activeBreakpoint
+			});
+
+			// Find insertion point in panel. Pickers of loop images and picture sources go below their list.
+			const insertionPoint = panel.classList.contains('mwe-focus-point-notice') ? null : findInsertionPoint(panel);
+			if (insertionPoint) {
+				insertionPoint.parentNode.insertBefore(container, insertionPoint.nextSibling);
+			} else {
+				panel.appendChild(container);
+			}
+			updateUnsavedIndicator();
+			updateHistoryButtons();
+			updateClipboardButtons();
+
+			// Follow changes made outside the picker, e.g. through window.mweFocusPoint.
+			const scopeKeys = [...scopes, ...imageScopes].map((scope) => scope.key);
+			const onFocusChange = (e) => {
+				if (!container.isConnected) {
+					document.removeEventListener(FOCUS_CHANGE_EVENT, onFocusChange);
+				} else if (e.detail.postId === postId && scopeKeys.includes(e.detail.imageKey)) {
+					render();
+				}
+			};
+			document.addEventListener(FOCUS_CHANGE_EVENT, onFocusChange);
+
+			dispatchFocusEvent(PANEL_INJECTED_EVENT, { container, panel, imageKey, imageSrc, attachmentId });
+
+			// Show how many canvas images share this image key.
+			canvasImagesFound.then((images) => {
+				if (images.length > 1) {
+					applyAllButton.textContent = `${i18n.applyToAll || 'Apply to all on page'} (${images.length})`;
+				}
+			});
+
+			/**
+			 * Get the scope whose override applies in the selected scope: the
+			 * selected one, or the next broader one with an override.
+			 * @return {{key: string, label: string}|undefined}
+			 */
+			function getSourceScope() {
+				const index = scopes.findIndex((scope) => scope.key === imageKey);
+				return scopes.slice(0, index + 1).reverse().find((scope) => overridesCache[scope.key])
+					|| [...imageScopes].reverse().find((scope) => overridesCache[scope.key]);
+			}
+
+			/**
+			 * Get the scoped overrides of this image stored on the page (loop and
+			 * component instance), which win over its page override. Overrides for
+			 * every use of a component are stored on the component, not the page,
+			 * and are left alone.
+			 * @return {string[]}
+			 */
+			function getShadowingKeys() {
+				const pageKey = scopes[0].key;
+				return Object.keys(overridesCache).filter((key) => /^(?:loop_[^:]+|component_\d+_\d+):/.test(key)
+					&& key.slice(key.indexOf(':') + 1) === pageKey);
+			}
+
+			/**
+			 * Sync tabs, marker, position and label with the active breakpoint.
+			 */
+			function render() {
+				const record = normalizeOverride(overridesCache[imageKey]);
+				const source = getSourceScope();
+				const override = source ? overridesCache[source.key] : null;
+				const value = resolveFocusPoint(override, globalData, activeBreakpoint) || '50% 50%';
+				const hasOwnValue = Boolean(record[activeBreakpoint]);
+
+				for (const button of scopeButtons) {
+					button.setAttribute('aria-pressed', button.dataset.key === imageKey ? 'true' : 'false');
+				}
+
+				for (const breakpoint of BREAKPOINTS) {
+					const isActive = breakpoint === activeBreakpoint;
+					tabButtons[breakpoint].classList.toggle('is-active', isActive);
+					tabButtons[breakpoint].classList.toggle('has-override', Boolean(record[breakpoint]));
+					tabButtons[breakpoint].setAttribute('aria-selected', isActive ? 'true' : 'false');
+				}
+
+				zoomInput.value = String(splitZoom(value).zoom);
+				showPosition(parsePosition(value), parseArea(value));
+
+				if (hasOwnValue) {
+					typeLabel.textContent = i18n.override;
+				} else if (source && source.key !== imageKey && resolveFocusPoint(override, null, activeBreakpoint)) {
+					// No override in this scope: the one of a broader scope applies
+					typeLabel.textContent = source.label;
+				} else if (Object.keys(record).length > 0 && resolveFocusPoint(record, null, activeBreakpoint)) {
+					// Inherited from the override of a larger breakpoint
+					typeLabel.textContent = i18n.inherited || i18n.override;
+				} else {
+					typeLabel.textContent = i18n.globalValue;
+				}
+
+				resetButton.disabled = !hasOwnValue;
+
+				// At page scope without narrower overrides, a normal save already applies to all.
+				applyAllButton.disabled = imageKey === scopes[0].key && !getShadowingKeys().length;
+
+				// The Media Library has no tablet value.
+				if (saveGlobalButton) {
+					saveGlobalButton.disabled = activeBreakpoint === 'tablet';
+				}
+			}
+
+			render();
+
+			// Add event listeners.
+			tabs.addEventListener('click', (e) => {
+				const tab = e.target.closest('.mwe-focus-point-breakpoint');
+				if (!tab) return;
+				// Save a pending edit to the breakpoint it was made for
+				commitPosition();
+				activeBreakpoint = tab.dataset.breakpoint;
+				render();
+			});
+
+			if (scopeSwitch) {
+				scopeSwitch.addEventListener('click', (e) => {
+					const button = e.target.closest('.mwe-focus-point-scope');
+					if (!button) return;
+					commitPosition();
+					imageKey = button.dataset.key;
+					render();
+				});
+			}
+
+			/**
+			 * Reflect a position in marker, display and inputs without saving.
+			 * @param {{x: number, y: number}} position - Point, or center of the area
+			 * @param {Object|null} area - Focus area, if the value is one
+			 */
+			function showPosition(position, area = null) {
+				position = clampPosition(position);
+				const zoom = area ? 1 : parseFloat(zoomInput.value);
+				const value = area ? formatArea(area) : withZoom(formatPosition(position), zoom);
+				updateMarkerPosition(marker, position);
+				positionDisplay.textContent = value;
+				marker.setAttribute('aria-valuenow', String(position.x));
+				marker.setAttribute('aria-valuetext', `X ${position.x}%, Y ${position.y}%`);
+
+				areaBox.hidden = !area;
+				if (area) {
+					areaBox.style.left = `${area.x1}%`;
+					areaBox.style.top = `${area.y1}%`;
+					areaBox.style.width = `${area.x2 - area.x1}%`;
+					areaBox.style.height = `${area.y2 - area.y1}%`;
+				}
+
+				for (const cropImage of cropImages) {
+					cropImage.style.objectPosition = toObjectPosition(value, cropImage);
+					applyZoom(cropImage, value);
+				}
+
+				// Areas are not zoomed
+				zoomInput.disabled = Boolean(area);
+				zoomOutput.textContent = `${Math.round(zoom * 100) / 100}×`;
+
+				// Don't overwrite an input the user is typing in
+				if (document.activeElement !== inputX) inputX.value = position.x;
+				if (document.activeElement !== inputY) inputY.value = position.y;
+			}
+
+			// Position or area being edited (drag, keys or inputs) and not saved yet.
+			let pendingPosition = null;
+			let pendingArea = null;
+			let keyboardCommitTimer = null;
+
+			/**
+			 * Preview a position while an edit is in progress.
+			 * Moving the point replaces a focus area.
+			 * @param {{x: number, y: number}} position
+			 */
+			function editPosition(position) {
+				pendingPosition = clampPosition(position);
+				pendingArea = null;
+				showPosition(pendingPosition);
+				typeLabel.textContent = i18n.override;
+				resetButton.disabled = false;
+			}
+
+			/**
+			 * Preview a focus area spanned by two corners while it is drawn.
+			 * @param {{x: number, y: number}} start
+			 * @param {{x: number, y: number}} end
+			 */
+			function editArea(start, end) {
+				const a = clampPosition(start);
+				const b = clampPosition(end);
+				pendingArea = {
+					x1: Math.min(a.x, b.x),
+					y1: Math.min(a.y, b.y),
+					x2: Math.max(a.x, b.x),
+					y2: Math.max(a.y, b.y)
+				};
+				pendingPosition = null;
+				zoomInput.value = '1';
+				showPosition(parsePosition(formatArea(pendingArea)), pendingArea);
+				typeLabel.textContent = i18n.override;
+				resetButton.disabled = false;
+			}
+
+			/**
+			 * Save the edited position or area once the drag or edit is finished.
+			 */
+			function commitPosition() {
+				clearTimeout(keyboardCommitTimer);
+
+				// An area too small to draw is a click: set the point instead
+				if (pendingArea && (pendingArea.x2 - pendingArea.x1 < MIN_FOCUS_AREA_SIZE
+					|| pendingArea.y2 - pendingArea.y1 < MIN_FOCUS_AREA_SIZE)) {
+					editPosition({ x: pendingArea.x1, y: pendingArea.y1 });
+				}
+				if (!pendingPosition && !pendingArea) return;
+
+				const newPosition = pendingArea
+					? formatArea(pendingArea)
+					: withZoom(formatPosition(pendingPosition), parseFloat(zoomInput.value));
+				pendingPosition = null;
+				pendingArea = null;
+
+				// Skip saving when nothing changed
+				const record = normalizeOverride(overridesCache[imageKey]);
+				if (record[activeBreakpoint] === newPosition) return;
+
+				saveFocusPoint(imageKey, newPosition, header.querySelector('.mwe-focus-point-status'), activeBreakpoint)
+					.then(render);
+				render();
+			}
+
+			/**
+			 * Convert a pointer event to a position within the preview.
+			 * @param {PointerEvent} e
+			 * @return {{x: number, y: number}}
+			 */
+			function pointerToPosition(e) {
+				const rect = preview.getBoundingClientRect();
+				return {
+					x: (e.clientX - rect.left) / rect.width * 100,
+					y: (e.clientY - rect.top) / rect.height * 100
+				};
+			}
+
+			// Drag: pointerdown sets the position, pointermove follows, pointerup saves.
+			// In area mode the drag spans a focus area from the start point instead.
+			let dragStart = null;
+			preview.addEventListener('pointerdown', (e) => {
+				if (e.button !== 0) return;
+				e.preventDefault();
+				preview.setPointerCapture(e.pointerId);
+				preview.classList.add('is-dragging');
+				marker.focus({ preventScroll: true });
+				dragStart = pointerToPosition(e);
+				if (areaModeButton.getAttribute('aria-pressed') === 'true') {
+					editArea(dragStart, dragStart);
+				} else {
+					editPosition(dragStart);
+				}
+			});
+
+			preview.addEventListener('pointermove', (e) => {
+				if (!preview.hasPointerCapture(e.pointerId)) return;
+				if (pendingArea) {
+					editArea(dragStart, pointerToPosition(e));
+				} else {
+					editPosition(pointerToPosition(e));
+				}
+			});
+
+			// Zoom previews while sliding and saves on release.
+			zoomInput.addEventListener('input', () => {
+				editPosition(pendingPosition || parsePosition(positionDisplay.textContent));
+			});
+			zoomInput.addEventListener('change', commitPosition);
+
+			areaModeButton.addEventListener('click', () => {
+				const isAreaMode = areaModeButton.getAttribute('aria-pressed') === 'true';
+				areaModeButton.setAttribute('aria-pressed', isAreaMode ? 'false' : 'true');
+				preview.classList.toggle('is-area-mode', !isAreaMode);
+			});
+
+			const endDrag = (e) => {
+				if (!preview.hasPointerCapture(e.pointerId)) return;
+				preview.releasePointerCapture(e.pointerId);
+				preview.classList.remove('is-dragging');
+				commitPosition();
+			};
+			preview.addEventListener('pointerup', endDrag);
+			preview.addEventListener('pointercancel', endDrag);
+
+			// Keyboard: arrows nudge by 1% (Shift: 10%), saved shortly after the last key.
+			marker.addEventListener('keydown', (e) => {
+				const step = e.shiftKey ? 10 : 1;
+				const current = pendingPosition || parsePosition(positionDisplay.textContent);
+				const deltas = {
+					ArrowLeft: [-step, 0],
+					ArrowRight: [step, 0],
+					ArrowUp: [0, -step],
+					ArrowDown: [0, step]
+				};
+
+				if (e.key === 'Enter') {
+					commitPosition();
+					return;
+				}
+				if (!deltas[e.key]) return;
+
+				e.preventDefault();
+				const [dx, dy] = deltas[e.key];
+				editPosition({ x: current.x + dx, y: current.y + dy });
+
+				clearTimeout(keyboardCommitTimer);
+				keyboardCommitTimer = setTimeout(commitPosition, KEYBOARD_COMMIT_DELAY_MS);
+			});
+			marker.addEventListener('blur', commitPosition);
+
+			// Inputs: preview while typing, save on change (Enter or blur).
+			// A cleared or invalid field is ignored while typing and gets the
+			// last valid value back on change.
+			const readInputs = () => {
+				const x = parseFloat(inputX.value);
+				const y = parseFloat(inputY.value);
+				return Number.isNaN(x) || Number.isNaN(y) ? null : { x, y };
+			};
+			for (const input of [inputX, inputY]) {
+				input.addEventListener('input', () => {
+					const position = readInputs();
+					if (position) editPosition(position);
+				});
+				input.addEventListener('change', () => {
+					const position = readInputs();
+					if (position) {
+						editPosition(position);
+					} else {
+						const current = parsePosition(positionDisplay.textContent);
+						inputX.value = current.x;
+						inputY.value = current.y;
+					}
+					commitPosition();
+				});
+			}
+
+			resetButton.addEventListener('click', () => {
+				deleteFocusPoint(imageKey, header.querySelector('.mwe-focus-point-status'), activeBreakpoint)
+					.then(render);
+				render();
+			});
+
+			// Undo/redo: finish a pending edit first so it becomes part of the history.
+			const stepHistory = (redo) => {
+				commitPosition();
+				const status = header.querySelector('.mwe-focus-point-status');
+				(redo ? redoFocusChange(status) : undoFocusChange(status)).then(render);
+				render();
+			};
+			undoButton.addEventListener('click', () => stepHistory(false));
+			redoButton.addEventListener('click', () => stepHistory(true));
+
+			// Shortcuts only apply while focus is inside the picker, and not in
+			// text fields (e.g. X/Y), which keep their own undo.
+			container.addEventListener('keydown', (e) => {
+				if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+				if (e.target.matches('textarea, [contenteditable], input:not([type="range"], [type="checkbox"], [type="radio"], [type="button"])')) return;
+				e.preventDefault();
+				e.stopPropagation();
+				stepHistory(e.shiftKey);
+			});
+
+			// Suggestion: analysed locally, shown as ghost marker until accepted.
+			let suggestion = null;
+			const showSuggestion = (position) => {
+				suggestion = position;
+				ghostMarker.hidden = !position;
+				acceptButton.hidden = !position;
+				dismissButton.hidden = !position;
+				suggestButton.hidden = Boolean(position);
+				if (position) {
+					updateMarkerPosition(ghostMarker, position);
+					acceptButton.title = formatPosition(position);
+				}
+			};
+
+			suggestButton.addEventListener('click', async () => {
+				suggestButton.disabled = true;
+				const position = await suggestFocusPoint(imageSrc);
+				suggestButton.disabled = false;
+
+				if (!position) {
+					const status = header.querySelector('.mwe-focus-point-status');
+					status.textContent = i18n.suggestFailed || 'Could not analyse this image';
+					status.className = 'mwe-focus-point-status error';
+					return;
+				}
+				showSuggestion(position);
+			});
+
+			acceptButton.addEventListener('click', () => {
+				if (!suggestion) return;
+				editPosition(suggestion);
+				commitPosition();
+				showSuggestion(null);
+			});
+
+			dismissButton.addEventListener('click', () => showSuggestion(null));
+
+			copyButton.addEventListener('click', () => {
+				commitPosition();
+				const source = getSourceScope();
+				const values = {};
+				for (const breakpoint of BREAKPOINTS) {
+					values[breakpoint] = resolveFocusPoint(source ? overridesCache[source.key] : null, globalData, breakpoint) || '50% 50%';
+				}
+				writeFocusClipboard(values);
+			});
+
+			pasteButton.addEventListener('click', () => {
+				const values = readFocusClipboard();
+				if (!values) return;
+				commitPosition();
+				setOverride(imageKey, values, header.querySelector('.mwe-focus-point-status'))
+					.then(render);
+				render();
+			});
+
+			// Overrides are stored per image key, so one save at page scope covers
+			// every canvas image that resolves to the same attachment or URL,
+			// whichever scope is selected. Picture sources keep their source key.
+			// Occurrences with a loop or instance override of their own would
+			// keep it, so the value is written to those as well.
+			applyAllButton.addEventListener('click', async () => {
+				commitPosition();
+				const status = header.querySelector('.mwe-focus-point-status');
+				const value = positionDisplay.textContent;
+				const saved = Promise.all([scopes[0].key, ...getShadowingKeys()].map((key) => (
+					saveFocusPoint(key, value, status, activeBreakpoint)
+				)));
+				render();
+
+				const images = await findCanvasImages(baseKey);
+				images.forEach(highlightCanvasImage);
+				saved.then(render);
+			});
+
+			if (saveGlobalButton) {
+				saveGlobalButton.addEventListener('click', async () => {
+					commitPosition();
+					if (!window.confirm(i18n.confirmSaveGlobal || 'Use this focus point for this image everywhere?')) {
+						return;
+					}
+
+					// The Media Library stores points only: use the center of an area
+					const value = formatPosition(clampPosition(parsePosition(positionDisplay.textContent)));
+					const breakpoint = activeBreakpoint;
+					const saved = await saveGlobalFocusPoint(
+						attachmentId,
+						value,
+						header.querySelector('.mwe-focus-point-status'),
+						breakpoint
+					);
+
+					if (saved) {
+						globalData = Object.assign({}, globalData, breakpoint === 'mobile'
+							? { focusPointMobile: value }
+							: { focusPoint: value });
+						render();
+					}
+				});
+			}
+		}
+
+		/**
+		 * Find the best insertion point in the panel.
+		 */
+		function findInsertionPoint(panel) {
+			// For etch:img panels, insert at the class field
+			const classField = findUiField('class', panel);
+			if (classField) return classField.container;
+
+			// Fallback: return the last label/field
+			const fieldLabels = queryAllUi('fieldLabel', panel);
+			return fieldLabels.length > 0 ? fieldLabels[fieldLabels.length - 1] : panel.firstElementChild;
+		}
+
+		// Lookups collected within BATCH_WINDOW_MS and sent as one request.
+		const pendingUrlLookups = new Map();
+		const pendingAttachmentLookups = new Map();
+		let batchTimer = null;
+
+		/**
+		 * Fetch global focus point and attachment ID from server via the batch route.
+		 * Returns { focusPoint, focusPointMobile, attachmentId } or null.
+		 * Results are cached by URL; lookups are batched.
+		 */
+		async function fetchGlobalFocusPoint(imageUrl) {
+			if (!imageUrl) return null;
+
+			// Check cache first
+			const cached = globalFocusPointCache.has(imageUrl);
+			recordCacheLookup('Global focus points', cached);
+			if (cached) {
+				return globalFocusPointCache.get(imageUrl);
+			}
+
+			const inflight = new Promise((resolve) => {
+				pendingUrlLookups.set(imageUrl, resolve);
+				scheduleBatch();
+			});
+			globalFocusPointCache.set(imageUrl, inflight);
+			return inflight;
+		}
+
+		// Cache for attachment data by ID
+		const attachmentDataCache = new Map();
+
+		/**
+		 * Fetch attachment data (URL and focus point) by attachment ID.
+		 * Returns { url, focusPoint, focusPointMobile } or null.
+		 * Results are cached by attachment ID; lookups are batched.
+		 */
+		async function fetchAttachmentData(attachmentId) {
+			if (!attachmentId) return null;
+
+			const cacheKey = `attachment_${attachmentId}`;
+
+			// Check cache first
+			const cached = attachmentDataCache.has(cacheKey);
+			recordCacheLookup('Attachment data', cached);
+			if (cached) {
+				return attachmentDataCache.get(cacheKey);
+			}
+
+			const inflight = new Promise((resolve) => {
+				pendingAttachmentLookups.set(String(attachmentId), resolve);
+				scheduleBatch();
+			});
+			attachmentDataCache.set(cacheKey, inflight);
+			return inflight;
+		}
+
+		/**
+		 * Send pending lookups after a short window so that lookups made
+		 * in the same burst (e.g. all canvas images) share one request.
+		 */
+		function scheduleBatch() {
+			if (batchTimer) return;
+			batchTimer = setTimeout(() => {
+				batchTimer = null;
+				flushBatch();
+			}, BATCH_WINDOW_MS);
+		}
+
+		/**
+		 * Resolve all pending lookups via the batch endpoint.
+		 * Large batches are split to stay below the server limit.
+		 */
+		async function flushBatch() {
+			const urlLookups = [...pendingUrlLookups.entries()];
+			const attachmentLookups = [...pendingAttachmentLookups.entries()];
+			pendingUrlLookups.clear();
+			pendingAttachmentLookups.clear();
+
+			while (urlLookups.length || attachmentLookups.length) {
+				const urlChunk = urlLookups.splice(0, BATCH_MAX_SIZE);
+				const attachmentChunk = attachmentLookups.splice(0, BATCH_MAX_SIZE - urlChunk.length);
+				await sendBatch(urlChunk, attachmentChunk);
+			}
+		}
+
+		/**
+		 * Send one batch request and settle its lookups.
+		 * @param {Array<[string, Function]>} urlLookups - [url, resolve] pairs
+		 * @param {Array<[string, Function]>} attachmentLookups - [attachmentId, resolve] pairs
+		 */
+		async function sendBatch(urlLookups, attachmentLookups) {
+			let data = null;
+
+			try {
+				const response = await restRequest('focus-points/resolve', {
+					method: 'POST',
+					body: {
+						urls: urlLookups.map(([url]) => url),
+						attachment_ids: attachmentLookups.map(([id]) => Number(id))
+					}
+				});
+				const json = await response.json();
+
+				if (response.ok) {
+					data = json;
+				}
+			} catch (error) {
+				console.warn('MWE Focus Point: Failed to resolve focus points', error);
+			}
+
+			for (const [url, resolve] of urlLookups) {
+				const result = data ? toGlobalData(data.urls?.[url]) : null;
+				globalFocusPointCache.set(url, result);
+				resolve(result);
+			}
+
+			for (const [id, resolve] of attachmentLookups) {
+				const result = data ? toAttachmentData(data.attachments?.[id]) : null;
+				attachmentDataCache.set(`attachment_${id}`, result);
+				resolve(result);
+			}
+		}
+
+		/**
+		 * Convert a URL entry of the batch response to cached global data.
+		 * @param {Object|undefined} entry
+		 * @return {Object|null}
+		 */
+		function toGlobalData(entry) {
+			if (!entry) return null;
+			return {
+				focusPoint: entry.focus_point || null,
+				focusPointMobile: entry.focus_point_mobile || null,
+				attachmentId: entry.attachment_id || null
+			};
+		}
+
+		/**
+		 * Convert an attachment entry of the batch response to cached attachment data.
+		 * @param {Object|null|undefined} entry
+		 * @return {Object|null}
+		 */
+		function toAttachmentData(entry) {
+			if (!entry) return null;
+			return {
+				url: entry.url || null,
+				focusPoint: entry.focus_point || null,
+				focusPointMobile: entry.focus_point_mobile || null
+			};
+		}
+
+		/**
+		 * Seed the caches with focus data preloaded via the localized config.
+		 */
+		function seedPreloadedFocusData() {
+			const preload = config.preload || {};
+
+			for (const [url, entry] of Object.entries(preload.urls || {})) {
+				globalFocusPointCache.set(url, toGlobalData(entry));
+			}
+
+			for (const [id, entry] of Object.entries(preload.attachments || {})) {
+				attachmentDataCache.set(`attachment_${id}`, toAttachmentData(entry));
+			}
+		}
+
+		/**
+		 * Parse position string to x/y values.
+		 */
+		function parsePosition(positionStr) {
+			// A focus area is represented by its center
+			const area = parseArea(positionStr);
+			if (area) {
+				return { x: (area.x1 + area.x2) / 2, y: (area.y1 + area.y2) / 2 };
+			}
+
+			const match = positionStr.match(/([\d.]+)%\s+([\d.]+)%/);
+			if (match) {
+				return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+			}
+			return { x: 50, y: 50 };
+		}
+
+		/**
+		 * Parse a focus area (top-left and bottom-right corners, e.g. "10% 20% 60% 80%").
+		 * Mirrors Focus_Ajax::parse_focus_area().
+		 * @param {string|null} value
+		 * @return {{x1: number, y1: number, x2: number, y2: number}|null}
+		 */
+		function parseArea(value) {
+			const match = (value || '').trim().match(/^([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%$/);
+			if (!match) return null;
+
+			const [x1, y1, x2, y2] = match.slice(1).map(parseFloat);
+			if (x2 > 100 || y2 > 100 || x1 >= x2 || y1 >= y2) return null;
+			return { x1, y1, x2, y2 };
+		}
+
+		/**
+		 * Format a focus area as stored value.
+		 * @param {{x1: number, y1: number, x2: number, y2: number}} area
+		 * @return {string}
+		 */
+		function formatArea(area) {
+			return `${area.x1}% ${area.y1}% ${area.x2}% ${area.y2}%`;
+		}
+
+		/**
+		 * Move a focus area so it is centered on a position, keeping its size
+		 * and keeping it inside the image.
+		 * @param {{x1: number, y1: number, x2: number, y2: number}} area
+		 * @param {{x: number, y: number}} position
+		 * @return {{x1: number, y1: number, x2: number, y2: number}}
+		 */
+		function moveArea(area, position) {
+			const round = (value) => Math.round(value * 10) / 10;
+			const width = area.x2 - area.x1;
+			const height = area.y2 - area.y1;
+			const x1 = round(Math.min(Math.max(position.x - width / 2, 0), 100 - width));
+			const y1 = round(Math.min(Math.max(position.y - height / 2, 0), 100 - height));
+
+			return { x1, y1, x2: Math.min(100, round(x1 + width)), y2: Math.min(100, round(y1 + height)) };
+		}
+
+		/**
+		 * Get the object-position for a focus point or area on an image element.
+		 * For areas, keeps as much of the area visible as possible for the
+		 * element's rendered aspect ratio. Mirrors Focus_Position::area_to_position().
+		 * @param {string} value - Focus point or focus area
+		 * @param {Element} img
+		 * @return {string}
+		 */
+		function toObjectPosition(value, img) {
+			const area = parseArea(value);
+			if (!area) return splitZoom(value).position;
+
+			const position = { x: (area.x1 + area.x2) / 2, y: (area.y1 + area.y2) / 2 };
+			const imageRatio = img.naturalWidth && img.naturalHeight ? img.naturalWidth / img.naturalHeight : 0;
+			const boxRatio = img.clientWidth && img.clientHeight ? img.clientWidth / img.clientHeight : 0;
+
+			// Center the visible window on the area along the cropped axis.
+			const axis = (start, end, visible) => {
+				if (visible >= 1) return (start + end) / 2;
+				const size = visible * 100;
+				const offset = Math.min(Math.max((start + end) / 2 - size / 2, 0), 100 - size);
+				return offset / (100 - size) * 100;
+			};
+
+			if (imageRatio && boxRatio) {
+				if (boxRatio < imageRatio) {
+					position.x = axis(area.x1, area.x2, boxRatio / imageRatio);
+				} else if (boxRatio > imageRatio) {
+					position.y = axis(area.y1, area.y2, imageRatio / boxRatio);
+				}
+			}
+
+			return formatPosition(clampPosition(position));
+		}
+
+		/**
+		 * Clamp a position to 0-100% and round to one decimal.
+		 * @param {{x: number, y: number}} position
+		 * @return {{x: number, y: number}}
+		 */
+		function clampPosition(position) {
+			const clamp = (value) => Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+			return { x: clamp(position.x), y: clamp(position.y) };
+		}
+
+		/**
+		 * Format a position as CSS value (e.g. "30.5% 70%").
+		 * @param {{x: number, y: number}} position
+		 * @return {string}
+		 */
+		function formatPosition(position) {
+			return `${position.x}% ${position.y}%`;
+		}
+
+		/**
+		 * Split the zoom factor off a focus point (e.g. "30% 70% 1.5x").
+		 * Mirrors Focus_Ajax::split_zoom().
+		 * @param {string|null} value
+		 * @return {{position: string, zoom: number}}
+		 */
+		function splitZoom(value) {
+			const match = (value || '').trim().match(/^(.*?)(?:\s+(\d+(?:\.\d+)?)x)?$/s);
+			const zoom = match[2] ? parseFloat(match[2]) : 1;
+			return { position: match[1], zoom: Math.min(MAX_ZOOM, Math.max(1, zoom)) };
+		}
+
+		/**
+		 * Check an override value: a focus point with optional zoom, or a focus area.
+		 * Mirrors Focus_Ajax::is_valid_focus_value().
+		 * @param {string} value
+		 * @return {boolean}
+		 */
+		function isValidFocusValue(value) {
+			const number = '(\\d{1,3}(?:\\.\\d+)?)%';
+			const area = value.trim().match(new RegExp(`^${number}\\s+${number}\\s+${number}\\s+${number}$`));
+			if (area) {
+				const [x1, y1, x2, y2] = area.slice(1).map(parseFloat);
+				return x2 <= 100 && y2 <= 100 && x1 < x2 && y1 < y2;
+			}
+
+			const point = value.trim().match(new RegExp(`^${number}\\s+${number}(?:\\s+(\\d+(?:\\.\\d+)?)x)?$`));
+			if (!point) return false;
+
+			const zoom = point[3] ? parseFloat(point[3]) : 1;
+			return parseFloat(point[1]) <= 100 && parseFloat(point[2]) <= 100 && zoom >= 1 && zoom <= MAX_ZOOM;
+		}
+
+		/**
+		 * Add a zoom factor to a focus point; no suffix without zoom.
+		 * @param {string} position - e.g. "30% 70%"
+		 * @param {number} zoom
+		 * @return {string}
+		 */
+		function withZoom(position, zoom) {
+			const rounded = Math.round(zoom * 100) / 100;
+			return rounded > 1 ? `${position} ${rounded}x` : position;
+		}
+
+		/**
+		 * Get the object-view-box inset showing an image zoomed in on a point,
+		 * keeping the point at the same spot. Mirrors Focus_Position::zoom_to_inset().
+		 * @param {{x: number, y: number}} position
+		 * @param {number} zoom
+		 * @return {string}
+		 */
+		function zoomToInset(position, zoom) {
+			const crop = zoom > 1 ? 1 - 1 / zoom : 0;
+			const round = (value) => Math.round(value * crop * 100) / 100;
+			return `inset(${round(position.y)}% ${round(100 - position.x)}% ${round(100 - position.y)}% ${round(position.x)}%)`;
+		}
+
+		/**
+		 * Zoom an image in on its focus point: object-view-box where the browser
+		 * supports it, else scaled from the focus point and clipped to its box.
+		 * @param {Element} img
+		 * @param {string|null} value - Focus point with optional zoom, null to reset
+		 */
+		function applyZoom(img, value) {
+			const { position, zoom } = splitZoom(value);
+			const view = img.ownerDocument.defaultView;
+			const hasViewBox = view && view.CSS && view.CSS.supports('object-view-box', 'inset(0%)');
+
+			if (zoom <= 1 || parseArea(position)) {
+				if (!zoomedImages.has(img)) return;
+				img.style.removeProperty('object-view-box');
+				img.style.transform = '';
+				img.style.transformOrigin = '';
+				img.style.clipPath = '';
+				zoomedImages.delete(img);
+				return;
+			}
+
+			const inset = zoomToInset(parsePosition(position), zoom);
+			if (hasViewBox) {
+				img.style.setProperty('object-view-box', inset);
+			} else {
+				img.style.transform = `scale(${zoom})`;
+				img.style.transformOrigin = position;
+				img.style.clipPath = inset;
+			}
+			zoomedImages.add(img);
+		}
+
+		/**
+		 * Update marker position.
+		 */
+		function updateMarkerPosition(marker, position) {
+			marker.style.left = `${position.x}%`;
+			marker.style.top = `${position.y}%`;
+		}
+
+		/**
+		 * Save focus point override.
+		 * The change is applied to the canvas right away and sent to the
+		 * server through the save queue.
+		 * @param {string} imageKey
+		 * @param {string} focusPoint - e.g. "30% 70%"
+		 * @param {Element} statusElement
+		 * @param {string} breakpoint - 'desktop', 'tablet' or 'mobile'
+		 * @return {Promise<boolean>} Whether the change was stored on the server
+		 */
+		function saveFocusPoint(imageKey, focusPoint, statusElement, breakpoint = 'desktop') {
+			const change = { type: 'save', imageKey, focusPoint, breakpoint };
+			recordHistory(imageKey, applyOverrideChange(overridesCache[imageKey], change));
+			return queueOverrideChange(change, statusElement);
+		}
+
+		/**
+		 * Save the global Media Library focus point of an attachment via the REST API.
+		 * Invalidates the cached global data and refreshes the canvas images
+		 * that use the attachment.
+		 * @param {number} attachmentId
+		 * @param {string} focusPoint - e.g. "30% 70%"
+		 * @param {Element} statusElement
+		 * @param {string} breakpoint - 'desktop' or 'mobile'
+		 * @return {Promise<boolean>} Whether the value was saved
+		 */
+		async function saveGlobalFocusPoint(attachmentId, focusPoint, statusElement, breakpoint = 'desktop') {
+			statusElement.textContent = i18n.saving;
+			statusElement.className = 'mwe-focus-point-status saving';
+
+			try {
+				const response = await restRequest(`attachments/${attachmentId}/focus-point`, {
+					method: 'PUT',
+					body: { focus_point: focusPoint, breakpoint }
+				});
+
+				const data = await response.json().catch(() => null);
+
+				if (!response.ok) {
+					throw new Error(data?.message || 'Save failed');
+				}
+
+				await invalidateAttachmentCaches(attachmentId);
+
+				// Refresh every canvas image that uses this attachment
+				const images = await findCanvasImages(`attachment_${attachmentId}`);
+				await Promise.all(images.map(applyFocusPointToImage));
+
+				statusElement.textContent = i18n.saved;
+				statusElement.className = 'mwe-focus-point-status saved';
+
+				setTimeout(() => {
+					statusElement.textContent = '';
+					statusElement.className = 'mwe-focus-point-status';
+				}, 2000);
+
+				return true;
+			} catch (error) {
+				console.error('MWE Focus Point: Global save error', error);
+				statusElement.textContent = i18n.error;
+				statusElement.className = 'mwe-focus-point-status error';
+				return false;
+			}
+		}
+
+		/**
+		 * Drop cached global data for an attachment so it is fetched again.
+		 * @param {number} attachmentId
+		 */
+		async function invalidateAttachmentCaches(attachmentId) {
+			attachmentDataCache.delete(`attachment_${attachmentId}`);
+
+			// URL cache entries may still be in-flight promises
+			const entries = [...globalFocusPointCache.entries()];
+			await Promise.all(entries.map(async ([url, entry]) => {
+				const value = await entry;
+				if (!value || value.attachmentId === attachmentId) {
+					globalFocusPointCache.delete(url);
+				}
+			}));
+		}
+
+		/**
+		 * Delete focus point override.
+		 * The change is applied to the canvas right away and sent to the
+		 * server through the save queue.
+		 * @param {string} imageKey
+		 * @param {Element} statusElement
+		 * @param {string|null} breakpoint - Only remove this breakpoint; null removes all
+		 * @return {Promise<boolean>} Whether the change was stored on the server
+		 */
+		function deleteFocusPoint(imageKey, statusElement, breakpoint = null) {
+			const change = { type: 'delete', imageKey, focusPoint: null, breakpoint };
+			recordHistory(imageKey, applyOverrideChange(overridesCache[imageKey], change));
+			return queueOverrideChange(change, statusElement);
+		}
+
+		/**
+		 * Record the override value of an image before and after a change for undo.
+		 * Changes that leave the value as it is are not recorded.
+		 * @param {string} imageKey
+		 * @param {string|Object|null} after - Override value after the change
+		 */
+		function recordHistory(imageKey, after) {
+			const before = overridesCache[imageKey] || null;
+			if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+			undoStack.push({ imageKey, before, after });
+			if (undoStack.length > MAX_HISTORY) {
+				undoStack.shift();
+			}
+			redoStack.length = 0;
+			updateHistoryButtons();
+		}
+
+		/**
+		 * Undo the last override change, on the server as well.
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>} Whether the restored value was saved
+		 */
+		function undoFocusChange(statusElement) {
+			const entry = undoStack.pop();
+			if (!entry) return Promise.resolve(false);
+
+			redoStack.push(entry);
+			updateHistoryButtons();
+			return restoreOverride(entry.imageKey, entry.before, statusElement);
+		}
+
+		/**
+		 * Redo the last undone override change, on the server as well.
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>} Whether the restored value was saved
+		 */
+		function redoFocusChange(statusElement) {
+			const entry = redoStack.pop();
+			if (!entry) return Promise.resolve(false);
+
+			undoStack.push(entry);
+			updateHistoryButtons();
+			return restoreOverride(entry.imageKey, entry.after, statusElement);
+		}
+
+		/**
+		 * Queue the changes that turn the current override of an image into
+		 * the given value. Not recorded in the history.
+		 * @param {string} imageKey
+		 * @param {string|Object|null} value
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>}
+		 */
+		function restoreOverride(imageKey, value, statusElement) {
+			const current = normalizeOverride(overridesCache[imageKey]);
+			const target = normalizeOverride(value);
+
+			if (!Object.keys(target).length) {
+				return queueOverrideChange({ type: 'delete', imageKey, focusPoint: null, breakpoint: null }, statusElement);
+			}
+
+			const requests = [];
+			for (const breakpoint of BREAKPOINTS) {
+				if (target[breakpoint] && target[breakpoint] !== current[breakpoint]) {
+					requests.push(queueOverrideChange(
+						{ type: 'save', imageKey, focusPoint: target[breakpoint], breakpoint },
+						statusElement
+					));
+				} else if (!target[breakpoint] && current[breakpoint]) {
+					requests.push(queueOverrideChange(
+						{ type: 'delete', imageKey, focusPoint: null, breakpoint },
+						statusElement
+					));
+				}
+			}
+
+			return Promise.all(requests).then((results) => results.every(Boolean));
+		}
+
+		/**
+		 * Replace the whole override of an image, recorded as one history entry.
+		 * @param {string} imageKey
+		 * @param {Object} values - Focus points keyed by breakpoint
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>}
+		 */
+		function setOverride(imageKey, values, statusElement) {
+			// Drop values a breakpoint would inherit anyway.
+			const record = {};
+			let inherited = null;
+			for (const breakpoint of BREAKPOINTS) {
+				if (values[breakpoint] && values[breakpoint] !== inherited) {
+					record[breakpoint] = values[breakpoint];
+				}
+				inherited = values[breakpoint] || inherited;
+			}
+
+			const after = Object.keys(record).length === 1 && record.desktop ? record.desktop : record;
+			recordHistory(imageKey, after);
+			return restoreOverride(imageKey, after, statusElement);
+		}
+
+		/**
+		 * Enable or disable the undo and redo buttons of the picker.
+		 */
+		function updateHistoryButtons() {
+			document.querySelectorAll('.mwe-focus-point-undo').forEach((button) => {
+				button.disabled = !undoStack.length;
+			});
+			document.querySelectorAll('.mwe-focus-point-redo').forEach((button) => {
+				button.disabled = !redoStack.length;
+			});
+		}
+		/**
+		 * Store focus points in the clipboard shared by all builder tabs.
+		 * @param {Object} values - Focus points keyed by breakpoint
+		 */
+		function writeFocusClipboard(values) {
+			try {
+				localStorage.setItem(CLIPBOARD_STORAGE_KEY, JSON.stringify(values));
+			} catch (e) {
+				// Storage unavailable - copying is not possible
+			}
+			updateClipboardButtons();
+		}
+
+		/**
+		 * Read focus points from the clipboard.
+		 * @return {Object|null} Focus points keyed by breakpoint
+		 */
+		function readFocusClipboard() {
+			try {
+				const values = JSON.parse(localStorage.getItem(CLIPBOARD_STORAGE_KEY));
+				return values && values.desktop ? values : null;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Enable the paste buttons when the clipboard holds focus points.
+		 */
+		function updateClipboardButtons() {
+			const values = readFocusClipboard();
+			document.querySelectorAll('.mwe-focus-point-paste').forEach((button) => {
+				button.disabled = !values;
+				button.title = values ? values.desktop : '';
+			});
+		}
+
+
+		/**
+		 * Start handling connectivity changes and page unloads for the save queue.
+		 */
+		function initSaveQueue() {
+			window.addEventListener('online', () => {
+				saveRetryAttempt = 0;
+				flushSaveQueue();
+			});
+			window.addEventListener('offline', updateUnsavedIndicator);
+
+			window.addEventListener('beforeunload', (e) => {
+				if (!saveQueue.size) return;
+				e.preventDefault();
+				e.returnValue = '';
+			});
+		}
+
+		/**
+		 * Add an override change to the save queue.
+		 * Pending changes to the same breakpoint of the same image are replaced,
+		 * so rapid edits result in a single request. Changes are saved to the
+		 * post they were made on, even if Etch switches to another post first.
+		 * @param {{type: string, imageKey: string, focusPoint: ?string, breakpoint: ?string}} change
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>}
+		 */
+		function queueOverrideChange(change, statusElement) {
+			if (!postId) {
+				console.error('MWE Focus Point: No post ID available');
+				return Promise.resolve(false);
+			}
+
+			const saved = new Promise((resolve) => {
+				change.postId = postId;
+
+				const queue = saveQueue.get(change.imageKey) || [];
+				const superseded = queue.filter((queued) => !queued.inFlight && queued.postId === change.postId
+					&& (change.breakpoint === null || queued.breakpoint === change.breakpoint));
+
+				change.resolvers = [resolve];
+				change.statusElements = new Set(statusElement ? [statusElement] : []);
+				for (const queued of superseded) {
+					change.resolvers.push(...queued.resolvers);
+					queued.statusElements.forEach((element) => change.statusElements.add(element));
+				}
+
+				saveQueue.set(change.imageKey, queue.filter((queued) => !superseded.includes(queued)).concat(change));
+
+				overridesCache[change.imageKey] = applyOverrideChange(overridesCache[change.imageKey], change);
+				if (!overridesCache[change.imageKey]) {
+					delete overridesCache[change.imageKey];
+				}
+
+				setStatus(change.statusElements, 'saving');
+				updateUnsavedIndicator();
+				applyFocusPointsToIframe();
+
+				clearTimeout(saveFlushTimer);
+				saveFlushTimer = setTimeout(flushSaveQueue, SAVE_DEBOUNCE_MS);
+			});
+
+			dispatchFocusEvent(FOCUS_CHANGE_EVENT, {
+				postId: change.postId,
+				imageKey: change.imageKey,
+				type: change.type,
+				breakpoint: change.breakpoint,
+				focusPoint: change.focusPoint,
+				value: overridesCache[change.imageKey] || null,
+				saved
+			});
+
+			return saved;
+		}
+
+		/**
+		 * Apply an override change to a stored override value.
+		 * Mirrors Focus_Ajax::compact_override() for the result.
+		 * @param {string|Object|null} value
+		 * @param {{type: string, focusPoint: ?string, breakpoint: ?string}} change
+		 * @return {string|Object|null}
+		 */
+		function applyOverrideChange(value, change) {
+			if (change.type === 'delete' && !change.breakpoint) return null;
+
+			const record = normalizeOverride(value);
+			if (change.type === 'save') {
+				record[change.breakpoint] = change.focusPoint;
+			} else {
+				delete record[change.breakpoint];
+			}
+
+			const breakpoints = Object.keys(record);
+			if (!breakpoints.length) return null;
+			if (breakpoints.length === 1 && record.desktop) return record.desktop;
+			return record;
+		}
+
+		/**
+		 * Send queued changes one at a time, in the order they were made.
+		 * Stops while offline and retries with backoff after network or server errors.
+		 * @return {Promise<void>} Settles when this run, or the one already running, stops
+		 */
+		function flushSaveQueue() {
+			clearTimeout(saveFlushTimer);
+			clearTimeout(saveRetryTimer);
+			if (!saveFlush) {
+				saveFlush = sendQueuedChanges().finally(() => {
+					saveFlush = null;
+				});
+			}
+			return saveFlush;
+		}
+
+		/**
+		 * Send queued changes until the queue is empty, offline or a retryable error.
+		 */
+		async function sendQueuedChanges() {
+			try {
+				let change;
+				while (navigator.onLine && (change = getNextQueuedChange())) {
+					change.inFlight = true;
+
+					let result;
+					try {
+						result = await sendOverrideChange(change);
+					} catch (error) {
+						change.inFlight = false;
+						console.error('MWE Focus Point: Save error', error);
+
+						if (error.retryable) {
+							scheduleSaveRetry();
+							return;
+						}
+
+						// The server rejected the change: drop it and resync.
+						removeQueuedChange(change);
+						setStatus(change.statusElements, 'error');
+						change.resolvers.forEach((resolve) => resolve(false));
+						await loadOverrides();
+						applyFocusPointsToIframe();
+						continue;
+					}
+
+					saveRetryAttempt = 0;
+					removeQueuedChange(change);
+
+					// The server value is authoritative unless newer edits are still pending.
+					if (change.postId === postId && !hasQueuedChanges(change.imageKey)) {
+						if (result.override) {
+							overridesCache[change.imageKey] = result.override;
+						} else {
+							delete overridesCache[change.imageKey];
+						}
+					}
+
+					setStatus(change.statusElements, 'saved');
+					change.resolvers.forEach((resolve) => resolve(true));
+				}
+			} finally {
+				updateUnsavedIndicator();
+			}
+		}
+
+		/**
+		 * Save all queued changes now and wait for them.
+		 * @return {Promise<boolean>} False if changes are still pending (offline or after a failed attempt)
+		 */
+		async function drainSaveQueue() {
+			// A run that is already going may end before changes queued meanwhile are sent
+			await flushSaveQueue();
+			if (saveQueue.size) {
+				await flushSaveQueue();
+			}
+			return !saveQueue.size;
+		}
+
+		/**
+		 * Show that an action waits for unsaved changes.
+		 * @param {Element} statusElement
+		 */
+		function showSavesPending(statusElement) {
+			setStatus([statusElement], 'error');
+			statusElement.textContent = i18n.savesPending || 'Unsaved changes – try again once they are saved';
+		}
+
+		/**
+		 * Get the oldest queued change that is not being sent yet.
+		 * @return {Object|null}
+		 */
+		function getNextQueuedChange() {
+			for (const queue of saveQueue.values()) {
+				const change = queue.find((queued) => !queued.inFlight);
+				if (change) return change;
+			}
+			return null;
+		}
+
+		/**
+		 * Check whether changes to an image on the current post are queued.
+		 * @param {string} imageKey
+		 * @return {boolean}
+		 */
+		function hasQueuedChanges(imageKey) {
+			return (saveQueue.get(imageKey) || []).some((queued) => queued.postId === postId);
+		}
+
+		/**
+		 * Remove a change from the save queue.
+		 * @param {Object} change
+		 */
+		function removeQueuedChange(change) {
+			const queue = (saveQueue.get(change.imageKey) || []).filter((queued) => queued !== change);
+			if (queue.length) {
+				saveQueue.set(change.imageKey, queue);
+			} else {
+				saveQueue.delete(change.imageKey);
+			}
+		}
+
+		/**
+		 * Re-apply unsaved changes to the current post on top of freshly loaded overrides.
+		 */
+		function reapplyQueuedChanges() {
+			for (const [imageKey, queue] of saveQueue) {
+				for (const change of queue.filter((queued) => queued.postId === postId)) {
+					overridesCache[imageKey] = applyOverrideChange(overridesCache[imageKey], change);
+				}
+				if (!overridesCache[imageKey]) {
+					delete overridesCache[imageKey];
+				}
+			}
+		}
+
+		/**
+		 * Retry flushing the save queue with exponential backoff.
+		 */
+		function scheduleSaveRetry() {
+			const delay = Math.min(SAVE_RETRY_BASE_MS * (2 ** saveRetryAttempt), SAVE_RETRY_MAX_MS);
+			saveRetryAttempt++;
+			saveRetryTimer = setTimeout(flushSaveQueue, delay);
+		}
+
+		/**
+		 * Send a single override change via the REST API.
+		 * Errors are flagged as retryable for network failures and server errors.
+		 * @param {Object} change
+		 * @return {Promise<Object>} Response data
+		 */
+		async function sendOverrideChange(change) {
+			const route = getOverrideRoute(change.imageKey, change.postId);
+
+			let response;
+			try {
+				response = change.type === 'save'
+					? await restRequest(route, {
+						method: 'PUT',
+						body: { focus_point: change.focusPoint, breakpoint: change.breakpoint || 'desktop' }
+					})
+					: await restRequest(route, {
+						method: 'DELETE',
+						query: change.breakpoint ? { breakpoint: change.breakpoint } : {}
+					});
+			} catch (error) {
+				throw createSaveError(error.message, true);
+			}
+
+			if (response.status >= 500 || response.status === 408 || response.status === 429) {
+				throw createSaveError(`HTTP ${response.status}`, true);
+			}
+
+			const data = await response.json().catch(() => null);
+			if (!response.ok || !data) {
+				throw createSaveError(data?.message || 'Save failed', false);
+			}
+
+			return data;
+		}
+
+		/**
+		 * Create an error for a failed save request.
+		 * @param {string} message
+		 * @param {boolean} retryable
+		 * @return {Error}
+		 */
+		function createSaveError(message, retryable) {
+			const error = new Error(message);
+			error.retryable = retryable;
+			return error;
+		}
+
+		/**
+		 * Show a save state in status elements ('saving', 'saved' or 'error').
+		 * The saved state is cleared after a moment.
+		 * @param {Iterable<Element>} statusElements
+		 * @param {string} state
+		 */
+		function setStatus(statusElements, state) {
+			for (const statusElement of statusElements) {
+				statusElement.textContent = i18n[state];
+				statusElement.className = `mwe-focus-point-status ${state}`;
+
+				if (state === 'saved') {
+					setTimeout(() => {
+						if (!statusElement.classList.contains('saved')) return;
+						statusElement.textContent = '';
+						statusElement.className = 'mwe-focus-point-status';
+					}, 2000);
+				}
+			}
+		}
+
+		/**
+		 * Update the unsaved changes indicators in the picker and overview panel.
+		 */
+		function updateUnsavedIndicator() {
+			let count = 0;
+			for (const queue of saveQueue.values()) {
+				count += queue.length;
+			}
+
+			const text = navigator.onLine
+				? (i18n.unsavedChanges || 'Unsaved changes: %d').replace('%d', count)
+				: (i18n.offlinePending || 'Offline – changes will be saved when the connection is back');
+
+			document.querySelectorAll('.mwe-focus-point-unsaved').forEach((indicator) => {
+				indicator.hidden = count === 0;
+				indicator.textContent = text;
+				indicator.title = text;
+			});
+		}
+
+		/**
+		 * Suggest a focus point by analysing the image in the browser.
+		 * The image is scaled down and an edge energy map (local contrast) is
+		 * built; the point is the energy-weighted center of the window with
+		 * the most detail. Results are cached per URL.
+		 * @param {string} imageUrl
+		 * @return {Promise<{x: number, y: number}|null>} Null if the image can't be read
+		 */
+		function suggestFocusPoint(imageUrl) {
+			if (!suggestionCache.has(imageUrl)) {
+				suggestionCache.set(imageUrl, loadAnalysisImage(imageUrl)
+					.then(analyseFocusPoint)
+					.catch((error) => {
+						// e.g. cross-origin images without CORS headers taint the canvas
+						console.warn('MWE Focus Point: Could not analyse image', error);
+						return null;
+					}));
+			}
+			return suggestionCache.get(imageUrl);
+		}
+
+		/**
+		 * Load an image so its pixels can be read from a canvas.
+		 * @param {string} imageUrl
+		 * @return {Promise<HTMLImageElement>}
+		 */
+		function loadAnalysisImage(imageUrl) {
+			return new Promise((resolve, reject) => {
+				const img = new Image();
+				img.crossOrigin = 'anonymous';
+				img.onload = () => resolve(img);
+				img.onerror = () => reject(new Error(`Failed to load ${imageUrl}`));
+				img.src = imageUrl;
+			});
+		}
+
+		/**
+		 * Find the point of most detail in an image.
+		 * @param {HTMLImageElement} img
+		 * @return {{x: number, y: number}}
+		 */
+		function analyseFocusPoint(img) {
+			const scale = Math.min(1, SUGGEST_ANALYSIS_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+			const width = Math.max(1, Math.round(img.naturalWidth * scale));
+			const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+			const canvas = document.createElement('canvas');
+			canvas.width = width;
+			canvas.height = height;
+			const context = canvas.getContext('2d', { willReadFrequently: true });
+			context.drawImage(img, 0, 0, width, height);
+			const { data } = context.getImageData(0, 0, width, height);
+
+			// Luminance per pixel
+			const luma = new Float32Array(width * height);
+			for (let i = 0; i < luma.length; i++) {
+				luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+			}
+
+			// Edge energy (gradient magnitude) and its integral image
+			const energy = new Float32Array(width * height);
+			const integral = new Float64Array((width + 1) * (height + 1));
+			for (let y = 0; y < height; y++) {
+				let rowSum = 0;
+				for (let x = 0; x < width; x++) {
+					const i = y * width + x;
+					const dx = x < width - 1 ? luma[i + 1] - luma[i] : 0;
+					const dy = y < height - 1 ? luma[i + width] - luma[i] : 0;
+					energy[i] = Math.sqrt(dx * dx + dy * dy);
+					rowSum += energy[i];
+					integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+				}
+			}
+
+			// Window of a third of the image with the most energy
+			const windowWidth = Math.max(1, Math.round(width / 3));
+			const windowHeight = Math.max(1, Math.round(height / 3));
+			const sum = (x, y) => integral[(y + windowHeight) * (width + 1) + x + windowWidth]
+				- integral[y * (width + 1) + x + windowWidth]
+				- integral[(y + windowHeight) * (width + 1) + x]
+				+ integral[y * (width + 1) + x];
+
+			let best = { x: 0, y: 0, value: -1 };
+			for (let y = 0; y <= height - windowHeight; y++) {
+				for (let x = 0; x <= width - windowWidth; x++) {
+					const value = sum(x, y);
+					if (value > best.value) best = { x, y, value };
+				}
+			}
+
+			// No detail at all (flat image): keep the center
+			if (best.value <= 0) return { x: 50, y: 50 };
+
+			// Energy-weighted center inside that window
+			let totalWeight = 0;
+			let weightedX = 0;
+			let weightedY = 0;
+			for (let y = best.y; y < best.y + windowHeight; y++) {
+				for (let x = best.x; x < best.x + windowWidth; x++) {
+					const weight = energy[y * width + x];
+					totalWeight += weight;
+					weightedX += weight * (x + 0.5);
+					weightedY += weight * (y + 0.5);
+				}
+			}
+
+			return clampPosition({
+				x: Math.round((weightedX / totalWeight / width) * 100),
+				y: Math.round((weightedY / totalWeight / height) * 100)
+			});
+		}
+
+		/**
+		 * Suggest and save focus points for all canvas images that have
+		 * neither an override nor a global focus point.
+		 * @param {Element} statusElement
+		 * @return {Promise<number>} Number of images a focus point was saved for
+		 */
+		async function suggestMissingFocusPoints(statusElement) {
+			const groups = await collectCanvasImageGroups();
+			const missing = [...groups].filter(([imageKey, group]) =>
+				!resolveFocusPoint(overridesCache[imageKey], group.globalData, 'desktop'));
+
+			if (!missing.length) {
+				window.alert(i18n.noMissingFocusPoints || 'All images on this page have a focus point.');
+				return 0;
+			}
+
+			const confirmText = (i18n.confirmSuggestMissing || 'Suggest focus points for %d images without one?')
+				.replace('%d', missing.length);
+			if (!window.confirm(confirmText)) return 0;
+
+			let count = 0;
+			for (const [imageKey, group] of missing) {
+				const img = group.images[0];
+				const src = img.currentSrc || getCanvasImageSrc(img);
+				const suggestion = await suggestFocusPoint(src);
+				if (!suggestion) continue;
+
+				saveFocusPoint(imageKey, formatPosition(suggestion), statusElement, 'desktop');
+				count++;
+			}
+			return count;
+		}
+
+		/**
+		 * Download the overrides of this page as JSON file.
+		 * URL keys get the URL of a canvas image using them, so the file
+		 * tells which image they belong to.
+		 * @param {Element} statusElement
+		 * @return {Promise<boolean>} Whether the file was created
+		 */
+		async function exportOverrides(statusElement) {
+			// Include changes that are still queued
+			if (!await drainSaveQueue()) {
+				showSavesPending(statusElement);
+				return false;
+			}
+
+			let data;
+			try {
+				const response = await restRequest(`posts/${postId}/focus-overrides/export`);
+				data = await response.json();
+				if (!response.ok) throw new Error(data?.message || 'Export failed');
+			} catch (error) {
+				console.error('MWE Focus Point: Export error', error);
+				setStatus([statusElement], 'error');
+				return false;
+			}
+
+			const groups = await collectCanvasImageGroups();
+			for (const item of data.overrides) {
+				const group = groups.get(item.key.slice(item.key.lastIndexOf(':') + 1));
+				if (!item.image && group) {
+					item.image = { url: getCanvasImageSrc(group.images[0]) };
+				}
+			}
+
+			const link = document.createElement('a');
+			link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, '\t')], { type: 'application/json' }));
+			link.download = `focus-points-${postId}.json`;
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(link.href), 0);
+			return true;
+		}
+
+		/**
+		 * Import an exported JSON file into this page and show what could not be matched.
+		 * @param {File} file
+		 * @param {Element} statusElement
+		 * @param {Element} reportElement
+		 * @return {Promise<boolean>} Whether the file was imported
+		 */
+		async function importOverrides(file, statusElement, reportElement) {
+			reportElement.hidden = true;
+
+			let exported;
+			try {
+				exported = JSON.parse(await file.text());
+			} catch (e) {
+				exported = null;
+			}
+
+			if (!exported || !Array.isArray(exported.overrides)) {
+				reportElement.textContent = i18n.importInvalidFile || 'This is not a focus point export file.';
+				reportElement.hidden = false;
+				return false;
+			}
+
+			// Queued changes sent after the import would overwrite imported values
+			setStatus([statusElement], 'saving');
+			if (!await drainSaveQueue()) {
+				showSavesPending(statusElement);
+				return false;
+			}
+
+			let report;
+			try {
+				const response = await restRequest(`posts/${postId}/focus-overrides/import`, {
+					method: 'POST',
+					body: { version: exported.version, overrides: exported.overrides }
+				});
+				report = await response.json();
+				if (!response.ok) throw new Error(report?.message || 'Import failed');
+			} catch (error) {
+				console.error('MWE Focus Point: Import error', error);
+				setStatus([statusElement], 'error');
+				return false;
+			}
+
+			setStatus([statusElement], 'saved');
+			renderImportReport(reportElement, report);
+
+			// Undo would restore values from before the import on top of imported ones
+			undoStack.length = 0;
+			redoStack.length = 0;
+			updateHistoryButtons();
+
+			await loadOverrides();
+			applyFocusPointsToIframe();
+			return true;
+		}
+
+		/**
+		 * Show the result of an import: counts and the overrides that were skipped.
+		 * @param {Element} reportElement
+		 * @param {{imported: string[], remapped: Object, unmatched: Object[]}} report
+		 */
+		function renderImportReport(reportElement, report) {
+			const reasons = {
+				not_found: i18n.importNotFound || 'image not found on this site',
+				component_not_found: i18n.importNoComponent || 'component not found on this site',
+				invalid: i18n.importInvalid || 'invalid value',
+				forbidden: i18n.importForbidden || 'not allowed'
+			};
+
+			reportElement.textContent = (i18n.importSummary || 'Imported %1$d, remapped %2$d.')
+				.replace('%1$d', report.imported.length)
+				.replace('%2$d', Object.keys(report.remapped || {}).length);
+
+			if (report.unmatched.length) {
+				const list = document.createElement('ul');
+				for (const entry of report.unmatched) {
+					const item = document.createElement('li');
+					item.textContent = `${entry.filename || entry.url || entry.key}: ${reasons[entry.reason] || entry.reason}`;
+					item.title = entry.key;
+					list.appendChild(item);
+				}
+				reportElement.append(` ${i18n.importUnmatched || 'Skipped:'}`, list);
+			}
+
+			reportElement.hidden = false;
+		}
+
+		// Overview panel elements (created once, on first open).
+		let overviewPanel = null;
+		let overviewRefreshTimer = null;
+
+		// Index of the occurrence jumped to last, per image key (cycles on repeated jumps).
+		const overviewJumpIndex = new Map();
+
+		/**
+		 * Add the toggle button for the page-wide focus point overview.
+		 */
+		function initOverviewPanel() {
+			const toggle = document.createElement('button');
+			toggle.type = 'button';
+			toggle.className = 'mwe-focus-toolbar-button mwe-focus-overview-toggle';
+			toggle.textContent = i18n.overview || 'Focus points';
+			toggle.setAttribute('aria-expanded', 'false');
+			toggle.addEventListener('click', () => {
+				const isOpen = overviewPanel && !overviewPanel.hidden;
+				toggleOverviewPanel(!isOpen);
+				toggle.setAttribute('aria-expanded', isOpen ? 'false' : 'true');
+			});
+			getFocusToolbar().appendChild(toggle);
+		}
+
+		/**
+		 * Open or close the overview panel.
+		 * @param {boolean} open
+		 */
+		function toggleOverviewPanel(open) {
+			if (!overviewPanel) {
+				overviewPanel = createOverviewPanel();
+				document.body.appendChild(overviewPanel);
+				updateUnsavedIndicator();
+			}
+
+			overviewPanel.hidden = !open;
+			if (open) {
+				// Pick up overrides saved elsewhere (e.g. another builder tab)
+				loadOverrides().then(renderOverviewPanel);
+			}
+		}
+
+		/**
+		 * Build the overview panel shell: toolbar, list and status.
+		 * @return {Element}
+		 */
+		function createOverviewPanel() {
+			const panel = document.createElement('section');
+			panel.className = 'mwe-focus-overview';
+			panel.setAttribute('aria-label', i18n.overview || 'Focus points');
+			panel.dataset.dock = localStorage.getItem(OVERVIEW_DOCK_STORAGE_KEY) || 'right';
+
+			panel.innerHTML = `
+				<div class="mwe-focus-overview-header">
+					<span class="mwe-focus-point-title"></span>
+					<span class="mwe-focus-point-unsaved" role="status" hidden></span>
+					<span class="mwe-focus-point-status"></span>
+					<button type="button" class="mwe-focus-overview-dock"></button>
+					<button type="button" class="mwe-focus-overview-close" aria-label="">&times;</button>
+				</div>
+				<div class="mwe-focus-overview-toolbar">
+					<label class="mwe-focus-overview-select-all">
+						<input type="checkbox">
+					</label>
+					<input type="text" class="mwe-focus-overview-value" placeholder="50% 50%">
+					<select class="mwe-focus-overview-breakpoint"></select>
+					<button type="button" class="mwe-focus-point-button mwe-focus-overview-apply"></button>
+					<button type="button" class="mwe-focus-point-button mwe-focus-overview-reset"></button>
+					<button type="button" class="mwe-focus-point-button mwe-focus-overview-suggest"></button>
+				</div>
+				<ul class="mwe-focus-overview-list"></ul>
+				<div class="mwe-focus-overview-transfer">
+					<button type="button" class="mwe-focus-point-button mwe-focus-overview-export"></button>
+					<button type="button" class="mwe-focus-point-button mwe-focus-overview-import"></button>
+					<input type="file" accept="application/json,.json" hidden>
+				</div>
+				<div class="mwe-focus-overview-report" role="status" hidden></div>
+			`;
+
+			panel.querySelector('.mwe-focus-point-title').textContent = i18n.overview || 'Focus points';
+			panel.querySelector('.mwe-focus-overview-close').setAttribute('aria-label', i18n.close || 'Close');
+			panel.querySelector('.mwe-focus-overview-select-all').append(` ${i18n.selectAll || 'All'}`);
+			panel.querySelector('.mwe-focus-overview-apply').textContent = i18n.applySelected || 'Apply';
+			panel.querySelector('.mwe-focus-overview-reset').textContent = i18n.resetSelected || 'Reset';
+			panel.querySelector('.mwe-focus-overview-suggest').textContent = i18n.suggestMissing || 'Suggest missing';
+			panel.querySelector('.mwe-focus-overview-export').textContent = i18n.exportOverrides || 'Export';
+			panel.querySelector('.mwe-focus-overview-import').textContent = i18n.importOverrides || 'Import';
+
+			const breakpointSelect = panel.querySelector('.mwe-focus-overview-breakpoint');
+			for (const breakpoint of BREAKPOINTS) {
+				breakpointSelect.add(new Option(i18n[breakpoint] || breakpoint, breakpoint));
+			}
+			breakpointSelect.value = activeBreakpoint;
+
+			const dockButton = panel.querySelector('.mwe-focus-overview-dock');
+			const updateDockLabel = () => {
+				dockButton.textContent = panel.dataset.dock === 'right'
+					? (i18n.dockLeft || 'Dock left')
+					: (i18n.dockRight || 'Dock right');
+			};
+			updateDockLabel();
+
+			dockButton.addEventListener('click', () => {
+				panel.dataset.dock = panel.dataset.dock === 'right' ? 'left' : 'right';
+				localStorage.setItem(OVERVIEW_DOCK_STORAGE_KEY, panel.dataset.dock);
+				updateDockLabel();
+			});
+
+			panel.querySelector('.mwe-focus-overview-close').addEventListener('click', () => {
+				toggleOverviewPanel(false);
+				document.querySelector('.mwe-focus-overview-toggle')?.setAttribute('aria-expanded', 'false');
+			});
+
+			panel.querySelector('.mwe-focus-overview-select-all input').addEventListener('change', (e) => {
+				panel.querySelectorAll('.mwe-focus-overview-row input[type="checkbox"]')
+					.forEach((checkbox) => { checkbox.checked = e.target.checked; });
+			});
+
+			panel.querySelector('.mwe-focus-overview-apply').addEventListener('click', async () => {
+				const valueInput = panel.querySelector('.mwe-focus-overview-value');
+				const value = valueInput.value.trim();
+				const match = value.match(/^([\d.]+)%\s+([\d.]+)%$/);
+				if (!match) {
+					valueInput.focus();
+					return;
+				}
+
+				const focusPoint = formatPosition(clampPosition({ x: parseFloat(match[1]), y: parseFloat(match[2]) }));
+				const status = panel.querySelector('.mwe-focus-point-status');
+				await Promise.all(getSelectedOverviewKeys()
+					.map((imageKey) => saveFocusPoint(imageKey, focusPoint, status, breakpointSelect.value)));
+			});
+
+			panel.querySelector('.mwe-focus-overview-reset').addEventListener('click', async () => {
+				const status = panel.querySelector('.mwe-focus-point-status');
+				await Promise.all(getSelectedOverviewKeys()
+					.map((imageKey) => deleteFocusPoint(imageKey, status)));
+			});
+
+			panel.querySelector('.mwe-focus-overview-suggest').addEventListener('click', async (e) => {
+				const button = e.currentTarget;
+				button.disabled = true;
+				try {
+					await suggestMissingFocusPoints(panel.querySelector('.mwe-focus-point-status'));
+				} finally {
+					button.disabled = false;
+				}
+			});
+
+			// Export downloads a JSON file; import uploads one, e.g. from a staging site.
+			const fileInput = panel.querySelector('.mwe-focus-overview-transfer input[type="file"]');
+			panel.querySelector('.mwe-focus-overview-export').addEventListener('click', () => {
+				exportOverrides(panel.querySelector('.mwe-focus-point-status'));
+			});
+			panel.querySelector('.mwe-focus-overview-import').addEventListener('click', () => fileInput.click());
+			fileInput.addEventListener('change', async () => {
+				const file = fileInput.files[0];
+				fileInput.value = '';
+				if (!file) return;
+
+				await importOverrides(
+					file,
+					panel.querySelector('.mwe-focus-point-status'),
+					panel.querySelector('.mwe-focus-overview-report')
+				);
+				renderOverviewPanel();
+			});
+
+			return panel;
+		}
+
+		/**
+		 * Get the image keys of all checked rows.
+		 * @return {string[]}
+		 */
+		function getSelectedOverviewKeys() {
+			if (!overviewPanel) return [];
+			return [...overviewPanel.querySelectorAll('.mwe-focus-overview-row input[type="checkbox"]:checked')]
+				.map((checkbox) => checkbox.value);
+		}
+
+		/**
+		 * Re-render the overview panel if it is open (debounced).
+		 */
+		function refreshOverviewPanel() {
+			if (!overviewPanel || overviewPanel.hidden) return;
+
+			clearTimeout(overviewRefreshTimer);
+			overviewRefreshTimer = setTimeout(renderOverviewPanel, 100);
+		}
+
+		/**
+		 * Collect every image in the canvas grouped by image key.
+		 * @return {Promise<Map<string, {images: Element[], globalData: Object|null}>>}
+		 */
+		async function collectCanvasImageGroups() {
+			const groups = new Map();
+			const iframe = getCanvasIframe();
+			if (!iframe) return groups;
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				const images = queryCanvasImages(iframeDoc);
+				const resolved = await Promise.all(images.map(resolveCanvasImage));
+
+				images.forEach((img, i) => {
+					if (!resolved[i]) return;
+					const { imageKey, globalData } = resolved[i];
+					if (!groups.has(imageKey)) {
+						groups.set(imageKey, { images: [], globalData });
+					}
+					groups.get(imageKey).images.push(img);
+				});
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+			}
+
+			return groups;
+		}
+
+		/**
+		 * Collect the image keys of picture sources in the canvas. Their images
+		 * are shown in the img of the picture, so they are not canvas images.
+		 * @return {Promise<Set<string>>}
+		 */
+		async function collectPictureSourceKeys() {
+			const iframe = getCanvasIframe();
+			if (!iframe) return new Set();
+
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				const resolved = await Promise.all([...iframeDoc.querySelectorAll('picture > source')].map(resolvePictureSource));
+				return new Set(resolved.filter(Boolean).map((entry) => entry.imageKey));
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return new Set();
+			}
+		}
+
+		/**
+		 * Render one row per image key in the canvas, plus stale overrides.
+		 */
+		async function renderOverviewPanel() {
+			if (!overviewPanel || overviewPanel.hidden) return;
+
+			const groups = await collectCanvasImageGroups();
+			const list = overviewPanel.querySelector('.mwe-focus-overview-list');
+			const checked = new Set(getSelectedOverviewKeys());
+
+			// Overrides whose key no image on the page uses any more.
+			// Scoped overrides belong to the image after the last scope key.
+			const sourceKeys = await collectPictureSourceKeys();
+			const staleKeys = Object.keys(overridesCache).filter((imageKey) => {
+				const key = imageKey.slice(imageKey.lastIndexOf(':') + 1);
+				return !groups.has(key) && !sourceKeys.has(key);
+			});
+
+			list.textContent = '';
+
+			for (const [imageKey, group] of groups) {
+				const src = getCanvasImageSrc(group.images[0]);
+				list.appendChild(createOverviewRow(imageKey, src, group, checked.has(imageKey)));
+			}
+
+			for (const imageKey of staleKeys) {
+				const row = createOverviewRow(imageKey, null, null, checked.has(imageKey));
+				list.appendChild(row);
+
+				// Stale WordPress images can still show their thumbnail
+				const attachmentMatch = imageKey.match(/(?:^|:)attachment_(\d+)$/);
+				if (attachmentMatch) {
+					fetchAttachmentData(parseInt(attachmentMatch[1], 10)).then((data) => {
+						if (data?.url) {
+							row.querySelector('.mwe-focus-overview-thumb').src = data.url;
+						}
+					});
+				}
+			}
+
+			if (!list.children.length) {
+				const empty = document.createElement('li');
+				empty.className = 'mwe-focus-overview-empty';
+				empty.textContent = i18n.noImages || 'No images on this page.';
+				list.appendChild(empty);
+			}
+		}
+
+		/**
+		 * Create a row of the overview panel.
+		 * @param {string} imageKey
+		 * @param {string|null} src - Thumbnail URL (null for stale overrides)
+		 * @param {Object|null} group - { images, globalData }, null for stale overrides
+		 * @param {boolean} isChecked
+		 * @return {Element}
+		 */
+		function createOverviewRow(imageKey, src, group, isChecked) {
+			const record = normalizeOverride(overridesCache[imageKey]);
+			const hasOverride = Object.keys(record).length > 0;
+
+			const row = document.createElement('li');
+			row.className = 'mwe-focus-overview-row';
+			row.classList.toggle('is-stale', !group);
+
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.value = imageKey;
+			checkbox.checked = isChecked;
+
+			const thumb = document.createElement('img');
+			thumb.className = 'mwe-focus-overview-thumb';
+			thumb.alt = '';
+			if (src) thumb.src = src;
+
+			const details = document.createElement('div');
+			details.className = 'mwe-focus-overview-details';
+
+			const key = document.createElement('code');
+			key.className = 'mwe-focus-overview-key';
+			key.textContent = imageKey;
+
+			const value = document.createElement('span');
+			value.className = 'mwe-focus-overview-value-label';
+			if (hasOverride) {
+				value.textContent = `${i18n.override}: ` + BREAKPOINTS
+					.filter((breakpoint) => record[breakpoint])
+					.map((breakpoint) => `${i18n[breakpoint] || breakpoint} ${record[breakpoint]}`)
+					.join(', ');
+			} else {
+				value.textContent = `${i18n.globalValue}: ${resolveFocusPoint(null, group?.globalData, 'desktop') || '50% 50%'}`;
+			}
+
+			details.appendChild(key);
+			details.appendChild(value);
+
+			if (!group) {
+				const stale = document.createElement('span');
+				stale.className = 'mwe-focus-overview-stale';
+				stale.textContent = i18n.staleOverride || 'Unused on this page';
+				details.appendChild(stale);
+			} else if (group.images.length > 1) {
+				const count = document.createElement('span');
+				count.className = 'mwe-focus-overview-count';
+				count.textContent = `×${group.images.length}`;
+				details.appendChild(count);
+			}
+
+			row.appendChild(checkbox);
+			row.appendChild(thumb);
+			row.appendChild(details);
+
+			if (group) {
+				const jump = document.createElement('button');
+				jump.type = 'button';
+				jump.className = 'mwe-focus-point-button mwe-focus-overview-jump';
+				jump.textContent = i18n.jumpTo || 'Show';
+				jump.addEventListener('click', () => jumpToCanvasImage(imageKey, group.images));
+				row.appendChild(jump);
+			}
+
+			return row;
+		}
+
+		/**
+		 * Scroll an image in the canvas into view and highlight it briefly.
+		 * Repeated jumps to the same key cycle through its occurrences.
+		 * @param {string} imageKey
+		 * @param {Element[]} images
+		 */
+		function jumpToCanvasImage(imageKey, images) {
+			const index = ((overviewJumpIndex.get(imageKey) ?? -1) + 1) % images.length;
+			overviewJumpIndex.set(imageKey, index);
+
+			const img = images[index];
+			if (!img.isConnected) return;
+
+			img.scrollIntoView({ behavior: 'smooth', block: 'center' });
+			highlightCanvasImage(img);
+		}
+
+		/**
+		 * Outline an image in the canvas for a moment.
+		 * @param {Element} img
+		 */
+		function highlightCanvasImage(img) {
+			// Inline outline only - no stylesheet is injected into the canvas
+			const previousOutline = img.style.outline;
+			const previousOffset = img.style.outlineOffset;
+			img.style.outline = '3px solid #469fea';
+			img.style.outlineOffset = '2px';
+			setTimeout(() => {
+				img.style.outline = previousOutline;
+				img.style.outlineOffset = previousOffset;
+			}, 1500);
+		}
+
+		// Canvas overlay with a crosshair per iframe image (created once, on first open).
+		let canvasOverlay = null;
+		let canvasOverlayStatus = null;
+		let overlayPositionFrame = null;
+
+		// Overlay handle per canvas image: { handle, scopeKeys, pageKey, globalData, pending }.
+		const overlayHandles = new Map();
+
+		// Images smaller than this (px) get no crosshair.
+		const OVERLAY_MIN_IMAGE_SIZE = 24;
+
+		/**
+		 * Add the toggle button for editing focus points directly on the canvas.
+		 */
+		function initCanvasOverlay() {
+			const toggle = document.createElement('button');
+			toggle.type = 'button';
+			toggle.className = 'mwe-focus-toolbar-button mwe-focus-overlay-toggle';
+			toggle.textContent = i18n.editOnCanvas || 'Edit on canvas';
+			toggle.setAttribute('aria-pressed', 'false');
+			toggle.addEventListener('click', () => {
+				const isOpen = canvasOverlay && !canvasOverlay.hidden;
+				toggleCanvasOverlay(!isOpen);
+				toggle.setAttribute('aria-pressed', isOpen ? 'false' : 'true');
+			});
+
+			canvasOverlayStatus = document.createElement('span');
+			canvasOverlayStatus.className = 'mwe-focus-point-status';
+
+			const toolbar = getFocusToolbar();
+			toolbar.prepend(toggle);
+			toolbar.prepend(canvasOverlayStatus);
 		}
 
 		/**
-		 * Inject the focus point UI into the panel.
-		 * @param {Element} panel - The panel element to inject into
-		 * @param {Object} image - Image object with src or attachmentId
-		 * @param {boolean} isEtchImageElement - Whether this is an etch:img element
+		 * Get the floating toolbar holding the editor's page-wide buttons.
+		 * @return {Element}
 		 */
-		async function injectFocusPointUI(panel, image, isEtchImageElement = false) {
-			let globalValue = null;
-			let attachmentId = null;
-			let imageSrc = null;
+		function getFocusToolbar() {
+			let toolbar = document.querySelector('.mwe-focus-toolbar');
+			if (!toolbar) {
+				toolbar = document.createElement('div');
+				toolbar.className = 'mwe-focus-toolbar';
+				document.body.appendChild(toolbar);
+			}
+			return toolbar;
+		}
 
-			// Handle etch:img elements which provide attachmentId directly
-			if (image.isEtchImg && image.attachmentId) {
-				attachmentId = image.attachmentId;
-				// Fetch image data by attachment ID
-				const attachmentData = await fetchAttachmentData(attachmentId);
-				imageSrc = attachmentData?.url || null;
-				globalValue = attachmentData?.focusPoint || null;
-			} else {
-				// Standard img element - fetch global focus point from URL
-				imageSrc = image.src;
-				const globalData = await fetchGlobalFocusPoint(imageSrc);
-				globalValue = globalData?.focusPoint || null;
-				attachmentId = globalData?.attachmentId || null;
+		/**
+		 * Show or hide the canvas overlay.
+		 * @param {boolean} open
+		 */
+		function toggleCanvasOverlay(open) {
+			if (!canvasOverlay) {
+				canvasOverlay = document.createElement('div');
+				canvasOverlay.className = 'mwe-focus-canvas-overlay';
+				document.body.appendChild(canvasOverlay);
+				window.addEventListener('resize', scheduleOverlayPosition);
 			}
 
-			// If we couldn't get an image URL, we can't show the UI
-			if (!imageSrc) {
-				console.warn('MWE Focus Point: Could not determine image URL');
-				return;
+			canvasOverlay.hidden = !open;
+			if (open) {
+				renderCanvasOverlay();
 			}
+		}
 
-			// Use attachment_id for WordPress images, URL hash for external
-			const imageKey = attachmentId
-				? `attachment_${attachmentId}`
-				: 'url_' + md5(imageSrc);
+		/**
+		 * Create, update and remove crosshairs to match the images in the canvas.
+		 */
+		async function renderCanvasOverlay() {
+			if (!canvasOverlay || canvasOverlay.hidden) return;
 
-			const currentOverride = overridesCache[imageKey] || null;
+			const iframe = getCanvasIframe();
+			if (!iframe) return;
 
-			// Create container.
-			const container = document.createElement('div');
-			container.className = 'mwe-focus-point-container';
-			if (isEtchImageElement) {
-				container.classList.add('mwe-focus-point-container--etch-img');
+			let images;
+			try {
+				const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+				// Images inside an etch:img are handled through the etch:img itself
+				images = queryCanvasImages(iframeDoc)
+					.filter((img) => !img.parentElement?.closest('etch\\:img'));
+			} catch (e) {
+				// Iframe not accessible
+				recordDiagnosticError('Canvas access', e);
+				return;
 			}
 
-			// Create header.
-			const header = document.createElement('div');
-			header.className = 'mwe-focus-point-header';
-			header.innerHTML = `
-				<span class="mwe-focus-point-title">${i18n.focusPoint}</span>
-				<span class="mwe-focus-point-status"></span>
-			`;
+			const resolved = await Promise.all(images.map(async (img) => {
+				const entry = await resolveCanvasImage(img);
+				return entry ? getCanvasImageScopes(img, entry) : null;
+			}));
 
-			// Create preview area.
-			const preview = document.createElement('div');
-			preview.className = 'mwe-focus-point-preview';
+			const current = new Set();
+			images.forEach((img, i) => {
+				if (!resolved[i]) return;
 
-			const previewImage = document.createElement('img');
-			previewImage.src = imageSrc;
-			previewImage.className = 'mwe-focus-point-preview-image';
+				let entry = overlayHandles.get(img);
+				if (!entry) {
+					entry = createOverlayHandle(img);
+					overlayHandles.set(img, entry);
+					canvasOverlay.appendChild(entry.handle);
+				}
+				Object.assign(entry, resolved[i]);
+				current.add(img);
+			});
 
-			const marker = document.createElement('div');
-			marker.className = 'mwe-focus-point-marker';
+			for (const [img, entry] of overlayHandles) {
+				if (!current.has(img)) {
+					entry.handle.remove();
+					overlayHandles.delete(img);
+				}
+			}
 
-			preview.appendChild(previewImage);
-			preview.appendChild(marker);
+			positionOverlayHandles();
+		}
 
-			// Create info area.
-			const info = document.createElement('div');
-			info.className = 'mwe-focus-point-info';
+		/**
+		 * Reposition the crosshairs on the next animation frame.
+		 */
+		function scheduleOverlayPosition() {
+			if (!canvasOverlay || canvasOverlay.hidden || overlayPositionFrame) return;
 
-			const positionDisplay = document.createElement('span');
-			positionDisplay.className = 'mwe-focus-point-position';
-			positionDisplay.textContent = currentOverride || globalValue || '50% 50%';
+			overlayPositionFrame = requestAnimationFrame(() => {
+				overlayPositionFrame = null;
+				positionOverlayHandles();
+			});
+		}
 
-			const typeLabel = document.createElement('span');
-			typeLabel.className = 'mwe-focus-point-type';
-			typeLabel.textContent = currentOverride ? i18n.override : i18n.globalValue;
+		/**
+		 * Place the overlay over the iframe and each crosshair on the focus
+		 * point of its image for the canvas breakpoint.
+		 */
+		function positionOverlayHandles() {
+			const iframe = getCanvasIframe();
+			if (!canvasOverlay || !iframe) return;
+
+			const iframeRect = iframe.getBoundingClientRect();
+			canvasOverlay.style.left = `${iframeRect.left}px`;
+			canvasOverlay.style.top = `${iframeRect.top}px`;
+			canvasOverlay.style.width = `${iframeRect.width}px`;
+			canvasOverlay.style.height = `${iframeRect.height}px`;
+
+			const breakpoint = canvasBreakpoint || getCanvasBreakpoint();
+			for (const [img, entry] of overlayHandles) {
+				const rect = img.getBoundingClientRect();
+				const isVisible = img.isConnected
+					&& rect.width >= OVERLAY_MIN_IMAGE_SIZE
+					&& rect.height >= OVERLAY_MIN_IMAGE_SIZE;
+
+				entry.handle.hidden = !isVisible;
+				if (!isVisible) continue;
+
+				const position = entry.pending || parsePosition(
+					resolveFocusPoint(getScopedOverride(entry.scopeKeys), entry.globalData, breakpoint) || '50% 50%'
+				);
+				entry.handle.style.left = `${rect.left + (rect.width * position.x) / 100}px`;
+				entry.handle.style.top = `${rect.top + (rect.height * position.y) / 100}px`;
+				entry.handle.setAttribute('aria-valuetext', formatPosition(position));
+			}
+		}
 
-			info.appendChild(positionDisplay);
-			info.appendChild(typeLabel);
+		/**
+		 * Create a draggable, keyboard-accessible crosshair for a canvas image.
+		 * @param {Element} img
+		 * @return {Object} Overlay entry
+		 */
+		function createOverlayHandle(img) {
+			const handle = document.createElement('div');
+			handle.className = 'mwe-focus-canvas-handle';
+			handle.tabIndex = 0;
+			handle.setAttribute('role', 'slider');
+			handle.setAttribute('aria-label', i18n.markerLabel || i18n.focusPoint);
+
+			const entry = { handle, scopeKeys: [], pageKey: null, globalData: null, pending: null };
+			let keyboardCommitTimer = null;
+
+			const currentValue = () => resolveFocusPoint(
+				getScopedOverride(entry.scopeKeys),
+				entry.globalData,
+				canvasBreakpoint || getCanvasBreakpoint()
+			) || '50% 50%';
+			const currentPosition = () => entry.pending || parsePosition(currentValue());
+
+			// Moving keeps the zoom of a point and the size of an area
+			const valueAt = (position) => {
+				const value = currentValue();
+				const area = parseArea(value);
+				return area ? formatArea(moveArea(area, position)) : withZoom(formatPosition(position), splitZoom(value).zoom);
+			};
 
-			// Create actions.
-			const actions = document.createElement('div');
-			actions.className = 'mwe-focus-point-actions';
+			// Preview on the canvas image itself while editing
+			const edit = (position) => {
+				const value = valueAt(clampPosition(position));
+				entry.pending = parsePosition(value);
+				if (isBackgroundElement(img)) {
+					img.style.backgroundPosition = toObjectPosition(value, img);
+				} else {
+					img.style.objectPosition = toObjectPosition(value, img);
+					applyZoom(img, value);
+				}
+				styledImages.add(img);
+				positionOverlayHandles();
+			};
 
-			const resetButton = document.createElement('button');
-			resetButton.type = 'button';
-			resetButton.className = 'mwe-focus-point-button mwe-focus-point-reset';
-			resetButton.textContent = i18n.useGlobal;
-			resetButton.disabled = !currentOverride;
+			const commit = () => {
+				clearTimeout(keyboardCommitTimer);
+				if (!entry.pending) return;
 
-			actions.appendChild(resetButton);
+				const value = valueAt(entry.pending);
+				const breakpoint = canvasBreakpoint || getCanvasBreakpoint();
+				entry.pending = null;
 
-			// Assemble container.
-			container.appendChild(header);
-			container.appendChild(preview);
-			container.appendChild(info);
-			container.appendChild(actions);
+				// Save to the most specific scope with an override, like the picker
+				const imageKey = entry.scopeKeys.find((key) => overridesCache[key]) || entry.pageKey;
+				if (normalizeOverride(overridesCache[imageKey])[breakpoint] === value) return;
+				saveFocusPoint(imageKey, value, canvasOverlayStatus, breakpoint);
+			};
 
-			// Find insertion point in panel.
-			const insertionPoint = findInsertionPoint(panel);
-			if (insertionPoint) {
-				insertionPoint.parentNode.insertBefore(container, insertionPoint.nextSibling);
-			} else {
-				panel.appendChild(container);
-			}
+			const pointerToPosition = (e) => {
+				const iframe = getCanvasIframe();
+				const iframeRect = iframe.getBoundingClientRect();
+				const rect = img.getBoundingClientRect();
+				return {
+					x: ((e.clientX - iframeRect.left - rect.left) / rect.width) * 100,
+					y: ((e.clientY - iframeRect.top - rect.top) / rect.height) * 100
+				};
+			};
 
-			// Set initial marker position.
-			const position = parsePosition(currentOverride || globalValue || '50% 50%');
-			updateMarkerPosition(marker, position);
+			handle.addEventListener('pointerdown', (e) => {
+				e.preventDefault();
+				handle.focus();
+				handle.setPointerCapture(e.pointerId);
+				handle.classList.add('is-dragging');
+			});
+			handle.addEventListener('pointermove', (e) => {
+				if (!handle.hasPointerCapture(e.pointerId)) return;
+				edit(pointerToPosition(e));
+			});
+			handle.addEventListener('lostpointercapture', () => {
+				handle.classList.remove('is-dragging');
+				commit();
+			});
 
-			// Add event listeners.
-			preview.addEventListener('click', (e) => {
-				const rect = preview.getBoundingClientRect();
-				const x = ((e.clientX - rect.left) / rect.width * 100).toFixed(1);
-				const y = ((e.clientY - rect.top) / rect.height * 100).toFixed(1);
+			handle.addEventListener('keydown', (e) => {
+				const step = e.shiftKey ? 10 : 1;
+				const deltas = {
+					ArrowLeft: [-step, 0],
+					ArrowRight: [step, 0],
+					ArrowUp: [0, -step],
+					ArrowDown: [0, step]
+				};
+
+				if (e.key === 'Enter') {
+					commit();
+					return;
+				}
+				if (!deltas[e.key]) return;
 
-				const newPosition = `${x}% ${y}%`;
-				updateMarkerPosition(marker, { x: parseFloat(x), y: parseFloat(y) });
-				positionDisplay.textContent = newPosition;
-				typeLabel.textContent = i18n.override;
-				resetButton.disabled = false;
+				e.preventDefault();
+				const current = currentPosition();
+				const [dx, dy] = deltas[e.key];
+				edit({ x: current.x + dx, y: current.y + dy });
 
-				saveFocusPoint(imageKey, newPosition, header.querySelector('.mwe-focus-point-status'));
+				clearTimeout(keyboardCommitTimer);
+				keyboardCommitTimer = setTimeout(commit, KEYBOARD_COMMIT_DELAY_MS);
 			});
+			handle.addEventListener('blur', commit);
 
-			resetButton.addEventListener('click', () => {
-				deleteFocusPoint(imageKey, header.querySelector('.mwe-focus-point-status'));
-
-				const globalPos = parsePosition(globalValue || '50% 50%');
-				updateMarkerPosition(marker, globalPos);
-				positionDisplay.textContent = globalValue || '50% 50%';
-				typeLabel.textContent = i18n.globalValue;
-				resetButton.disabled = true;
-			});
+			return entry;
 		}
 
 		/**
-		 * Find the best insertion point in the panel.
+		 * Expose window.mweFocusPoint, so other plugins can read and change
+		 * focus points and add controls to the picker. Changes made through it
+		 * are saved, shown and undone like changes made in the picker.
 		 */
-		function findInsertionPoint(panel) {
-			// For etch:img panels, look for the class field using efficient selector
-			const fieldLabels = panel.querySelectorAll('[class*="field"] > label, [class*="control"] > label, .etch-label, label');
-			for (const label of fieldLabels) {
-				if (label.textContent && label.textContent.trim().toLowerCase() === 'class') {
-					const container = label.closest('[class*="field"], [class*="control"], label');
-					if (container) return container;
+		function initPublicApi() {
+			window.mweFocusPoint = Object.freeze({
+				version: config.version || '',
+
+				/**
+				 * Get the post whose overrides are being edited.
+				 * @return {number}
+				 */
+				getPostId: () => postId,
+
+				/**
+				 * Get the override of an image on the current post.
+				 * @param {string} imageKey - e.g. "attachment_12", optionally scoped
+				 * @param {string} [breakpoint] - Resolve the value for this breakpoint,
+				 *                                including values it inherits
+				 * @return {string|Object|null} The stored value, or the breakpoint's focus point
+				 */
+				getFocusPoint(imageKey, breakpoint) {
+					const override = overridesCache[imageKey] || null;
+					return breakpoint ? resolveFocusPoint(override, null, breakpoint) : override;
+				},
+
+				/**
+				 * Set the focus point of an image for a breakpoint.
+				 * @param {string} imageKey
+				 * @param {string} focusPoint - e.g. "30% 70%", "30% 70% 1.5x" or "10% 20% 60% 80%"
+				 * @param {string} [breakpoint]
+				 * @return {Promise<boolean>} Whether the change was stored on the server
+				 */
+				setFocusPoint(imageKey, focusPoint, breakpoint = 'desktop') {
+					if (!imageKey || typeof focusPoint !== 'string' || !isValidFocusValue(focusPoint) || !BREAKPOINTS.includes(breakpoint)) {
+						return Promise.reject(new TypeError('mweFocusPoint.setFocusPoint: invalid image key, focus point or breakpoint'));
+					}
+					return saveFocusPoint(imageKey, focusPoint.trim(), null, breakpoint);
+				},
+
+				/**
+				 * Remove the override of an image, or of one of its breakpoints.
+				 * @param {string} imageKey
+				 * @param {string|null} [breakpoint] - null removes all breakpoints
+				 * @return {Promise<boolean>} Whether the change was stored on the server
+				 */
+				resetFocusPoint(imageKey, breakpoint = null) {
+					if (!imageKey || (breakpoint !== null && !BREAKPOINTS.includes(breakpoint))) {
+						return Promise.reject(new TypeError('mweFocusPoint.resetFocusPoint: invalid image key or breakpoint'));
+					}
+					return deleteFocusPoint(imageKey, null, breakpoint);
+				},
+
+				/**
+				 * Get the page-level image key of a canvas element.
+				 * @param {Element} element - img, etch:img, picture source or background image element
+				 * @return {Promise<string|null>}
+				 */
+				async getImageKey(element) {
+					if (!element || !element.tagName) return null;
+					const resolved = element.tagName.toLowerCase() === 'source'
+						? await resolvePictureSource(element)
+						: await resolveCanvasImage(element);
+					if (!resolved) return null;
+					return resolved.sourceKey ? `${resolved.sourceKey}:${resolved.imageKey}` : resolved.imageKey;
+				},
+
+				/**
+				 * Apply the focus points to the canvas again, e.g. after changing its images.
+				 * @return {Promise<void>}
+				 */
+				refreshCanvas: () => applyFocusPointsToIframe(),
+
+				/**
+				 * Add controls to every picker opened from now on. The callback
+				 * gets the picker's context and may return an element, which is
+				 * shown below the picker's own controls.
+				 * @param {function({container: Element, imageSrc: string, attachmentId: ?number, getImageKey: function(): string, getBreakpoint: function(): string}): ?Element} callback
+				 * @return {function(): void} Removes the callback again
+				 */
+				addControl(callback) {
+					if (typeof callback !== 'function') {
+						throw new TypeError('mweFocusPoint.addControl: callback must be a function');
+					}
+					customControls.push(callback);
+					return () => {
+						const index = customControls.indexOf(callback);
+						if (index !== -1) customControls.splice(index, 1);
+					};
 				}
-			}
+			});
 
-			// Fallback: return the last label/field
-			return fieldLabels.length > 0 ? fieldLabels[fieldLabels.length - 1] : panel.firstElementChild;
+			dispatchFocusEvent(READY_EVENT, { api: window.mweFocusPoint });
 		}
 
 		/**
-		 * Fetch global focus point and attachment ID from server via AJAX.
-		 * Returns { focusPoint, attachmentId } or null.
-		 * Results are cached by URL.
+		 * Dispatch one of the editor's events on the document.
+		 * @param {string} type
+		 * @param {Object} detail
 		 */
-		async function fetchGlobalFocusPoint(imageUrl) {
-			if (!imageUrl) return null;
-
-			// Check cache first
-			if (globalFocusPointCache.has(imageUrl)) {
-				return globalFocusPointCache.get(imageUrl);
-			}
+		function dispatchFocusEvent(type, detail) {
+			document.dispatchEvent(new CustomEvent(type, { detail }));
+		}
 
-			const inflight = (async () => {
-			try {
-				const response = await fetch(
-					`${ajaxUrl}?action=mwe_get_global_focus_point&image_url=${encodeURIComponent(imageUrl)}&nonce=${nonce}`
-				);
-				const data = await response.json();
+		/**
+		 * Add the controls of other plugins to a picker.
+		 * A failing callback doesn't keep the others or the picker from showing.
+		 * @param {Element} container - The picker
+		 * @param {Object} context - Passed to the callbacks
+		 */
+		function addCustomControls(container, context) {
+			if (!customControls.length) return;
 
-				if (data.success) {
-					const result = {
-						focusPoint: data.data.focus_point || null,
-						attachmentId: data.data.attachment_id || null
-					};
-					globalFocusPointCache.set(imageUrl, result);
-					return result;
+			const area = document.createElement('div');
+			area.className = 'mwe-focus-point-custom-controls';
+			for (const callback of customControls) {
+				try {
+					const control = callback(context);
+					if (control instanceof Element) {
+						area.appendChild(control);
+					}
+				} catch (e) {
+					console.error('MWE Focus Point: Custom control failed', e);
+					recordDiagnosticError('Custom control', e);
 				}
-			} catch (error) {
-				console.warn('MWE Focus Point: Failed to fetch global focus point', error);
 			}
 
-			globalFocusPointCache.set(imageUrl, null);
-			return null;
-		})();
-		globalFocusPointCache.set(imageUrl, inflight);
-		return inflight;
-	}
-
-		// Cache for attachment data by ID
-		const attachmentDataCache = new Map();
+			if (area.childElementCount) {
+				container.appendChild(area);
+			}
+		}
 
 		/**
-		 * Fetch attachment data (URL and focus point) by attachment ID.
-		 * Returns { url, focusPoint } or null.
-		 * Results are cached by attachment ID.
+		 * Show the diagnostics report, if debug mode is on.
 		 */
-		async function fetchAttachmentData(attachmentId) {
-			if (!attachmentId) return null;
+		function initDiagnostics() {
+			if (!debugEnabled) return;
+
+			debugPanel = document.createElement('section');
+			debugPanel.className = 'mwe-focus-debug';
+			debugPanel.setAttribute('aria-label', i18n.diagnostics || 'Focus point diagnostics');
+			debugPanel.innerHTML = `
+				<div class="mwe-focus-debug-header">
+					<span class="mwe-focus-point-title"></span>
+					<button type="button" class="mwe-focus-point-button mwe-focus-debug-copy"></button>
+				</div>
+				<pre class="mwe-focus-debug-report"></pre>
+			`;
+			debugPanel.querySelector('.mwe-focus-point-title').textContent = i18n.diagnostics || 'Focus point diagnostics';
+
+			const copyButton = debugPanel.querySelector('.mwe-focus-debug-copy');
+			copyButton.textContent = i18n.copyReport || 'Copy report';
+			copyButton.addEventListener('click', () => {
+				copyDiagnosticsReport().then((copied) => {
+					if (!copied) return;
+					copyButton.textContent = i18n.reportCopied || 'Copied';
+					setTimeout(() => {
+						copyButton.textContent = i18n.copyReport || 'Copy report';
+					}, 2000);
+				});
+			});
 
-			const cacheKey = `attachment_${attachmentId}`;
+			document.body.appendChild(debugPanel);
+			renderDiagnostics();
 
-			// Check cache first
-			if (attachmentDataCache.has(cacheKey)) {
-				return attachmentDataCache.get(cacheKey);
-			}
+			// Selector matches change without any event we record.
+			setInterval(renderDiagnostics, LIFECYCLE_CHECK_INTERVAL_MS * 5);
+		}
 
-			const inflight = (async () => {
-			try {
-				const response = await fetch(
-					`${ajaxUrl}?action=mwe_get_attachment_data&attachment_id=${attachmentId}&nonce=${nonce}`
-				);
-				const data = await response.json();
+		/**
+		 * Record the outcome of checkForImagePanel().
+		 * @param {string} result - "injected" or "skipped"
+		 * @param {string} reason
+		 */
+		function recordPanelCheck(result, reason) {
+			if (!debugEnabled) return;
+			diagnostics.panelCheck = { result, reason, time: new Date() };
+			scheduleDiagnostics();
+		}
 
-				if (data.success) {
-					const result = {
-						url: data.data.url || null,
-						focusPoint: data.data.focus_point || null
-					};
-					attachmentDataCache.set(cacheKey, result);
-					return result;
-				}
-			} catch (error) {
-				console.warn('MWE Focus Point: Failed to fetch attachment data', error);
-			}
+		/**
+		 * Record the image key the picker was opened for.
+		 * @param {string} imageKey
+		 * @param {string} imageSrc
+		 */
+		function recordImageKey(imageKey, imageSrc) {
+			if (!debugEnabled) return;
+			diagnostics.imageKey = { imageKey, imageSrc };
+			scheduleDiagnostics();
+		}
 
-			attachmentDataCache.set(cacheKey, null);
-			return null;
-		})();
-		attachmentDataCache.set(cacheKey, inflight);
-		return inflight;
-	}
+		/**
+		 * Record a lookup in one of the focus data caches.
+		 * @param {string} name
+		 * @param {boolean} hit
+		 */
+		function recordCacheLookup(name, hit) {
+			if (!debugEnabled) return;
+			const stats = diagnostics.caches[name] || (diagnostics.caches[name] = { hits: 0, lookups: 0 });
+			stats.lookups++;
+			if (hit) stats.hits++;
+			scheduleDiagnostics();
+		}
 
 		/**
-		 * Parse position string to x/y values.
+		 * Record a REST request.
+		 * @param {string} method
+		 * @param {string} path
+		 * @param {number|string} status - HTTP status, or the network error
+		 * @param {number} duration - In ms
 		 */
-		function parsePosition(positionStr) {
-			const match = positionStr.match(/([\d.]+)%\s+([\d.]+)%/);
-			if (match) {
-				return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+		function recordRequest(method, path, status, duration) {
+			if (!debugEnabled) return;
+			addDiagnosticsEntry(diagnostics.requests, { method, path, status, duration: Math.round(duration), time: new Date() });
+			if (typeof status !== 'number' || status >= 400) {
+				recordDiagnosticError('Request', new Error(`${method} ${path}: ${status}`));
 			}
-			return { x: 50, y: 50 };
+			scheduleDiagnostics();
 		}
 
 		/**
-		 * Update marker position.
+		 * Record an error that is otherwise ignored (e.g. no access to the canvas).
+		 * Repeats of the last error are counted instead of listed.
+		 * @param {string} context
+		 * @param {Error|*} e
 		 */
-		function updateMarkerPosition(marker, position) {
-			marker.style.left = `${position.x}%`;
-			marker.style.top = `${position.y}%`;
+		function recordDiagnosticError(context, e) {
+			if (!debugEnabled) return;
+			const message = e && e.message ? e.message : String(e);
+			const last = diagnostics.errors[diagnostics.errors.length - 1];
+			if (last && last.context === context && last.message === message) {
+				last.count++;
+				last.time = new Date();
+			} else {
+				addDiagnosticsEntry(diagnostics.errors, { context, message, count: 1, time: new Date() });
+			}
+			scheduleDiagnostics();
 		}
 
 		/**
-		 * Save focus point via AJAX.
+		 * Add an entry to a list of the report, dropping the oldest beyond MAX_DEBUG_ENTRIES.
+		 * @param {Array} list
+		 * @param {Object} entry
 		 */
-		async function saveFocusPoint(imageKey, focusPoint, statusElement) {
-			if (!postId) {
-				console.error('MWE Focus Point: No post ID available');
-				return;
+		function addDiagnosticsEntry(list, entry) {
+			list.push(entry);
+			if (list.length > MAX_DEBUG_ENTRIES) {
+				list.shift();
 			}
+		}
 
-			statusElement.textContent = i18n.saving;
-			statusElement.className = 'mwe-focus-point-status saving';
-
-			try {
-				const formData = new FormData();
-				formData.append('action', 'mwe_save_focus_override');
-				formData.append('nonce', nonce);
-				formData.append('post_id', postId);
-				formData.append('image_key', imageKey);
-				formData.append('focus_point', focusPoint);
-
-				const response = await fetch(ajaxUrl, {
-					method: 'POST',
-					body: formData
-				});
-
-				const data = await response.json();
-
-				if (data.success) {
-					overridesCache[imageKey] = focusPoint;
-					statusElement.textContent = i18n.saved;
-					statusElement.className = 'mwe-focus-point-status saved';
+		/**
+		 * Update the report shortly, once for a burst of recorded events.
+		 */
+		function scheduleDiagnostics() {
+			if (!debugPanel || debugRenderTimer) return;
+			debugRenderTimer = setTimeout(() => {
+				debugRenderTimer = null;
+				renderDiagnostics();
+			}, DEBUG_RENDER_DELAY_MS);
+		}
 
-					// Apply to iframe immediately
-					applyFocusPointsToIframe();
+		/**
+		 * Show the current report in the diagnostics panel.
+		 */
+		function renderDiagnostics() {
+			if (!debugPanel) return;
+			debugPanel.querySelector('.mwe-focus-debug-report').textContent = buildDiagnosticsReport();
+		}
 
-					setTimeout(() => {
-						statusElement.textContent = '';
-						statusElement.className = 'mwe-focus-point-status';
-					}, 2000);
-				} else {
-					throw new Error(data.data?.message || 'Save failed');
-				}
-			} catch (error) {
-				console.error('MWE Focus Point: Save error', error);
-				statusElement.textContent = i18n.error;
-				statusElement.className = 'mwe-focus-point-status error';
+		/**
+		 * Copy the report to the clipboard, falling back to selecting it for
+		 * copying by hand where the Clipboard API isn't available.
+		 * @return {Promise<boolean>} Whether the report was copied
+		 */
+		async function copyDiagnosticsReport() {
+			const report = buildDiagnosticsReport();
+			try {
+				await navigator.clipboard.writeText(report);
+				return true;
+			} catch (e) {
+				const pre = debugPanel.querySelector('.mwe-focus-debug-report');
+				pre.textContent = report;
+				window.getSelection().selectAllChildren(pre);
+				return false;
 			}
 		}
 
 		/**
-		 * Delete focus point override via AJAX.
+		 * Build the plain text report: environment, what the UI adapter
+		 * found, the last panel check, cache hit rates, requests and errors.
+		 * @return {string}
 		 */
-		async function deleteFocusPoint(imageKey, statusElement) {
-			if (!postId) return;
-
-			statusElement.textContent = i18n.saving;
-			statusElement.className = 'mwe-focus-point-status saving';
-
+		function buildDiagnosticsReport() {
+			const formatTime = (time) => time.toTimeString().slice(0, 8);
+			const iframe = getCanvasIframe();
+			let canvasDoc = null;
 			try {
-				const formData = new FormData();
-				formData.append('action', 'mwe_delete_focus_override');
-				formData.append('nonce', nonce);
-				formData.append('post_id', postId);
-				formData.append('image_key', imageKey);
+				canvasDoc = iframe ? iframe.contentDocument : null;
+			} catch (e) {
+				// Reported below as not accessible
+			}
+			const sidebar = queryUi('sidebar');
+
+			const lines = [
+				'MWE Focus Point diagnostics',
+				`Plugin: ${config.version || 'unknown'}`,
+				`Etch: ${uiAdapter.etchVersion || 'unknown'} (UI adapter "${uiAdapter.id || 'none'}")`,
+				`Page: ${window.location.href}`,
+				`Browser: ${navigator.userAgent}`,
+				`Post: ${postId || 'none'}`,
+				`Canvas iframe: ${iframe ? (canvasDoc ? 'found' : 'found, not accessible') : 'not found'}`,
+				`Sidebar: ${sidebar ? 'found' : 'not found'}`,
+				'',
+				'Selectors (matches in builder / canvas):'
+			];
 
-				const response = await fetch(ajaxUrl, {
-					method: 'POST',
-					body: formData
-				});
+			for (const name of Object.keys(uiAdapter.selectors)) {
+				const inCanvas = canvasDoc ? queryAllUi(name, canvasDoc).length : '-';
+				lines.push(`  ${name}: ${queryAllUi(name).length} / ${inCanvas}`);
+			}
 
-				const data = await response.json();
+			lines.push('', 'Fields (in sidebar):');
+			for (const name of Object.keys(uiAdapter.fields)) {
+				const field = findUiField(name, sidebar || document);
+				lines.push(`  ${name}: ${field ? `found by ${field.matchedBy}` : 'not found'}`);
+			}
 
-				if (data.success) {
-					delete overridesCache[imageKey];
-					statusElement.textContent = i18n.saved;
-					statusElement.className = 'mwe-focus-point-status saved';
+			const { panelCheck, imageKey } = diagnostics;
+			lines.push(
+				'',
+				`Last panel check: ${panelCheck ? `${panelCheck.result} at ${formatTime(panelCheck.time)}: ${panelCheck.reason}` : 'none'}`,
+				`Image key: ${imageKey ? `${imageKey.imageKey} (${imageKey.imageSrc})` : 'none'}`,
+				'',
+				'Caches:'
+			);
+
+			const caches = Object.entries(diagnostics.caches);
+			if (!caches.length) lines.push('  no lookups');
+			for (const [name, { hits, lookups }] of caches) {
+				lines.push(`  ${name}: ${hits} of ${lookups} lookups cached (${Math.round(hits / lookups * 100)}%)`);
+			}
 
-					// Apply to iframe immediately (will use global or default)
-					applyFocusPointsToIframe();
+			lines.push('', `Requests (last ${MAX_DEBUG_ENTRIES}):`);
+			if (!diagnostics.requests.length) lines.push('  none');
+			for (const { method, path, status, duration, time } of diagnostics.requests) {
+				lines.push(`  ${formatTime(time)} ${method} ${path} -> ${status} in ${duration} ms`);
+			}
 
-					setTimeout(() => {
-						statusElement.textContent = '';
-						statusElement.className = 'mwe-focus-point-status';
-					}, 2000);
-				}
-			} catch (error) {
-				console.error('MWE Focus Point: Delete error', error);
-				statusElement.textContent = i18n.error;
-				statusElement.className = 'mwe-focus-point-status error';
+			lines.push('', `Errors (last ${MAX_DEBUG_ENTRIES}):`);
+			if (!diagnostics.errors.length) lines.push('  none');
+			for (const { context, message, count, time } of diagnostics.errors) {
+				lines.push(`  ${formatTime(time)} ${context}: ${message}${count > 1 ? ` (${count}x)` : ''}`);
 			}
+
+			return lines.join('\n');
 		}
 
 		/**
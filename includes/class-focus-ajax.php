@@ -38,6 +38,46 @@ class Focus_Ajax {
 	 */
 	public const META_KEY = '_mwe_etchwp_enhancements_focus_overrides';
 
+	/**
+	 * Breakpoints an override can hold a focus point for.
+	 *
+	 * Desktop is the base value; tablet and mobile inherit from the
+	 * next larger breakpoint when not set.
+	 *
+	 * @since 1.3.0
+	 * @var string[]
+	 */
+	public const BREAKPOINTS = array( 'desktop', 'tablet', 'mobile' );
+
+	/**
+	 * Largest zoom factor an override can hold.
+	 *
+	 * @since 1.3.0
+	 * @var float
+	 */
+	public const MAX_ZOOM = 4.0;
+
+	/**
+	 * Attachment meta keys of the global (Media Library) focus points.
+	 *
+	 * The Media Library only stores desktop and mobile focus points.
+	 *
+	 * @since 1.3.0
+	 * @var array<string, string>
+	 */
+	public const GLOBAL_META_KEYS = array(
+		'desktop' => 'bg_pos_desktop',
+		'mobile'  => 'bg_pos_mobile',
+	);
+
+	/**
+	 * Maximum number of URLs plus attachment IDs resolved per batch request.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	public const MAX_BATCH_SIZE = 200;
+
 	/**
 	 * The single instance of the class.
 	 *
@@ -81,6 +121,8 @@ class Focus_Ajax {
 		add_action( 'wp_ajax_mwe_get_global_focus_point', array( $this, 'get_global_focus_point' ) );
 		add_action( 'wp_ajax_mwe_get_all_focus_overrides', array( $this, 'get_all_focus_overrides' ) );
 		add_action( 'wp_ajax_mwe_get_attachment_data', array( $this, 'get_attachment_data' ) );
+		add_action( 'wp_ajax_mwe_save_global_focus_point', array( $this, 'save_global_focus_point' ) );
+		add_action( 'wp_ajax_mwe_resolve_focus_points', array( $this, 'resolve_focus_points_batch' ) );
 	}
 
 	/**
@@ -104,30 +146,32 @@ class Focus_Ajax {
 		$post_id     = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
 		$image_key   = isset( $_POST['image_key'] ) ? sanitize_text_field( wp_unslash( $_POST['image_key'] ) ) : '';
 		$focus_point = isset( $_POST['focus_point'] ) ? sanitize_text_field( wp_unslash( $_POST['focus_point'] ) ) : '';
+		$breakpoint  = isset( $_POST['breakpoint'] ) ? sanitize_key( wp_unslash( $_POST['breakpoint'] ) ) : 'desktop';
 
 		if ( ! $post_id || ! $image_key || ! $focus_point ) {
 			wp_send_json_error( array( 'message' => 'Missing required parameters' ), 400 );
 		}
 
-		// Validate focus point format (e.g., "30% 70%").
-		if ( ! $this->is_valid_focus_point( $focus_point ) ) {
+		// Validate focus point (e.g., "30% 70%", zoomed "30% 70% 1.5x") or focus area (e.g., "10% 20% 60% 80%") format.
+		if ( ! $this->is_valid_focus_value( $focus_point ) ) {
 			wp_send_json_error( array( 'message' => 'Invalid focus point format' ), 400 );
 		}
 
-		// Get existing overrides.
-		$overrides = $this->get_overrides_for_post( $post_id );
-
-		// Update or add the override.
-		$overrides[ $image_key ] = $focus_point;
+		if ( ! in_array( $breakpoint, self::BREAKPOINTS, true ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid breakpoint' ), 400 );
+		}
 
-		// Save to post meta.
-		update_post_meta( $post_id, self::META_KEY, $overrides );
+		if ( ! $this->can_edit_override( $post_id, $image_key ) ) {
+			wp_send_json_error( array( 'message' => 'Insufficient permissions' ), 403 );
+		}
 
 		wp_send_json_success(
 			array(
 				'message'     => 'Focus point saved',
 				'image_key'   => $image_key,
 				'focus_point' => $focus_point,
+				'breakpoint'  => $breakpoint,
+				'override'    => $this->set_override( $post_id, $image_key, $focus_point, $breakpoint ),
 			)
 		);
 	}
@@ -156,7 +200,7 @@ class Focus_Ajax {
 			wp_send_json_error( array( 'message' => 'Missing required parameters' ), 400 );
 		}
 
-		$overrides   = $this->get_overrides_for_post( $post_id );
+		$overrides   = $this->get_overrides_for_post( self::get_storage_post_id( $post_id, $image_key ) );
 		$focus_point = $overrides[ $image_key ] ?? null;
 
 		wp_send_json_success(
@@ -188,18 +232,27 @@ class Focus_Ajax {
 		$post_id   = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
 		$image_key = isset( $_POST['image_key'] ) ? sanitize_text_field( wp_unslash( $_POST['image_key'] ) ) : '';
 
+		// Optional: only remove a single breakpoint. Without it, the whole override is removed.
+		$breakpoint = isset( $_POST['breakpoint'] ) ? sanitize_key( wp_unslash( $_POST['breakpoint'] ) ) : '';
+
 		if ( ! $post_id || ! $image_key ) {
 			wp_send_json_error( array( 'message' => 'Missing required parameters' ), 400 );
 		}
 
-		$overrides = $this->get_overrides_for_post( $post_id );
+		if ( $breakpoint && ! in_array( $breakpoint, self::BREAKPOINTS, true ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid breakpoint' ), 400 );
+		}
 
-		if ( isset( $overrides[ $image_key ] ) ) {
-			unset( $overrides[ $image_key ] );
-			update_post_meta( $post_id, self::META_KEY, $overrides );
+		if ( ! $this->can_edit_override( $post_id, $image_key ) ) {
+			wp_send_json_error( array( 'message' => 'Insufficient permissions' ), 403 );
 		}
 
-		wp_send_json_success( array( 'message' => 'Override deleted' ) );
+		wp_send_json_success(
+			array(
+				'message'  => 'Override deleted',
+				'override' => $this->remove_override( $post_id, $image_key, $breakpoint ),
+			)
+		);
 	}
 
 	/**
@@ -225,9 +278,97 @@ class Focus_Ajax {
 			wp_send_json_error( array( 'message' => 'Missing post_id' ), 400 );
 		}
 
-		$overrides = $this->get_overrides_for_post( $post_id );
+		wp_send_json_success( array( 'overrides' => $this->get_all_overrides( $post_id ) ) );
+	}
 
-		wp_send_json_success( array( 'overrides' => $overrides ) );
+	/**
+	 * Get the overrides that apply to a post.
+	 *
+	 * Page overrides plus those for every use of the components on the page.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The post ID.
+	 * @return array        The overrides, keyed by image key.
+	 */
+	public function get_all_overrides( int $post_id ): array {
+		return array_merge( $this->get_component_overrides( $post_id ), $this->get_overrides_for_post( $post_id ) );
+	}
+
+	/**
+	 * Check whether the current user may change an override of a post.
+	 *
+	 * Overrides for every use of a component are stored on the component,
+	 * so they require edit rights on the component as well.
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id   The post ID.
+	 * @param  string $image_key The image key, optionally scoped.
+	 * @return bool              True if the override may be changed.
+	 */
+	public function can_edit_override( int $post_id, string $image_key ): bool {
+		$storage_id = self::get_storage_post_id( $post_id, $image_key );
+		return $storage_id === $post_id || current_user_can( 'edit_post', $storage_id );
+	}
+
+	/**
+	 * Store the focus point of one breakpoint of an override.
+	 *
+	 * The value is expected to be validated by the caller.
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id     The post ID.
+	 * @param  string $image_key   The image key, optionally scoped.
+	 * @param  string $focus_point The focus point or focus area.
+	 * @param  string $breakpoint  The breakpoint (desktop, tablet or mobile).
+	 * @return string|array        The stored override.
+	 */
+	public function set_override( int $post_id, string $image_key, string $focus_point, string $breakpoint = 'desktop' ) {
+		$storage_id = self::get_storage_post_id( $post_id, $image_key );
+		$overrides  = $this->get_overrides_for_post( $storage_id );
+
+		$record                  = self::normalize_override( $overrides[ $image_key ] ?? null );
+		$record[ $breakpoint ]   = $focus_point;
+		$overrides[ $image_key ] = self::compact_override( $record );
+
+		update_post_meta( $storage_id, self::META_KEY, $overrides );
+
+		return $overrides[ $image_key ];
+	}
+
+	/**
+	 * Remove an override, or only the value of one breakpoint.
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id    The post ID.
+	 * @param  string $image_key  The image key, optionally scoped.
+	 * @param  string $breakpoint The breakpoint to remove; empty for the whole override.
+	 * @return string|array|null  The remaining override, or null if none is left.
+	 */
+	public function remove_override( int $post_id, string $image_key, string $breakpoint = '' ) {
+		$storage_id = self::get_storage_post_id( $post_id, $image_key );
+		$overrides  = $this->get_overrides_for_post( $storage_id );
+
+		if ( ! isset( $overrides[ $image_key ] ) ) {
+			return null;
+		}
+
+		if ( $breakpoint ) {
+			$record = self::normalize_override( $overrides[ $image_key ] );
+			unset( $record[ $breakpoint ] );
+			$remaining = self::compact_override( $record );
+
+			if ( null === $remaining ) {
+				unset( $overrides[ $image_key ] );
+			} else {
+				$overrides[ $image_key ] = $remaining;
+			}
+		} else {
+			unset( $overrides[ $image_key ] );
+		}
+
+		update_post_meta( $storage_id, self::META_KEY, $overrides );
+
+		return $overrides[ $image_key ] ?? null;
 	}
 
 	/**
@@ -245,27 +386,253 @@ class Focus_Ajax {
 	/**
 	 * Get override for a specific image.
 	 *
+	 * Returns only the value stored for the given breakpoint; inheritance
+	 * between breakpoints is resolved by Focus_Position.
+	 *
 	 * @since  1.1.0
+	 * @param  int    $post_id    The post ID.
+	 * @param  string $image_key  The image key (attachment ID or URL hash).
+	 * @param  string $breakpoint The breakpoint (desktop, tablet or mobile).
+	 * @return string|null        The focus point override or null.
+	 */
+	public function get_override( int $post_id, string $image_key, string $breakpoint = 'desktop' ): ?string {
+		$record = $this->get_override_record( $post_id, $image_key );
+		return $record[ $breakpoint ] ?? null;
+	}
+
+	/**
+	 * Get all breakpoint values of an override for a specific image.
+	 *
+	 * @since  1.3.0
 	 * @param  int    $post_id   The post ID.
 	 * @param  string $image_key The image key (attachment ID or URL hash).
-	 * @return string|null       The focus point override or null.
+	 * @return array<string, string> Focus points keyed by breakpoint (only set breakpoints).
 	 */
-	public function get_override( int $post_id, string $image_key ): ?string {
+	public function get_override_record( int $post_id, string $image_key ): array {
 		$overrides = $this->get_overrides_for_post( $post_id );
-		return $overrides[ $image_key ] ?? null;
+		return self::normalize_override( $overrides[ $image_key ] ?? null );
+	}
+
+	/**
+	 * Normalize a stored override value to a breakpoint map.
+	 *
+	 * Overrides saved before breakpoint support are plain strings and
+	 * are treated as the desktop value.
+	 *
+	 * @since  1.3.0
+	 * @param  mixed $value The stored override value.
+	 * @return array<string, string> Focus points keyed by breakpoint.
+	 */
+	public static function normalize_override( $value ): array {
+		if ( is_string( $value ) && '' !== $value ) {
+			return array( 'desktop' => $value );
+		}
+
+		if ( ! is_array( $value ) ) {
+			return array();
+		}
+
+		$record = array();
+		foreach ( self::BREAKPOINTS as $breakpoint ) {
+			if ( ! empty( $value[ $breakpoint ] ) && is_string( $value[ $breakpoint ] ) ) {
+				$record[ $breakpoint ] = $value[ $breakpoint ];
+			}
+		}
+
+		return $record;
+	}
+
+	/**
+	 * Compact a breakpoint map for storage.
+	 *
+	 * A desktop-only override is stored as a plain string so that
+	 * existing data and consumers keep working unchanged.
+	 *
+	 * @since  1.3.0
+	 * @param  array<string, string> $record Focus points keyed by breakpoint.
+	 * @return string|array|null             The value to store, or null if empty.
+	 */
+	public static function compact_override( array $record ) {
+		$record = self::normalize_override( $record );
+
+		if ( empty( $record ) ) {
+			return null;
+		}
+
+		if ( array( 'desktop' ) === array_keys( $record ) ) {
+			return $record['desktop'];
+		}
+
+		return $record;
 	}
 
 	/**
 	 * Generate image key from URL (for external images).
 	 *
+	 * The URL is normalized first, so the key survives a changed query
+	 * string, another CDN host or protocol and WordPress size suffixes.
+	 *
 	 * @since  1.1.0
 	 * @param  string $url The image URL.
 	 * @return string      The image key (prefixed MD5 hash).
 	 */
 	public static function generate_url_key( string $url ): string {
+		return 'url_' . md5( self::normalize_url( $url ) );
+	}
+
+	/**
+	 * Generate the image key of a URL as stored before URL normalization.
+	 *
+	 * Overrides saved under these keys are still applied, and moved to the
+	 * current key when the page is opened in the editor.
+	 *
+	 * @since  1.3.0
+	 * @param  string $url The image URL.
+	 * @return string      The legacy image key.
+	 */
+	public static function generate_legacy_url_key( string $url ): string {
 		return 'url_' . md5( $url );
 	}
 
+	/**
+	 * Normalize an image URL for its image key.
+	 *
+	 * Keeps the decoded path only: scheme, host, query string and fragment
+	 * are dropped, as are size suffixes ("-1440x960") and the "-scaled"
+	 * suffix of big images. Mirrored by normalizeImageUrl() in the editor.
+	 *
+	 * @since  1.3.0
+	 * @param  string $url The image URL.
+	 * @return string      The normalized URL.
+	 */
+	public static function normalize_url( string $url ): string {
+		$path = preg_replace( '#^(?:[a-z][a-z0-9+.-]*:)?//[^/?\#]*#i', '', trim( $url ) );
+		$path = rawurldecode( preg_replace( '/[?#].*$/s', '', $path ) );
+		$path = preg_replace( '/(?:-\d+x\d+|-scaled)+(\.[a-z0-9]+)$/i', '$1', $path );
+
+		return '' !== $path ? $path : trim( $url );
+	}
+
+	/**
+	 * Generate the loop key for a dynamic image in a loop.
+	 *
+	 * Loops are identified by the dynamic Media ID expression of the image
+	 * (e.g. "{item.image.id}"), which both the builder and the renderer know.
+	 * Whitespace is ignored.
+	 *
+	 * @since  1.3.0
+	 * @param  string $expression The dynamic Media ID expression.
+	 * @return string             The loop key (prefixed MD5 hash).
+	 */
+	public static function generate_loop_key( string $expression ): string {
+		return 'loop_' . md5( (string) preg_replace( '/\s+/', '', $expression ) );
+	}
+
+	/**
+	 * Generate the source key for a <source> element of a <picture>.
+	 *
+	 * Sources are identified by their media query, so a focus point stays
+	 * with the viewports it was set for when the source image is replaced.
+	 * Whitespace is ignored.
+	 *
+	 * @since  1.3.0
+	 * @param  string $media The media attribute of the source (empty if none).
+	 * @return string        The source key (prefixed MD5 hash).
+	 */
+	public static function generate_source_key( string $media ): string {
+		return 'source_' . md5( (string) preg_replace( '/\s+/', '', $media ) );
+	}
+
+	/**
+	 * Generate the key of an override scoped to a loop, component or picture source.
+	 *
+	 * @since  1.3.0
+	 * @param  string $scope_key The loop, component or source key.
+	 * @param  string $image_key The image key.
+	 * @return string            The scoped image key (e.g. "loop_<hash>:attachment_12").
+	 */
+	public static function generate_scoped_key( string $scope_key, string $image_key ): string {
+		return $scope_key . ':' . $image_key;
+	}
+
+	/**
+	 * Generate the scope key of a component definition or of one of its instances.
+	 *
+	 * Instances are numbered in order of appearance on the page, starting at 1.
+	 *
+	 * @since  1.3.0
+	 * @param  int $component_id The component post ID.
+	 * @param  int $instance     The instance number, or 0 for every use of the component.
+	 * @return string            The component key (e.g. "component_7" or "component_7_2").
+	 */
+	public static function generate_component_key( int $component_id, int $instance = 0 ): string {
+		return 'component_' . $component_id . ( $instance > 0 ? '_' . $instance : '' );
+	}
+
+	/**
+	 * Get the post an override is stored on.
+	 *
+	 * Overrides for every use of a component are stored on the component
+	 * itself so they apply on every page; all others on the page.
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id   The page ID.
+	 * @param  string $image_key The image key.
+	 * @return int               The post ID to read and write the override.
+	 */
+	public static function get_storage_post_id( int $post_id, string $image_key ): int {
+		if ( preg_match( '/^component_(\d+):/', $image_key, $matches ) ) {
+			return (int) $matches[1];
+		}
+
+		return $post_id;
+	}
+
+	/**
+	 * Get the overrides for every use of the components on a page.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The page ID.
+	 * @return array        The overrides, keyed like page overrides ("component_<id>:<image key>").
+	 */
+	public function get_component_overrides( int $post_id ): array {
+		$overrides = array();
+
+		foreach ( $this->get_component_ids( parse_blocks( (string) get_post_field( 'post_content', $post_id ) ) ) as $component_id ) {
+			$prefix = self::generate_component_key( $component_id ) . ':';
+			foreach ( $this->get_overrides_for_post( $component_id ) as $image_key => $value ) {
+				if ( 0 === strpos( (string) $image_key, $prefix ) ) {
+					$overrides[ $image_key ] = $value;
+				}
+			}
+		}
+
+		return $overrides;
+	}
+
+	/**
+	 * Collect the component IDs used in a block tree.
+	 *
+	 * @since  1.3.0
+	 * @param  array $blocks Parsed blocks.
+	 * @return int[]         Unique component post IDs.
+	 */
+	private function get_component_ids( array $blocks ): array {
+		$ids = array();
+
+		foreach ( $blocks as $block ) {
+			$component_id = Helper::get_component_id( $block );
+			if ( $component_id ) {
+				$ids[] = $component_id;
+			}
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$ids = array_merge( $ids, $this->get_component_ids( $block['innerBlocks'] ) );
+			}
+		}
+
+		return array_values( array_unique( $ids ) );
+	}
+
 	/**
 	 * Get global focus point for an image URL from Media Library.
 	 *
@@ -302,13 +669,15 @@ class Focus_Ajax {
 			return;
 		}
 
-		// Get focus point from post meta.
-		$focus_point = get_post_meta( $attachment_id, 'bg_pos_desktop', true );
+		// Get focus points from post meta.
+		$focus_point        = get_post_meta( $attachment_id, 'bg_pos_desktop', true );
+		$focus_point_mobile = get_post_meta( $attachment_id, 'bg_pos_mobile', true );
 
 		wp_send_json_success(
 			array(
-				'focus_point'   => $focus_point ? $focus_point : null,
-				'attachment_id' => $attachment_id,
+				'focus_point'        => $focus_point ? $focus_point : null,
+				'focus_point_mobile' => $focus_point_mobile ? $focus_point_mobile : null,
+				'attachment_id'      => $attachment_id,
 			)
 		);
 	}
@@ -347,13 +716,170 @@ class Focus_Ajax {
 		// Get attachment URL.
 		$url = wp_get_attachment_url( $attachment_id );
 
-		// Get focus point from post meta.
-		$focus_point = get_post_meta( $attachment_id, 'bg_pos_desktop', true );
+		// Get focus points from post meta.
+		$focus_point        = get_post_meta( $attachment_id, 'bg_pos_desktop', true );
+		$focus_point_mobile = get_post_meta( $attachment_id, 'bg_pos_mobile', true );
 
 		wp_send_json_success(
 			array(
-				'url'         => $url ? $url : null,
-				'focus_point' => $focus_point ? $focus_point : null,
+				'url'                => $url ? $url : null,
+				'focus_point'        => $focus_point ? $focus_point : null,
+				'focus_point_mobile' => $focus_point_mobile ? $focus_point_mobile : null,
+			)
+		);
+	}
+
+	/**
+	 * Resolve many image URLs and attachment IDs in one request.
+	 *
+	 * Batched counterpart of get_global_focus_point() and get_attachment_data(),
+	 * used by the editor to avoid one request per canvas image.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	public function resolve_focus_points_batch(): void {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'mwe_focus_point_nonce', 'nonce', false ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid nonce' ), 403 );
+		}
+
+		// Check permissions.
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_send_json_error( array( 'message' => 'Insufficient permissions' ), 403 );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- IDs sanitized below, URLs in resolve_focus_points() (the raw URLs are only response keys).
+		$urls = isset( $_POST['urls'] ) && is_array( $_POST['urls'] ) ? wp_unslash( $_POST['urls'] ) : array();
+		$ids  = isset( $_POST['attachment_ids'] ) && is_array( $_POST['attachment_ids'] ) ? wp_unslash( $_POST['attachment_ids'] ) : array();
+
+		// Nested arrays (urls[0][]=…) are dropped, like items of other types by the REST schema.
+		$urls = array_values( array_filter( array_filter( $urls, 'is_string' ) ) );
+		$ids  = array_values( array_filter( array_map( 'absint', array_filter( $ids, 'is_scalar' ) ) ) );
+
+		if ( empty( $urls ) && empty( $ids ) ) {
+			wp_send_json_error( array( 'message' => 'Missing urls or attachment_ids' ), 400 );
+		}
+
+		if ( count( $urls ) + count( $ids ) > self::MAX_BATCH_SIZE ) {
+			wp_send_json_error( array( 'message' => 'Too many items in batch' ), 400 );
+		}
+
+		wp_send_json_success( $this->resolve_focus_points( $urls, $ids ) );
+	}
+
+	/**
+	 * Resolve image URLs and attachment IDs to attachment IDs and focus points.
+	 *
+	 * Entries have the same shape as the responses of get_global_focus_point()
+	 * (for URLs) and get_attachment_data() (for attachment IDs). Attachment IDs
+	 * that are not attachments resolve to null. URL entries are keyed by the
+	 * URL as given, so the editor finds them under the URL it sent.
+	 *
+	 * @since  1.3.0
+	 * @param  string[] $urls           Image URLs, unsanitized.
+	 * @param  int[]    $attachment_ids Attachment IDs.
+	 * @return array{urls: array<string, array>, attachments: array<int, array|null>}
+	 */
+	public function resolve_focus_points( array $urls, array $attachment_ids ): array {
+		$result = array(
+			'urls'        => array(),
+			'attachments' => array(),
+		);
+
+		foreach ( array_unique( array_map( 'strval', $urls ) ) as $url ) {
+			// Uses the runtime cache in Helper, so repeated URLs are cheap.
+			$sanitized     = esc_url_raw( $url );
+			$attachment_id = $sanitized ? Helper::get_attachment_id_from_url( $sanitized ) : null;
+
+			$result['urls'][ $url ] = array(
+				'focus_point'        => $attachment_id ? $this->get_meta_value( $attachment_id, 'bg_pos_desktop' ) : null,
+				'focus_point_mobile' => $attachment_id ? $this->get_meta_value( $attachment_id, 'bg_pos_mobile' ) : null,
+				'attachment_id'      => $attachment_id,
+			);
+		}
+
+		foreach ( array_unique( $attachment_ids ) as $attachment_id ) {
+			$attachment = get_post( $attachment_id );
+			if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+				$result['attachments'][ $attachment_id ] = null;
+				continue;
+			}
+
+			$url = wp_get_attachment_url( $attachment_id );
+
+			$result['attachments'][ $attachment_id ] = array(
+				'url'                => $url ? $url : null,
+				'focus_point'        => $this->get_meta_value( $attachment_id, 'bg_pos_desktop' ),
+				'focus_point_mobile' => $this->get_meta_value( $attachment_id, 'bg_pos_mobile' ),
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get a string post meta value, or null when empty.
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id  The post ID.
+	 * @param  string $meta_key The meta key.
+	 * @return string|null      The meta value or null.
+	 */
+	private function get_meta_value( int $post_id, string $meta_key ): ?string {
+		$value = get_post_meta( $post_id, $meta_key, true );
+		return $value && is_string( $value ) ? $value : null;
+	}
+
+	/**
+	 * Save the global (Media Library) focus point of an attachment.
+	 *
+	 * Writes the same meta the focus point plugins use, so the value
+	 * applies everywhere the image is used without a per-page override.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	public function save_global_focus_point(): void {
+		// Verify nonce.
+		if ( ! check_ajax_referer( 'mwe_focus_point_nonce', 'nonce', false ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid nonce' ), 403 );
+		}
+
+		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+		$focus_point   = isset( $_POST['focus_point'] ) ? sanitize_text_field( wp_unslash( $_POST['focus_point'] ) ) : '';
+		$breakpoint    = isset( $_POST['breakpoint'] ) ? sanitize_key( wp_unslash( $_POST['breakpoint'] ) ) : 'desktop';
+
+		if ( ! $attachment_id || ! $focus_point ) {
+			wp_send_json_error( array( 'message' => 'Missing required parameters' ), 400 );
+		}
+
+		// Changing the attachment affects every page, so require edit rights on the attachment itself.
+		if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			wp_send_json_error( array( 'message' => 'Insufficient permissions' ), 403 );
+		}
+
+		$attachment = get_post( $attachment_id );
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			wp_send_json_error( array( 'message' => 'Invalid attachment ID' ), 404 );
+		}
+
+		if ( ! $this->is_valid_focus_point( $focus_point ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid focus point format' ), 400 );
+		}
+
+		if ( ! isset( self::GLOBAL_META_KEYS[ $breakpoint ] ) ) {
+			wp_send_json_error( array( 'message' => 'Invalid breakpoint' ), 400 );
+		}
+
+		update_post_meta( $attachment_id, self::GLOBAL_META_KEYS[ $breakpoint ], $focus_point );
+
+		wp_send_json_success(
+			array(
+				'message'       => 'Global focus point saved',
+				'attachment_id' => $attachment_id,
+				'focus_point'   => $focus_point,
+				'breakpoint'    => $breakpoint,
 			)
 		);
 	}
@@ -365,7 +891,7 @@ class Focus_Ajax {
 	 * @param  string $focus_point The focus point string.
 	 * @return bool                True if valid (format and 0-100% range).
 	 */
-	private function is_valid_focus_point( string $focus_point ): bool {
+	public function is_valid_focus_point( string $focus_point ): bool {
 		// Pattern: "XX% YY%" where XX and YY are numbers with optional decimals.
 		if ( ! preg_match( '/^(\d{1,3}(?:\.\d+)?%)\s+(\d{1,3}(?:\.\d+)?%)$/', $focus_point, $matches ) ) {
 			return false;
@@ -377,4 +903,89 @@ class Focus_Ajax {
 
 		return $x >= 0 && $x <= 100 && $y >= 0 && $y <= 100;
 	}
+
+	/**
+	 * Validate an override value: a focus point with optional zoom, or a focus area.
+	 *
+	 * @since  1.3.0
+	 * @param  string $value The override value.
+	 * @return bool          True if valid.
+	 */
+	public function is_valid_focus_value( string $value ): bool {
+		if ( $this->is_valid_focus_area( $value ) ) {
+			return true;
+		}
+
+		$parts = self::split_zoom( $value );
+
+		return null !== $parts && $this->is_valid_focus_point( $parts['position'] );
+	}
+
+	/**
+	 * Split a focus point into position and zoom.
+	 *
+	 * Zoomed focus points are stored with the zoom factor appended, e.g.
+	 * "30% 70% 1.5x". Values without zoom have a zoom of 1.
+	 *
+	 * @since  1.3.0
+	 * @param  string $value The stored value.
+	 * @return array{position: string, zoom: float}|null Null if the zoom is malformed or out of range.
+	 */
+	public static function split_zoom( string $value ): ?array {
+		$value = trim( $value );
+		if ( ! preg_match( '/^(.*?)(?:\s+(\d+(?:\.\d+)?)x)?$/s', $value, $matches ) ) {
+			return null;
+		}
+
+		$zoom = isset( $matches[2] ) ? (float) $matches[2] : 1.0;
+		if ( $zoom < 1 || $zoom > self::MAX_ZOOM ) {
+			return null;
+		}
+
+		return array(
+			'position' => $matches[1],
+			'zoom'     => $zoom,
+		);
+	}
+
+	/**
+	 * Validate focus area format.
+	 *
+	 * @since  1.3.0
+	 * @param  string $focus_area The focus area string.
+	 * @return bool               True if valid.
+	 */
+	private function is_valid_focus_area( string $focus_area ): bool {
+		return null !== self::parse_focus_area( $focus_area );
+	}
+
+	/**
+	 * Parse a focus area.
+	 *
+	 * A focus area is stored as its top-left and bottom-right corners in
+	 * percent of the image, e.g. "10% 20% 60% 80%".
+	 *
+	 * @since  1.3.0
+	 * @param  string $value The stored value.
+	 * @return array<string, float>|null Corners (x1, y1, x2, y2), or null if not a valid area.
+	 */
+	public static function parse_focus_area( string $value ): ?array {
+		$number = '(\d{1,3}(?:\.\d+)?)%';
+		if ( ! preg_match( '/^' . $number . '\s+' . $number . '\s+' . $number . '\s+' . $number . '$/', trim( $value ), $matches ) ) {
+			return null;
+		}
+
+		$area = array(
+			'x1' => (float) $matches[1],
+			'y1' => (float) $matches[2],
+			'x2' => (float) $matches[3],
+			'y2' => (float) $matches[4],
+		);
+
+		if ( $area['x2'] > 100 || $area['y2'] > 100 || $area['x1'] >= $area['x2'] || $area['y1'] >= $area['y2'] ) {
+			return null;
+		}
+
+		return $area;
+	}
 }
@@ -29,6 +29,14 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class Focus_Editor_UI {
 
+	/**
+	 * Maximum number of image URLs preloaded from the post content.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	private const MAX_PRELOAD_URLS = 100;
+
 	/**
 	 * The single instance of the class.
 	 *
@@ -124,10 +132,17 @@ class Focus_Editor_UI {
 			'mwe-focus-point-editor',
 			'mweFocusPointEditor',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce'   => wp_create_nonce( 'mwe_focus_point_nonce' ),
-				'postId'  => $post_id,
-				'i18n'    => array(
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'mwe_focus_point_nonce' ),
+				'restUrl'     => rest_url( Focus_Rest::REST_NAMESPACE . '/' ),
+				'restNonce'   => wp_create_nonce( 'wp_rest' ),
+				'postId'      => $post_id,
+				'breakpoints' => Helper::get_focus_breakpoints(),
+				'uiAdapter'   => Focus_UI_Adapters::get_instance()->get_editor_config(),
+				'debug'       => $this->is_debug_enabled(),
+				'version'     => $version,
+				'preload'     => $this->get_preload_focus_data( $post_id ),
+				'i18n'        => array(
 					'focusPoint'  => __( 'Focus Point', 'mwe-etchwp-enhancements' ),
 					'clickToSet'  => __( 'Click on image to set focus point', 'mwe-etchwp-enhancements' ),
 					'reset'       => __( 'Reset', 'mwe-etchwp-enhancements' ),
@@ -138,9 +153,136 @@ class Focus_Editor_UI {
 					'override'    => __( 'Override', 'mwe-etchwp-enhancements' ),
 					'globalValue' => __( 'Global', 'mwe-etchwp-enhancements' ),
 					'dynamicImageNotice' => __( 'This dynamic image resolves to different images. Set the focus point per image in the Media Library.', 'mwe-etchwp-enhancements' ),
+					'desktop'     => __( 'Desktop', 'mwe-etchwp-enhancements' ),
+					'tablet'      => __( 'Tablet', 'mwe-etchwp-enhancements' ),
+					'mobile'      => __( 'Mobile', 'mwe-etchwp-enhancements' ),
+					'inherited'   => __( 'Inherited', 'mwe-etchwp-enhancements' ),
+					'breakpoints' => __( 'Breakpoints', 'mwe-etchwp-enhancements' ),
+					'focusPointX' => __( 'Focus point X (%)', 'mwe-etchwp-enhancements' ),
+					'focusPointY' => __( 'Focus point Y (%)', 'mwe-etchwp-enhancements' ),
+					'markerLabel' => __( 'Focus point. Use arrow keys to move, hold Shift for larger steps.', 'mwe-etchwp-enhancements' ),
+					'canvasBox'   => __( 'Canvas', 'mwe-etchwp-enhancements' ),
+					'saveAsGlobal'      => __( 'Save as global', 'mwe-etchwp-enhancements' ),
+					'confirmSaveGlobal' => __( 'Use this focus point for this image everywhere it has no page override?', 'mwe-etchwp-enhancements' ),
+					'overview'          => __( 'Focus points', 'mwe-etchwp-enhancements' ),
+					'close'             => __( 'Close', 'mwe-etchwp-enhancements' ),
+					'selectAll'         => __( 'All', 'mwe-etchwp-enhancements' ),
+					'applySelected'     => __( 'Apply', 'mwe-etchwp-enhancements' ),
+					'resetSelected'     => __( 'Reset', 'mwe-etchwp-enhancements' ),
+					'dockLeft'          => __( 'Dock left', 'mwe-etchwp-enhancements' ),
+					'dockRight'         => __( 'Dock right', 'mwe-etchwp-enhancements' ),
+					'noImages'          => __( 'No images on this page.', 'mwe-etchwp-enhancements' ),
+					'staleOverride'     => __( 'Unused on this page', 'mwe-etchwp-enhancements' ),
+					'jumpTo'            => __( 'Show', 'mwe-etchwp-enhancements' ),
+					/* translators: %d: number of focus point changes not yet saved. */
+					'unsavedChanges'    => __( 'Unsaved changes: %d', 'mwe-etchwp-enhancements' ),
+					'offlinePending'    => __( 'Offline – changes will be saved when the connection is back', 'mwe-etchwp-enhancements' ),
+					'savesPending'      => __( 'Unsaved changes – try again once they are saved', 'mwe-etchwp-enhancements' ),
+					'undo'              => __( 'Undo (Ctrl+Z)', 'mwe-etchwp-enhancements' ),
+					'redo'              => __( 'Redo (Ctrl+Shift+Z)', 'mwe-etchwp-enhancements' ),
+					'copy'              => __( 'Copy', 'mwe-etchwp-enhancements' ),
+					'paste'             => __( 'Paste', 'mwe-etchwp-enhancements' ),
+					'applyToAll'        => __( 'Apply to all on page', 'mwe-etchwp-enhancements' ),
+					'editOnCanvas'      => __( 'Edit on canvas', 'mwe-etchwp-enhancements' ),
+					'focusArea'         => __( 'Area', 'mwe-etchwp-enhancements' ),
+					'focusAreaHint'     => __( 'Drag on the image to draw the area to keep visible', 'mwe-etchwp-enhancements' ),
+					'zoom'              => __( 'Zoom', 'mwe-etchwp-enhancements' ),
+					'zoomHint'          => __( 'Zoom in on the focus point (points only)', 'mwe-etchwp-enhancements' ),
+					'suggest'           => __( 'Suggest', 'mwe-etchwp-enhancements' ),
+					'acceptSuggestion'  => __( 'Accept', 'mwe-etchwp-enhancements' ),
+					'dismissSuggestion' => __( 'Dismiss', 'mwe-etchwp-enhancements' ),
+					'suggestFailed'     => __( 'Could not analyse this image', 'mwe-etchwp-enhancements' ),
+					'suggestMissing'    => __( 'Suggest missing', 'mwe-etchwp-enhancements' ),
+					/* translators: %d: number of images without a focus point. */
+					'confirmSuggestMissing' => __( 'Suggest focus points for %d images without one?', 'mwe-etchwp-enhancements' ),
+					'noMissingFocusPoints'  => __( 'All images on this page have a focus point.', 'mwe-etchwp-enhancements' ),
+					'loopImagesHint'        => __( 'Select an image of this loop to set its focus point.', 'mwe-etchwp-enhancements' ),
+					'overrideScope'         => __( 'Override scope', 'mwe-etchwp-enhancements' ),
+					'thisPage'              => __( 'This page', 'mwe-etchwp-enhancements' ),
+					'pageAndLoop'           => __( 'This page + loop', 'mwe-etchwp-enhancements' ),
+					'allComponentUses'      => __( 'Every use of this component', 'mwe-etchwp-enhancements' ),
+					'thisInstance'          => __( 'This component instance', 'mwe-etchwp-enhancements' ),
+					'backgroundFocusPoint'  => __( 'Background focus point', 'mwe-etchwp-enhancements' ),
+					'pictureSourcesHint'    => __( 'Select a source of this picture to set its focus point.', 'mwe-etchwp-enhancements' ),
+					'pictureFallback'       => __( 'Fallback image', 'mwe-etchwp-enhancements' ),
+					'allViewports'          => __( 'All viewports', 'mwe-etchwp-enhancements' ),
+					'allSources'            => __( 'All sources', 'mwe-etchwp-enhancements' ),
+					'exportOverrides'       => __( 'Export', 'mwe-etchwp-enhancements' ),
+					'importOverrides'       => __( 'Import', 'mwe-etchwp-enhancements' ),
+					'importInvalidFile'     => __( 'This is not a focus point export file.', 'mwe-etchwp-enhancements' ),
+					/* translators: 1: number of imported overrides, 2: number of overrides mapped to other attachments. */
+					'importSummary'         => __( 'Imported %1$d, remapped %2$d.', 'mwe-etchwp-enhancements' ),
+					'importUnmatched'       => __( 'Skipped:', 'mwe-etchwp-enhancements' ),
+					'importNotFound'        => __( 'image not found on this site', 'mwe-etchwp-enhancements' ),
+					'importNoComponent'     => __( 'component not found on this site', 'mwe-etchwp-enhancements' ),
+					'importInvalid'         => __( 'invalid value', 'mwe-etchwp-enhancements' ),
+					'importForbidden'       => __( 'not allowed', 'mwe-etchwp-enhancements' ),
+					'diagnostics'           => __( 'Focus point diagnostics', 'mwe-etchwp-enhancements' ),
+					'copyReport'            => __( 'Copy report', 'mwe-etchwp-enhancements' ),
+					'reportCopied'          => __( 'Copied', 'mwe-etchwp-enhancements' ),
 				),
 			)
 		);
 	}
 
+	/**
+	 * Check whether the editor shows its diagnostics report.
+	 *
+	 * Enabled by the MWE_ETCHWP_FOCUS_DEBUG constant or by adding
+	 * mwe_focus_debug to the URL of the builder.
+	 *
+	 * @since  1.3.0
+	 * @return bool True if enabled.
+	 */
+	private function is_debug_enabled(): bool {
+		if ( defined( 'MWE_ETCHWP_FOCUS_DEBUG' ) ) {
+			return (bool) MWE_ETCHWP_FOCUS_DEBUG;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Reading-only check, no data modification.
+		return isset( $_GET['mwe_focus_debug'] );
+	}
+
+	/**
+	 * Resolve the focus points of images known to be on the page.
+	 *
+	 * Image URLs are taken from the post content, attachment IDs from the
+	 * existing overrides. The editor seeds its caches with the result so the
+	 * canvas can be styled without a lookup request per image.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The post ID.
+	 * @return array Same shape as Focus_Ajax::resolve_focus_points().
+	 */
+	private function get_preload_focus_data( int $post_id ): array {
+		$empty = array(
+			'urls'        => array(),
+			'attachments' => array(),
+		);
+
+		if ( ! $post_id ) {
+			return $empty;
+		}
+
+		// Block attributes store URLs JSON-encoded, with escaped slashes.
+		$content = str_replace( '\\/', '/', (string) get_post_field( 'post_content', $post_id ) );
+
+		preg_match_all( '#https?://[^\s"\'<>()]+?\.(?:jpe?g|png|gif|webp|avif)\b#i', $content, $matches );
+		$urls = array_slice( array_unique( $matches[0] ), 0, self::MAX_PRELOAD_URLS );
+
+		$ajax           = Focus_Ajax::get_instance();
+		$attachment_ids = array();
+		foreach ( array_keys( $ajax->get_overrides_for_post( $post_id ) ) as $image_key ) {
+			// Loop-scoped keys end in the image key (loop_<hash>:attachment_<id>).
+			if ( preg_match( '/(?:^|:)attachment_(\d+)$/', (string) $image_key, $id_matches ) ) {
+				$attachment_ids[] = (int) $id_matches[1];
+			}
+		}
+
+		if ( empty( $urls ) && empty( $attachment_ids ) ) {
+			return $empty;
+		}
+
+		return $ajax->resolve_focus_points( $urls, $attachment_ids );
+	}
 }
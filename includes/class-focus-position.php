@@ -30,6 +30,15 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class Focus_Position {
 
+	/**
+	 * Transient caching the attachments with a Media Library focus point by
+	 * upload path, for the background script.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	private const BACKGROUND_INDEX_TRANSIENT = 'mwe_etchwp_background_focus_index';
+
 	/**
 	 * The single instance of the class.
 	 *
@@ -38,6 +47,58 @@ class Focus_Position {
 	 */
 	private static $instance = null;
 
+	/**
+	 * Loop key of the dynamic image block being filtered, if it is in a loop.
+	 *
+	 * @since 1.3.0
+	 * @var string|null
+	 */
+	private $loop_key = null;
+
+	/**
+	 * Components being rendered, outermost first.
+	 *
+	 * Each entry holds the component post ID and its instance number on the page.
+	 *
+	 * @since 1.3.0
+	 * @var array<int, array{id: int, instance: int}>
+	 */
+	private $component_stack = array();
+
+	/**
+	 * Number of instances rendered so far per component ID, in the content
+	 * being rendered. Reset for every rendering of post content.
+	 *
+	 * @since 1.3.0
+	 * @var array<int, int>
+	 */
+	private $component_counts = array();
+
+	/**
+	 * Components marked for the background script, by component ID.
+	 *
+	 * @since 1.3.0
+	 * @var array<int, bool>
+	 */
+	private $marked_components = array();
+
+	/**
+	 * Upload paths (see get_upload_path_key()) of the images referenced by
+	 * CSS url() in the blocks rendered so far.
+	 *
+	 * @since 1.3.0
+	 * @var array<string, bool>
+	 */
+	private $background_paths = array();
+
+	/**
+	 * Number of pictures with per-source focus points rendered so far.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	private $picture_count = 0;
+
 	/**
 	 * Main Focus_Position Instance.
 	 *
@@ -74,6 +135,121 @@ class Focus_Position {
 
 		// Add support for Etch page builder - hook AFTER Etch processes images.
 		add_filter( 'render_block', array( $this, 'filter_images' ), 15, 2 );
+
+		// Apply focus points to background images set through classes, in the browser.
+		add_action( 'wp_footer', array( $this, 'enqueue_background_script' ), 5 );
+		add_filter( 'render_block', array( $this, 'collect_background_paths' ), 17, 1 );
+
+		// Rebuild the index of Media Library focus points for backgrounds once they change.
+		add_action( 'added_post_meta', array( $this, 'flush_background_index' ), 10, 3 );
+		add_action( 'updated_post_meta', array( $this, 'flush_background_index' ), 10, 3 );
+		add_action( 'deleted_post_meta', array( $this, 'flush_background_index' ), 10, 3 );
+
+		// Track the component instance images are rendered in, for component-scoped overrides.
+		add_filter( 'the_content', array( $this, 'reset_component_counts' ), 1 );
+		add_filter( 'render_block_data', array( $this, 'enter_component' ), 10, 1 );
+		add_filter( 'render_block', array( $this, 'leave_component' ), 16, 2 );
+	}
+
+	/**
+	 * Number component instances from 1 again before post content is rendered.
+	 *
+	 * Content can be rendered more than once per request (excerpts, meta
+	 * descriptions, widgets, further query loops). Each rendering numbers
+	 * its instances like the canvas does. Content rendered inside a
+	 * component continues the numbering of the outer content.
+	 *
+	 * @since  1.3.0
+	 * @param  string $content The post content.
+	 * @return string          The unchanged content.
+	 */
+	public function reset_component_counts( $content ) {
+		if ( empty( $this->component_stack ) ) {
+			$this->component_counts = array();
+		}
+
+		return $content;
+	}
+
+	/**
+	 * Start tracking an etch/component block before its content is rendered.
+	 *
+	 * @since  1.3.0
+	 * @param  array $parsed_block The block being rendered.
+	 * @return array               The unchanged block.
+	 */
+	public function enter_component( $parsed_block ) {
+		$component_id = is_array( $parsed_block ) ? Helper::get_component_id( $parsed_block ) : 0;
+
+		if ( $component_id ) {
+			$this->component_counts[ $component_id ] = ( $this->component_counts[ $component_id ] ?? 0 ) + 1;
+			$this->component_stack[]                 = array(
+				'id'       => $component_id,
+				'instance' => $this->component_counts[ $component_id ],
+			);
+		}
+
+		return $parsed_block;
+	}
+
+	/**
+	 * Stop tracking an etch/component block once it has been rendered.
+	 *
+	 * Components with scoped overrides get their ID and instance on their
+	 * first element, so the background script can apply those overrides to
+	 * backgrounds set through classes.
+	 *
+	 * @since  1.3.0
+	 * @param  string $block_content The block content.
+	 * @param  array  $block         The block data.
+	 * @return string                The block content.
+	 */
+	public function leave_component( $block_content, $block ) {
+		if ( ! Helper::get_component_id( (array) $block ) ) {
+			return $block_content;
+		}
+
+		$component = array_pop( $this->component_stack );
+		if ( $component && is_string( $block_content ) && $this->has_component_overrides( $component['id'] ) ) {
+			$this->marked_components[ $component['id'] ] = true;
+			$block_content                              = (string) preg_replace(
+				'/^(\s*<[a-z][a-z0-9:-]*)/i',
+				'$1 data-mwe-focus-component="' . $component['id'] . ':' . $component['instance'] . '"',
+				$block_content,
+				1
+			);
+		}
+
+		return $block_content;
+	}
+
+	/**
+	 * Check whether overrides are scoped to a component, for every use of
+	 * it or for one of its instances on the page being rendered.
+	 *
+	 * @since  1.3.0
+	 * @param  int $component_id The component post ID.
+	 * @return bool              True if the component has scoped overrides.
+	 */
+	private function has_component_overrides( int $component_id ): bool {
+		if ( ! class_exists( 'MWE\\EtchWP_Enhancements\\Focus_Ajax' ) ) {
+			return false;
+		}
+
+		$ajax = Focus_Ajax::get_instance();
+		if ( ! empty( $ajax->get_overrides_for_post( $component_id ) ) ) {
+			return true;
+		}
+
+		$page_id = $this->get_page_id();
+		$prefix  = Focus_Ajax::generate_component_key( $component_id ) . '_';
+		foreach ( array_keys( $page_id ? $ajax->get_overrides_for_post( $page_id ) : array() ) as $image_key ) {
+			if ( 0 === strpos( (string) $image_key, $prefix ) ) {
+				return true;
+			}
+		}
+
+		return false;
 	}
 
 	/**
@@ -116,6 +292,17 @@ class Focus_Position {
 			return $block_content;
 		}
 
+		// Dynamic images in a loop can have overrides scoped to the loop.
+		$this->loop_key = $this->get_loop_key( $block );
+
+		// Apply per-source focus points to art-directed pictures. Their fallback
+		// <img> is handled with the other images below.
+		$block_content = preg_replace_callback(
+			'/<picture\b[^>]*>.*?<\/picture>/is',
+			array( $this, 'add_focus_to_picture' ),
+			$block_content
+		);
+
 		// Apply focus points to images in the block content (both <img> and <etch:img>).
 		// Match all images with src attribute - both local (wp-content/uploads) and external URLs.
 		// Focus points are applied if: 1) per-page override exists, or 2) attachment has focus point meta.
@@ -124,6 +311,15 @@ class Focus_Position {
 			array( $this, 'add_focus_to_image' ),
 			$block_content
 		);
+
+		// Apply focus points to elements with a background image in their inline style.
+		$block_content = preg_replace_callback(
+			'/<(?!(?:img|etch:img)\b)([a-z][a-z0-9:-]*)\b[^>]*?\sstyle=(["\'])((?:(?!\2).)*?\burl\((?:(?!\2).)*)\2[^>]*>/is',
+			array( $this, 'add_focus_to_background' ),
+			$block_content
+		);
+
+		$this->loop_key = null;
 
 		return $block_content;
 	}
@@ -140,38 +336,62 @@ class Focus_Position {
 		$tag_name = $matches[1]; // 'img' or 'etch:img'
 		$src      = $matches[3]; // src is now in position 3 due to tag capture group
 
-		// Get current post ID for override lookup.
-		$post_id = Helper::get_current_post_id();
-
-		// Get attachment ID from URL (uses caching and comprehensive lookup).
-		$attachment_id = Helper::get_attachment_id_from_url( $src );
-
-		// Determine the image key for override lookup.
-		$image_key = $attachment_id
-			? 'attachment_' . $attachment_id
-			: Focus_Ajax::generate_url_key( $src );
+		// No position found for any breakpoint, return original tag.
+		$resolved = $this->get_image_positions( $src );
+		if ( null === $resolved ) {
+			return $full_tag;
+		}
 
-		// Check for per-page override first.
-		$position = null;
-		if ( $post_id ) {
-			$position = $this->get_override_position( $post_id, $image_key );
+		// Check if object-position is already applied.
+		if ( false !== strpos( $full_tag, 'object-position:' ) ) {
+			return $full_tag; // Already has focus point applied.
 		}
 
-		// Fall back to global focus point from Media Library.
-		// Use get_post_meta directly to avoid potential recursion through
-		// wp_get_attachment_metadata filter.
-		if ( ! $position && $attachment_id ) {
-			$position = get_post_meta( $attachment_id, 'bg_pos_desktop', true );
+		$attachment_id = $resolved['attachment_id'];
+		$positions     = $resolved['positions'];
+
+		// Focus areas: work out the object-position for the aspect ratios known
+		// here. The focus area script refines it for the rendered element size.
+		$areas = null;
+		foreach ( $positions as $breakpoint_position ) {
+			if ( null !== Focus_Ajax::parse_focus_area( $breakpoint_position ) ) {
+				$areas = $positions;
+				break;
+			}
+		}
+		if ( $areas ) {
+			$image_ratio = $this->get_image_ratio( $full_tag, $attachment_id );
+			$box_ratio   = $this->get_box_ratio( $full_tag );
+			foreach ( $positions as $breakpoint => $breakpoint_position ) {
+				$positions[ $breakpoint ] = self::area_to_position( $breakpoint_position, $image_ratio, $box_ratio );
+			}
 		}
 
-		// No position found, return original tag.
-		if ( ! $position || '50% 50%' === $position ) {
-			return $full_tag;
+		$position    = $positions['desktop'];
+		$declaration = 'object-position: ' . esc_attr( $position );
+		$zooms       = $resolved['zooms'];
+		$is_zoomed   = max( $zooms ) > 1;
+
+		// Breakpoint values differ: expose them as custom properties that
+		// the breakpoint media queries switch to.
+		$is_responsive = $positions['tablet'] !== $position || $positions['mobile'] !== $position
+			|| $zooms['tablet'] !== $zooms['desktop'] || $zooms['mobile'] !== $zooms['desktop'];
+		if ( $is_responsive ) {
+			$declaration .= '; --mwe-focus-tablet: ' . esc_attr( $positions['tablet'] )
+				. '; --mwe-focus-mobile: ' . esc_attr( $positions['mobile'] );
 		}
 
-		// Check if object-position is already applied.
-		if ( false !== strpos( $full_tag, 'object-position:' ) ) {
-			return $full_tag; // Already has focus point applied.
+		// Zoom: the part of the image to show, anchored at the focus point.
+		if ( $is_zoomed ) {
+			$declaration .= '; --mwe-focus-origin: ' . esc_attr( $position )
+				. '; --mwe-focus-zoom: ' . $zooms['desktop']
+				. '; --mwe-focus-inset: ' . self::zoom_to_inset( $position, $zooms['desktop'] );
+			if ( $is_responsive ) {
+				foreach ( array( 'tablet', 'mobile' ) as $breakpoint ) {
+					$declaration .= '; --mwe-focus-zoom-' . $breakpoint . ': ' . $zooms[ $breakpoint ]
+						. '; --mwe-focus-inset-' . $breakpoint . ': ' . self::zoom_to_inset( $positions[ $breakpoint ], $zooms[ $breakpoint ] );
+				}
+			}
 		}
 
 		// Add or modify style attribute.
@@ -179,13 +399,31 @@ class Focus_Position {
 			// Style attribute exists, append to it.
 			$full_tag = preg_replace(
 				'/style=["\']([^"\']*)["\']/',
-				'style="$1; object-position: ' . esc_attr( $position ) . '"',
+				'style="$1; ' . $declaration . '"',
 				$full_tag
 			);
 		} else {
 			// No style attribute, add one (works for both <img> and <etch:img>).
 			$opening_tag = '<' . $tag_name;
-			$full_tag    = str_replace( $opening_tag, $opening_tag . ' style="object-position: ' . esc_attr( $position ) . '"', $full_tag );
+			$full_tag    = str_replace( $opening_tag, $opening_tag . ' style="' . $declaration . '"', $full_tag );
+		}
+
+		if ( $is_responsive ) {
+			$opening_tag = '<' . $tag_name;
+			$full_tag    = str_replace( $opening_tag, $opening_tag . ' data-mwe-focus-responsive', $full_tag );
+			$this->enqueue_breakpoint_styles();
+		}
+
+		if ( $is_zoomed ) {
+			$opening_tag = '<' . $tag_name;
+			$full_tag    = str_replace( $opening_tag, $opening_tag . ' data-mwe-focus-zoom', $full_tag );
+			$this->enqueue_zoom_styles();
+		}
+
+		if ( $areas ) {
+			$opening_tag = '<' . $tag_name;
+			$full_tag    = str_replace( $opening_tag, $opening_tag . ' data-mwe-focus-area="' . esc_attr( (string) wp_json_encode( $areas ) ) . '"', $full_tag );
+			$this->enqueue_focus_area_script();
 		}
 
 		// Enhance image with missing attributes if Image_Enhancement is available.
@@ -198,19 +436,1084 @@ class Focus_Position {
 	}
 
 	/**
-	 * Get override position from post meta.
+	 * Add focus point as background position to an element with an inline background image.
+	 *
+	 * Only Media Library images are handled. An existing background-position is kept.
+	 *
+	 * @since  1.3.0
+	 * @param  array $matches Regex matches from preg_replace_callback.
+	 * @return string         The element's opening tag.
+	 */
+	public function add_focus_to_background( $matches ) {
+		$full_tag = $matches[0];
+		$quote    = $matches[2];
+		$style    = $matches[3];
+
+		if ( false !== stripos( $style, 'background-position' )
+			|| ! preg_match( '/background(?:-image)?\s*:[^;]*?url\(\s*(?:&quot;|&#0?39;|["\'])?(.+?)(?:&quot;|&#0?39;|["\'])?\s*\)/i', $style, $url_matches ) ) {
+			return $full_tag;
+		}
+
+		$src = html_entity_decode( $url_matches[1], ENT_QUOTES );
+		if ( ! Helper::get_attachment_id_from_url( $src ) ) {
+			return $full_tag;
+		}
+
+		$resolved = $this->get_image_positions( $src );
+		if ( null === $resolved ) {
+			return $full_tag;
+		}
+
+		// Without the element's size the area center is the best position.
+		$positions = array_map( array( self::class, 'area_to_position' ), $resolved['positions'] );
+
+		$position    = $positions['desktop'];
+		$declaration = 'background-position: ' . esc_attr( $position );
+
+		$is_responsive = $positions['tablet'] !== $position || $positions['mobile'] !== $position;
+		if ( $is_responsive ) {
+			$declaration .= '; --mwe-focus-tablet: ' . esc_attr( $positions['tablet'] )
+				. '; --mwe-focus-mobile: ' . esc_attr( $positions['mobile'] );
+		}
+
+		$full_tag = str_replace(
+			'style=' . $quote . $style . $quote,
+			'style=' . $quote . rtrim( $style, "; \t\n" ) . '; ' . $declaration . $quote,
+			$full_tag
+		);
+
+		if ( $is_responsive ) {
+			$full_tag = (string) preg_replace( '/^<([a-z][a-z0-9:-]*)/i', '<$1 data-mwe-focus-responsive="background"', $full_tag, 1 );
+			$this->enqueue_breakpoint_styles();
+		}
+
+		return $full_tag;
+	}
+
+	/**
+	 * Add per-source focus points to an art-directed picture.
+	 *
+	 * The browser shows the image of the first matching <source> in the
+	 * fallback <img>, so the position of each source is applied to that img
+	 * with a rule for the media query of the source. Sources also get
+	 * missing srcset, sizes and dimensions.
+	 *
+	 * @since  1.3.0
+	 * @param  array $matches Regex matches from preg_replace_callback.
+	 * @return string         The picture element.
+	 */
+	public function add_focus_to_picture( $matches ) {
+		$picture = $matches[0];
+
+		if ( ! preg_match_all( '/<source\b[^>]*>/i', $picture, $source_matches ) ) {
+			return $picture;
+		}
+
+		$enhancement = class_exists( 'MWE\\EtchWP_Enhancements\\Image_Enhancement' ) ? Image_Enhancement::get_instance() : null;
+		$sources     = array();
+		$has_focus   = false;
+
+		foreach ( $source_matches[0] as $source_tag ) {
+			$src = Helper::get_source_url( $source_tag );
+			if ( ! $src ) {
+				continue;
+			}
+
+			$media = preg_match( '/\smedia=(["\'])(.*?)\1/is', $source_tag, $media_matches ) ? html_entity_decode( $media_matches[2], ENT_QUOTES ) : '';
+
+			// Media queries end up in a stylesheet: skip anything that is no plain query.
+			if ( preg_match( '/[{};\\\\]|<\//', $media ) ) {
+				continue;
+			}
+
+			$resolved  = $this->get_image_positions( $src, Focus_Ajax::generate_source_key( $media ) );
+			$sources[] = array(
+				'media'     => $media,
+				'positions' => $resolved ? array_map( array( self::class, 'area_to_position' ), $resolved['positions'] ) : null,
+			);
+			$has_focus = $has_focus || null !== $resolved;
+
+			$attachment_id = $resolved ? $resolved['attachment_id'] : Helper::get_attachment_id_from_url( $src );
+			if ( $enhancement && $attachment_id ) {
+				$picture = str_replace( $source_tag, $enhancement->add_source_attributes( $source_tag, $attachment_id ), $picture );
+			}
+		}
+
+		if ( ! $has_focus ) {
+			return $picture;
+		}
+
+		++$this->picture_count;
+		$this->enqueue_picture_styles( $this->get_picture_css( $this->picture_count, $sources ) );
+
+		return (string) preg_replace( '/^<picture\b/i', '<picture data-mwe-focus-picture="' . $this->picture_count . '"', $picture, 1 );
+	}
+
+	/**
+	 * Get the rules that position the fallback img of a picture per source.
+	 *
+	 * The first matching source wins in the browser, so the rules are
+	 * written in reverse order for it to win the cascade too. Sources
+	 * without focus point are centered, like their image would be without
+	 * the picture. Breakpoint values are nested in the source's media query.
+	 *
+	 * @since  1.3.0
+	 * @param  int   $picture_id The data-mwe-focus-picture value of the picture.
+	 * @param  array $sources    Media query and positions (or null) per source, in document order.
+	 * @return string            CSS.
+	 */
+	private function get_picture_css( int $picture_id, array $sources ): string {
+		$breakpoints = Helper::get_focus_breakpoints();
+		$selector    = '[data-mwe-focus-picture="' . $picture_id . '"] > img';
+		$css         = '';
+
+		foreach ( array_reverse( $sources ) as $source ) {
+			$positions = $source['positions'] ? $source['positions'] : array_fill_keys( Focus_Ajax::BREAKPOINTS, '50% 50%' );
+			if ( ! preg_match( '/^[\d.%\s]+$/', implode( ' ', $positions ) ) ) {
+				continue;
+			}
+
+			$rules = sprintf( '%s { object-position: %s !important; }', $selector, $positions['desktop'] );
+			if ( $positions['tablet'] !== $positions['desktop'] || $positions['mobile'] !== $positions['desktop'] ) {
+				$rules .= sprintf(
+					'@media (max-width: %1$dpx) { %2$s { object-position: %3$s !important; } }'
+					. '@media (max-width: %4$dpx) { %2$s { object-position: %5$s !important; } }',
+					$breakpoints['tablet'],
+					$selector,
+					$positions['tablet'],
+					$breakpoints['mobile'],
+					$positions['mobile']
+				);
+			}
+
+			$css .= '' !== $source['media'] ? '@media ' . $source['media'] . ' { ' . $rules . ' }' : $rules;
+		}
+
+		return $css;
+	}
+
+	/**
+	 * Resolve the focus point of an image for each breakpoint.
+	 *
+	 * Uses the most specific override first, then the global focus point
+	 * from the Media Library. Breakpoints without any value stay centered.
+	 * Zoom factors are split off the positions.
+	 * Images of picture sources use the overrides of their source first,
+	 * then those of the image.
+	 *
+	 * @since  1.3.0
+	 * @param  string $src        The image URL.
+	 * @param  string $source_key The source key of a picture source, if any.
+	 * @return array{attachment_id: int|null, positions: array<string, string>, zooms: array<string, float>}|null Null if no breakpoint has a focus point.
+	 */
+	private function get_image_positions( string $src, string $source_key = '' ): ?array {
+		// Get attachment ID from URL (uses caching and comprehensive lookup).
+		$attachment_id = Helper::get_attachment_id_from_url( $src );
+
+		// Determine the image keys for override lookup. External images
+		// fall back to their key from before URL normalization.
+		$image_keys = $attachment_id
+			? array( 'attachment_' . $attachment_id )
+			: array_unique( array( Focus_Ajax::generate_url_key( $src ), Focus_Ajax::generate_legacy_url_key( $src ) ) );
+
+		$override = array();
+		foreach ( $image_keys as $image_key ) {
+			if ( '' !== $source_key ) {
+				$override = $this->get_scoped_override( $this->get_page_id(), Focus_Ajax::generate_scoped_key( $source_key, $image_key ) );
+			}
+			if ( empty( $override ) ) {
+				$override = $this->get_scoped_override( $this->get_page_id(), $image_key );
+			}
+			if ( ! empty( $override ) ) {
+				break;
+			}
+		}
+		$positions = $this->resolve_breakpoint_positions( $override, $attachment_id );
+
+		$has_position = false;
+		foreach ( $positions as $breakpoint_position ) {
+			if ( $breakpoint_position && '50% 50%' !== $breakpoint_position ) {
+				$has_position = true;
+				break;
+			}
+		}
+		if ( ! $has_position ) {
+			return null;
+		}
+
+		// Zoomed focus points carry their zoom factor (e.g. "30% 70% 1.5x").
+		$zooms = array();
+		foreach ( $positions as $breakpoint => $breakpoint_position ) {
+			$parts                    = Focus_Ajax::split_zoom( $breakpoint_position ? $breakpoint_position : '50% 50%' );
+			$positions[ $breakpoint ] = $parts ? $parts['position'] : '50% 50%';
+			$zooms[ $breakpoint ]     = $parts ? $parts['zoom'] : 1.0;
+		}
+
+		return array(
+			'attachment_id' => $attachment_id,
+			'positions'     => $positions,
+			'zooms'         => $zooms,
+		);
+	}
+
+	/**
+	 * Get the most specific override of an image in the current render context.
+	 *
+	 * Checked in order, the first override found replaces the others:
+	 * - component instance on the page (innermost component first)
+	 * - every use of the component (stored on the component)
+	 * - loop on the page
+	 * - page
+	 *
+	 * @since  1.3.0
+	 * @param  int    $post_id   The page ID, or 0 if unknown.
+	 * @param  string $image_key The image key.
+	 * @return array<string, string> Focus points keyed by breakpoint.
+	 */
+	private function get_scoped_override( int $post_id, string $image_key ): array {
+		$candidates = array();
+
+		foreach ( array_reverse( $this->component_stack ) as $component ) {
+			if ( $post_id ) {
+				$instance_key = Focus_Ajax::generate_component_key( $component['id'], $component['instance'] );
+				$candidates[] = array( $post_id, Focus_Ajax::generate_scoped_key( $instance_key, $image_key ) );
+			}
+			$candidates[] = array( $component['id'], Focus_Ajax::generate_scoped_key( Focus_Ajax::generate_component_key( $component['id'] ), $image_key ) );
+		}
+
+		if ( $post_id ) {
+			if ( $this->loop_key ) {
+				$candidates[] = array( $post_id, Focus_Ajax::generate_scoped_key( $this->loop_key, $image_key ) );
+			}
+			$candidates[] = array( $post_id, $image_key );
+		}
+
+		foreach ( $candidates as $candidate ) {
+			$override = $this->get_override_record( $candidate[0], $candidate[1] );
+			if ( ! empty( $override ) ) {
+				return $override;
+			}
+		}
+
+		return array();
+	}
+
+	/**
+	 * Get the ID of the page being rendered.
+	 *
+	 * Inside loops the global post is the loop item, so the queried post is
+	 * preferred. The Etch canvas passes the page as query parameter.
+	 *
+	 * @since  1.3.0
+	 * @return int The page ID or 0 if not found.
+	 */
+	private function get_page_id(): int {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Reading-only check, no data modification.
+		if ( ! isset( $_GET['post_id'] ) ) {
+			$queried = get_queried_object();
+			if ( $queried instanceof \WP_Post ) {
+				return $queried->ID;
+			}
+		}
+
+		return Helper::get_current_post_id();
+	}
+
+	/**
+	 * Get the loop key of a dynamic image block whose Media ID is a dynamic expression.
+	 *
+	 * @since  1.3.0
+	 * @param  array $block The block data.
+	 * @return string|null  The loop key, or null if the block is not a dynamic image in a loop.
+	 */
+	private function get_loop_key( array $block ): ?string {
+		if ( 'etch/dynamic-image' !== ( $block['blockName'] ?? '' ) ) {
+			return null;
+		}
+
+		$expression = $this->find_media_id_expression( $block['attrs'] ?? array() );
+
+		/**
+		 * Filter the dynamic Media ID expression that identifies the loop of a dynamic image.
+		 *
+		 * Loop-scoped focus overrides are stored under a key derived from it,
+		 * matching the "WP Media ID" field in the builder.
+		 *
+		 * @since 1.3.0
+		 *
+		 * @param string|null $expression The expression found in the block attributes, e.g. "{item.image.id}".
+		 * @param array       $block      The block data.
+		 */
+		$expression = apply_filters( 'mwe_etchwp_focus_loop_expression', $expression, $block );
+
+		return is_string( $expression ) && '' !== $expression ? Focus_Ajax::generate_loop_key( $expression ) : null;
+	}
+
+	/**
+	 * Find the dynamic Media ID expression in block attributes.
+	 *
+	 * Etch keeps the unresolved expression (e.g. "{item.image.id}") in the
+	 * block attributes. Attributes named like a media ID are preferred over
+	 * other dynamic values such as the alt text.
+	 *
+	 * @since  1.3.0
+	 * @param  array $attrs The block attributes.
+	 * @return string|null  The expression, or null if none is found.
+	 */
+	private function find_media_id_expression( array $attrs ): ?string {
+		$candidates = array();
+		array_walk_recursive(
+			$attrs,
+			static function ( $value, $key ) use ( &$candidates ) {
+				if ( is_string( $value ) && preg_match( '/^\s*\{[^{}]+\}\s*$/', $value ) ) {
+					$candidates[] = array( (string) $key, trim( $value ) );
+				}
+			}
+		);
+
+		foreach ( $candidates as $candidate ) {
+			if ( preg_match( '/media|id$/i', $candidate[0] ) ) {
+				return $candidate[1];
+			}
+		}
+
+		return $candidates[0][1] ?? null;
+	}
+
+	/**
+	 * Get override record from post meta.
 	 *
 	 * @since  1.1.0
 	 * @param  int    $post_id   The post ID.
 	 * @param  string $image_key The image key.
-	 * @return string|null       The focus point position or null.
+	 * @return array<string, string> Focus points keyed by breakpoint.
 	 */
-	private function get_override_position( int $post_id, string $image_key ): ?string {
+	private function get_override_record( int $post_id, string $image_key ): array {
 		if ( ! class_exists( 'MWE\\EtchWP_Enhancements\\Focus_Ajax' ) ) {
+			return array();
+		}
+
+		return Focus_Ajax::get_instance()->get_override_record( $post_id, $image_key );
+	}
+
+	/**
+	 * Resolve the focus point for each breakpoint.
+	 *
+	 * Each breakpoint uses the first value found in its chain:
+	 * - desktop: override desktop, global desktop
+	 * - tablet:  override tablet, override desktop, global desktop
+	 * - mobile:  override mobile, override tablet, override desktop, global mobile, global desktop
+	 *
+	 * Use get_post_meta directly to avoid potential recursion through
+	 * the wp_get_attachment_metadata filter.
+	 *
+	 * @since  1.3.0
+	 * @param  array<string, string> $override      Per-page override keyed by breakpoint.
+	 * @param  int|null              $attachment_id The attachment ID, if any.
+	 * @return array<string, string|null>           Focus points keyed by breakpoint.
+	 */
+	public function resolve_breakpoint_positions( array $override, ?int $attachment_id ): array {
+		$global_desktop = $attachment_id ? get_post_meta( $attachment_id, 'bg_pos_desktop', true ) : '';
+		$global_mobile  = $attachment_id ? get_post_meta( $attachment_id, 'bg_pos_mobile', true ) : '';
+
+		$chains = array(
+			'desktop' => array( $override['desktop'] ?? null, $global_desktop ),
+			'tablet'  => array( $override['tablet'] ?? null, $override['desktop'] ?? null, $global_desktop ),
+			'mobile'  => array( $override['mobile'] ?? null, $override['tablet'] ?? null, $override['desktop'] ?? null, $global_mobile, $global_desktop ),
+		);
+
+		$positions = array();
+		foreach ( $chains as $breakpoint => $chain ) {
+			$positions[ $breakpoint ] = null;
+			foreach ( $chain as $candidate ) {
+				if ( $candidate && is_string( $candidate ) ) {
+					$positions[ $breakpoint ] = $candidate;
+					break;
+				}
+			}
+		}
+
+		return $positions;
+	}
+
+	/**
+	 * Convert a focus area to the object-position that keeps as much of
+	 * the area visible as possible.
+	 *
+	 * With object-fit: cover the image is cropped on one axis only. On that
+	 * axis the visible window is centered on the area and kept inside the
+	 * image. Points and values that are no focus area are returned unchanged.
+	 * Without known aspect ratios the center of the area is used.
+	 *
+	 * @since  1.3.0
+	 * @param  string $value       Focus point or focus area.
+	 * @param  float  $image_ratio Intrinsic width / height of the image (0 if unknown).
+	 * @param  float  $box_ratio   Width / height of the element (0 if unknown).
+	 * @return string              The object-position value.
+	 */
+	public static function area_to_position( string $value, float $image_ratio = 0.0, float $box_ratio = 0.0 ): string {
+		$area = Focus_Ajax::parse_focus_area( $value );
+		if ( null === $area ) {
+			return $value;
+		}
+
+		$x = ( $area['x1'] + $area['x2'] ) / 2;
+		$y = ( $area['y1'] + $area['y2'] ) / 2;
+
+		if ( $image_ratio > 0 && $box_ratio > 0 ) {
+			if ( $box_ratio < $image_ratio ) {
+				// Element is narrower than the image: cropped horizontally.
+				$x = self::axis_position( $area['x1'], $area['x2'], $box_ratio / $image_ratio );
+			} elseif ( $box_ratio > $image_ratio ) {
+				// Element is wider than the image: cropped vertically.
+				$y = self::axis_position( $area['y1'], $area['y2'], $image_ratio / $box_ratio );
+			}
+		}
+
+		return round( $x, 1 ) . '% ' . round( $y, 1 ) . '%';
+	}
+
+	/**
+	 * Get the part of an image to show for a zoom factor, as inset() shape.
+	 *
+	 * The part keeps the focus point at the same relative position, so the
+	 * image zooms towards it. Used for object-view-box and, in browsers
+	 * without it, to clip the scaled element back to its box.
+	 *
+	 * @since  1.3.0
+	 * @param  string $position The object-position ("x% y%").
+	 * @param  float  $zoom     The zoom factor (1 or more).
+	 * @return string           The inset() shape.
+	 */
+	public static function zoom_to_inset( string $position, float $zoom ): string {
+		$x = 50.0;
+		$y = 50.0;
+		if ( preg_match( '/^([\d.]+)%\s+([\d.]+)%$/', trim( $position ), $matches ) ) {
+			$x = (float) $matches[1];
+			$y = (float) $matches[2];
+		}
+
+		$crop = $zoom > 1 ? 1 - 1 / $zoom : 0.0;
+
+		return 'inset(' . round( $y * $crop, 2 ) . '% ' . round( ( 100 - $x ) * $crop, 2 ) . '% '
+			. round( ( 100 - $y ) * $crop, 2 ) . '% ' . round( $x * $crop, 2 ) . '%)';
+	}
+
+	/**
+	 * Get the object-position percentage on one axis that centers the
+	 * visible part of the image on a range of the image.
+	 *
+	 * @since  1.3.0
+	 * @param  float $start   Start of the range in percent.
+	 * @param  float $end     End of the range in percent.
+	 * @param  float $visible Visible part of the image on this axis (0-1).
+	 * @return float          Position in percent.
+	 */
+	private static function axis_position( float $start, float $end, float $visible ): float {
+		if ( $visible >= 1 ) {
+			return ( $start + $end ) / 2;
+		}
+
+		$window = $visible * 100;
+		$offset = min( max( ( $start + $end ) / 2 - $window / 2, 0 ), 100 - $window );
+
+		return $offset / ( 100 - $window ) * 100;
+	}
+
+	/**
+	 * Get the intrinsic aspect ratio of an image.
+	 *
+	 * Uses the width and height attributes of the tag, then the attachment
+	 * metadata (read directly to avoid the wp_get_attachment_metadata filter).
+	 *
+	 * @since  1.3.0
+	 * @param  string   $tag           The image tag.
+	 * @param  int|null $attachment_id The attachment ID, if any.
+	 * @return float                   Width / height, or 0 if unknown.
+	 */
+	private function get_image_ratio( string $tag, ?int $attachment_id ): float {
+		if ( preg_match( '/\swidth=["\']?(\d+)/', $tag, $width ) && preg_match( '/\sheight=["\']?(\d+)/', $tag, $height ) && (int) $height[1] > 0 ) {
+			return (int) $width[1] / (int) $height[1];
+		}
+
+		if ( $attachment_id ) {
+			$metadata = get_post_meta( $attachment_id, '_wp_attachment_metadata', true );
+			if ( is_array( $metadata ) && ! empty( $metadata['width'] ) && ! empty( $metadata['height'] ) ) {
+				return (int) $metadata['width'] / (int) $metadata['height'];
+			}
+		}
+
+		return 0.0;
+	}
+
+	/**
+	 * Get the aspect ratio of the element from an inline aspect-ratio style.
+	 *
+	 * @since  1.3.0
+	 * @param  string $tag The image tag.
+	 * @return float       Width / height, or 0 if unknown.
+	 */
+	private function get_box_ratio( string $tag ): float {
+		if ( ! preg_match( '/aspect-ratio:\s*([\d.]+)\s*(?:\/\s*([\d.]+))?/', $tag, $matches ) ) {
+			return 0.0;
+		}
+
+		$width  = (float) $matches[1];
+		$height = isset( $matches[2] ) ? (float) $matches[2] : 1.0;
+
+		return $height > 0 ? $width / $height : 0.0;
+	}
+
+	/**
+	 * Enqueue the script that fits focus areas to the rendered element size.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	private function enqueue_focus_area_script(): void {
+		if ( wp_script_is( 'mwe-focus-area', 'enqueued' ) ) {
+			return;
+		}
+
+		$version = defined( 'MWE_ETCHWP_VERSION' ) ? MWE_ETCHWP_VERSION : '1.3.0';
+
+		wp_register_script( 'mwe-focus-area', false, array(), $version, true );
+		wp_add_inline_script( 'mwe-focus-area', $this->get_focus_area_script() );
+		wp_enqueue_script( 'mwe-focus-area' );
+	}
+
+	/**
+	 * Enqueue the script that applies focus points to background images set through classes.
+	 *
+	 * Inline background images get their position during rendering. Images
+	 * from stylesheets are only known to the browser, so the script matches
+	 * computed background images against the images with a focus point that
+	 * the page references. Nothing is enqueued if there are none.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	public function enqueue_background_script(): void {
+		$post_id = $this->get_page_id();
+		$map     = $post_id ? $this->get_background_focus_map( $post_id ) : array();
+
+		if ( empty( $map ) ) {
+			return;
+		}
+
+		foreach ( $map as $scope_map ) {
+			foreach ( $scope_map as $positions ) {
+				if ( count( array_unique( $positions ) ) > 1 ) {
+					$this->enqueue_breakpoint_styles();
+					break 2;
+				}
+			}
+		}
+
+		$version = defined( 'MWE_ETCHWP_VERSION' ) ? MWE_ETCHWP_VERSION : '1.3.0';
+
+		wp_register_script( 'mwe-focus-background', false, array(), $version, true );
+		wp_add_inline_script(
+			'mwe-focus-background',
+			$this->get_background_script() . '(' . wp_json_encode( $map ) . ', ' . wp_json_encode( self::get_uploads_path() ) . ');'
+		);
+		wp_enqueue_script( 'mwe-focus-background' );
+	}
+
+	/**
+	 * Get the focus points of Media Library images for backgrounds on a page.
+	 *
+	 * Resolved like images: the override of the page or of a component
+	 * (instance) marked by leave_component(), falling back to the Media
+	 * Library focus point. Loop overrides belong to Dynamic Image elements
+	 * and don't apply to backgrounds. Only images referenced by CSS url() in
+	 * the rendered blocks or the stylesheets of the page are included.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The page ID.
+	 * @return array<string, array<string, string[]>> Desktop, tablet and mobile positions keyed by
+	 *                                                scope ("page", "component_7" or "component_7_2")
+	 *                                                and get_upload_path_key().
+	 */
+	private function get_background_focus_map( int $post_id ): array {
+		if ( ! class_exists( 'MWE\\EtchWP_Enhancements\\Focus_Ajax' ) ) {
+			return array();
+		}
+
+		$ajax    = Focus_Ajax::get_instance();
+		$records = array( 'page' => array() );
+
+		foreach ( $ajax->get_overrides_for_post( $post_id ) as $image_key => $value ) {
+			if ( preg_match( '/^(?:(component_\d+_\d+):)?attachment_(\d+)$/', (string) $image_key, $matches ) ) {
+				$scope                                  = '' !== $matches[1] ? $matches[1] : 'page';
+				$records[ $scope ][ (int) $matches[2] ] = Focus_Ajax::normalize_override( $value );
+			}
+		}
+
+		foreach ( array_keys( $this->marked_components ) as $component_id ) {
+			$scope = Focus_Ajax::generate_component_key( $component_id );
+			foreach ( $ajax->get_overrides_for_post( $component_id ) as $image_key => $value ) {
+				if ( preg_match( '/^' . $scope . ':attachment_(\d+)$/', (string) $image_key, $matches ) ) {
+					$records[ $scope ][ (int) $matches[1] ] = Focus_Ajax::normalize_override( $value );
+				}
+			}
+		}
+
+		$index = $this->get_background_index();
+		if ( empty( $index ) && array( 'page' => array() ) === $records ) {
+			return array();
+		}
+
+		$referenced = $this->get_referenced_background_paths( $post_id );
+
+		// Images without an override on the page use their Media Library focus point.
+		foreach ( array_intersect_key( $index, $referenced ) as $attachment_id ) {
+			if ( ! isset( $records['page'][ $attachment_id ] ) ) {
+				$records['page'][ $attachment_id ] = array();
+			}
+		}
+
+		$map = array();
+		foreach ( $records as $scope => $scope_records ) {
+			foreach ( $scope_records as $attachment_id => $record ) {
+				$path = self::get_upload_path_key( (string) wp_get_attachment_url( $attachment_id ) );
+				if ( null === $path || ! isset( $referenced[ $path ] ) ) {
+					continue;
+				}
+
+				$positions = array_values(
+					array_map(
+						static function ( $breakpoint_position ) {
+							// Backgrounds are not zoomed.
+							$parts = Focus_Ajax::split_zoom( $breakpoint_position ? $breakpoint_position : '50% 50%' );
+							return self::area_to_position( $parts ? $parts['position'] : '50% 50%' );
+						},
+						$this->resolve_breakpoint_positions( $record, $attachment_id )
+					)
+				);
+
+				// Centered backgrounds need no position, unless an override centers them.
+				if ( empty( $record ) && array( '50% 50%' ) === array_unique( $positions ) ) {
+					continue;
+				}
+
+				$map[ $scope ][ $path ] = $positions;
+			}
+		}
+
+		return $map;
+	}
+
+	/**
+	 * Collect the uploaded images referenced by CSS url() in a rendered
+	 * block, e.g. in a style element, for the background script.
+	 *
+	 * @since  1.3.0
+	 * @param  string $block_content The block content.
+	 * @return string                The unchanged block content.
+	 */
+	public function collect_background_paths( $block_content ) {
+		if ( is_string( $block_content ) ) {
+			$this->background_paths += self::find_background_paths( $block_content );
+		}
+
+		return $block_content;
+	}
+
+	/**
+	 * Delete the cached index of Media Library focus points once a focus
+	 * point or the file of an attachment changes.
+	 *
+	 * @since  1.3.0
+	 * @param  int|int[] $meta_id   The meta ID, or IDs when deleted.
+	 * @param  int       $object_id The post ID.
+	 * @param  string    $meta_key  The meta key.
+	 * @return void
+	 */
+	public function flush_background_index( $meta_id, $object_id, $meta_key ): void {
+		if ( in_array( $meta_key, array( 'bg_pos_desktop', 'bg_pos_mobile', '_wp_attached_file' ), true ) ) {
+			delete_transient( self::BACKGROUND_INDEX_TRANSIENT );
+		}
+	}
+
+	/**
+	 * Get the attachments that have a Media Library focus point, by upload path.
+	 *
+	 * Read with one query and cached until flush_background_index() runs.
+	 *
+	 * @since  1.3.0
+	 * @return array<string, int> Attachment IDs keyed by get_upload_path_key().
+	 */
+	private function get_background_index(): array {
+		$index = get_transient( self::BACKGROUND_INDEX_TRANSIENT );
+		if ( is_array( $index ) ) {
+			return $index;
+		}
+
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Cached in a transient.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT DISTINCT attached.post_id, attached.meta_value FROM {$wpdb->postmeta} attached
+				INNER JOIN {$wpdb->postmeta} focus ON focus.post_id = attached.post_id
+				WHERE attached.meta_key = '_wp_attached_file'
+				AND focus.meta_key IN ( %s, %s )
+				AND focus.meta_value <> ''",
+				'bg_pos_desktop',
+				'bg_pos_mobile'
+			)
+		);
+
+		$index        = array();
+		$uploads_path = self::get_uploads_path();
+		foreach ( (array) $rows as $row ) {
+			$path = self::get_upload_path_key( $uploads_path . '/' . $row->meta_value );
+			if ( null !== $path ) {
+				$index[ $path ] = (int) $row->post_id;
+			}
+		}
+
+		// With an expiration, the transient is not autoloaded on every request.
+		set_transient( self::BACKGROUND_INDEX_TRANSIENT, $index, DAY_IN_SECONDS );
+
+		return $index;
+	}
+
+	/**
+	 * Get the uploaded images the page references in CSS url(): in its
+	 * rendered blocks and in the inline styles and stylesheet files from
+	 * wp-content of its enqueued styles.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The page ID.
+	 * @return array<string, bool> Upload paths (see get_upload_path_key()) as keys.
+	 */
+	private function get_referenced_background_paths( int $post_id ): array {
+		$paths  = $this->background_paths;
+		$styles = wp_styles();
+
+		foreach ( array_unique( array_merge( $styles->done, $styles->queue ) ) as $handle ) {
+			$css  = implode( "\n", (array) $styles->get_data( $handle, 'after' ) );
+			$file = isset( $styles->registered[ $handle ] ) ? self::get_stylesheet_file( (string) $styles->registered[ $handle ]->src ) : null;
+			if ( null !== $file ) {
+				$css .= (string) file_get_contents( $file ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local file.
+			}
+
+			$paths += self::find_background_paths( $css );
+		}
+
+		/**
+		 * Filter the uploaded images a page uses as CSS backgrounds.
+		 *
+		 * Only these get a focus point from the background script. Add the
+		 * images of styles the plugin can't read, e.g. printed directly into
+		 * the page head or loaded from another host.
+		 *
+		 * @since 1.3.0
+		 *
+		 * @param string[] $paths   Paths relative to the uploads folder, without size suffix, e.g. "2025/01/hero.jpg".
+		 * @param int      $post_id The page ID.
+		 */
+		$filtered = apply_filters( 'mwe_etchwp_background_image_paths', array_keys( $paths ), $post_id );
+
+		return array_fill_keys( array_filter( (array) $filtered, 'is_string' ), true );
+	}
+
+	/**
+	 * Find the uploaded images referenced by CSS url() in a string.
+	 *
+	 * @since  1.3.0
+	 * @param  string $css CSS, or HTML with style elements or attributes.
+	 * @return array<string, bool> Upload paths (see get_upload_path_key()) as keys.
+	 */
+	private static function find_background_paths( string $css ): array {
+		$paths = array();
+		if ( false === stripos( $css, 'url(' ) || ! preg_match_all( '/url\(\s*(?:&quot;|["\'])?([^"\')]+?)(?:&quot;|["\'])?\s*\)/i', $css, $matches ) ) {
+			return $paths;
+		}
+
+		foreach ( $matches[1] as $url ) {
+			$path = self::get_upload_path_key( $url );
+			if ( null !== $path ) {
+				$paths[ $path ] = true;
+			}
+		}
+
+		return $paths;
+	}
+
+	/**
+	 * Get the file of a stylesheet served from wp-content.
+	 *
+	 * @since  1.3.0
+	 * @param  string $src The stylesheet URL.
+	 * @return string|null The readable CSS file, or null if the stylesheet is not a local file in wp-content.
+	 */
+	private static function get_stylesheet_file( string $src ): ?string {
+		$content = wp_parse_url( content_url() );
+		$parts   = wp_parse_url( $src );
+		if ( ! is_array( $content ) || ! is_array( $parts ) || empty( $parts['path'] ) ) {
 			return null;
 		}
 
-		return Focus_Ajax::get_instance()->get_override( $post_id, $image_key );
+		if ( isset( $parts['host'] ) && $parts['host'] !== ( $content['host'] ?? '' ) ) {
+			return null;
+		}
+
+		$base = rtrim( (string) ( $content['path'] ?? '' ), '/' ) . '/';
+		if ( 0 !== strpos( $parts['path'], $base ) || false !== strpos( $parts['path'], '..' ) ) {
+			return null;
+		}
+
+		$file = WP_CONTENT_DIR . '/' . substr( $parts['path'], strlen( $base ) );
+
+		return '.css' === strtolower( substr( $file, -4 ) ) && is_readable( $file ) ? $file : null;
+	}
+
+	/**
+	 * Get the path of an uploaded image relative to the uploads folder,
+	 * without size suffixes, so all sizes of an image share one key.
+	 *
+	 * Only the path of the uploads URL is compared, so images served from
+	 * another host (e.g. a CDN) match too. Mirrored by the background script.
+	 *
+	 * @since  1.3.0
+	 * @param  string $url The image URL.
+	 * @return string|null The path (e.g. "2025/01/hero.jpg"), or null if not an uploaded image.
+	 */
+	public static function get_upload_path_key( string $url ): ?string {
+		$uploads_path = self::get_uploads_path();
+		$position     = '' !== $uploads_path ? strpos( $url, $uploads_path . '/' ) : false;
+		if ( false === $position ) {
+			return null;
+		}
+
+		$path = (string) preg_replace( '/[?#].*$/s', '', substr( $url, $position + strlen( $uploads_path ) + 1 ) );
+		if ( '' === $path ) {
+			return null;
+		}
+
+		return (string) preg_replace( '/(?:-(?:\d+x\d+|scaled|rotated))+(?=\.[a-z0-9]+$)/i', '', $path );
+	}
+
+	/**
+	 * Get the path of the uploads URL (e.g. "/wp-content/uploads").
+	 *
+	 * @since  1.3.0
+	 * @return string The path without trailing slash, empty if unknown.
+	 */
+	private static function get_uploads_path(): string {
+		$uploads = wp_get_upload_dir();
+		$path    = wp_parse_url( (string) ( $uploads['baseurl'] ?? '' ), PHP_URL_PATH );
+
+		return is_string( $path ) ? rtrim( $path, '/' ) : '';
+	}
+
+	/**
+	 * Get the background script.
+	 *
+	 * A function expression called with the map from get_background_focus_map()
+	 * and the path of the uploads URL. Only elements matched by stylesheet
+	 * rules with one of these images are checked, or every element with a
+	 * class if a stylesheet can't be read. Elements that already have an
+	 * inline background position are skipped.
+	 *
+	 * @since  1.3.0
+	 * @return string JavaScript.
+	 */
+	private function get_background_script(): string {
+		return <<<'JS'
+(function (map, uploads) {
+	var pattern = new RegExp(uploads.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/([^?#"\')]+)');
+	function key(value) {
+		var match = pattern.exec(value || '');
+		return match ? match[1].replace(/(?:-(?:\d+x\d+|scaled|rotated))+(?=\.[a-z0-9]+$)/i, '') : null;
+	}
+	function lookup(el, path) {
+		var selector = '[data-mwe-focus-component]';
+		for (var root = el.closest(selector); root; root = root.parentElement && root.parentElement.closest(selector)) {
+			var parts = root.getAttribute('data-mwe-focus-component').split(':');
+			var positions = (map['component_' + parts[0] + '_' + parts[1]] || {})[path] || (map['component_' + parts[0]] || {})[path];
+			if (positions) return positions;
+		}
+		return (map.page || {})[path];
+	}
+	function targets() {
+		var paths = {}, selectors = [];
+		for (var scope in map) {
+			for (var path in map[scope]) paths[path] = true;
+		}
+		function collect(rules) {
+			for (var i = 0; i < rules.length; i++) {
+				var rule = rules[i];
+				if (rule.selectorText && rule.style && paths[key(rule.style.backgroundImage)]) selectors.push(rule.selectorText);
+				if (rule.cssRules) collect(rule.cssRules);
+			}
+		}
+		try {
+			for (var i = 0; i < document.styleSheets.length; i++) collect(document.styleSheets[i].cssRules);
+			return selectors.length ? document.querySelectorAll(selectors.join(',')) : [];
+		} catch (e) {
+			// Stylesheets from another origin can't be read: check every element.
+			return document.querySelectorAll('body [class]');
+		}
+	}
+	function apply() {
+		var elements = targets();
+		for (var i = 0; i < elements.length; i++) {
+			var el = elements[i];
+			if (el.tagName === 'IMG' || el.style.backgroundPosition) continue;
+			var path = key(getComputedStyle(el).backgroundImage);
+			var positions = path && lookup(el, path);
+			if (!positions) continue;
+			el.style.backgroundPosition = positions[0];
+			if (positions[1] !== positions[0] || positions[2] !== positions[0]) {
+				el.style.setProperty('--mwe-focus-tablet', positions[1]);
+				el.style.setProperty('--mwe-focus-mobile', positions[2]);
+				el.setAttribute('data-mwe-focus-responsive', 'background');
+			}
+		}
+	}
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', apply);
+	} else {
+		apply();
+	}
+})
+JS;
+	}
+
+	/**
+	 * Get the focus area script.
+	 *
+	 * Mirrors area_to_position() with the natural size of the image and the
+	 * rendered size of the element, on load and on resize.
+	 *
+	 * @since  1.3.0
+	 * @return string JavaScript.
+	 */
+	private function get_focus_area_script(): string {
+		return <<<'JS'
+(function () {
+	function axis(start, end, visible) {
+		if (visible >= 1) { return (start + end) / 2; }
+		var size = visible * 100;
+		var offset = Math.min(Math.max((start + end) / 2 - size / 2, 0), 100 - size);
+		return offset / (100 - size) * 100;
+	}
+	function position(value, imageRatio, boxRatio) {
+		var m = /^([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%$/.exec(value || '');
+		if (!m) { return value; }
+		var a = m.slice(1).map(parseFloat), x = (a[0] + a[2]) / 2, y = (a[1] + a[3]) / 2;
+		if (boxRatio < imageRatio) { x = axis(a[0], a[2], boxRatio / imageRatio); }
+		else if (boxRatio > imageRatio) { y = axis(a[1], a[3], imageRatio / boxRatio); }
+		return Math.round(x * 10) / 10 + '% ' + Math.round(y * 10) / 10 + '%';
+	}
+	function update(img) {
+		var areas;
+		try { areas = JSON.parse(img.getAttribute('data-mwe-focus-area')); } catch (e) { return; }
+		if (!areas || !img.naturalWidth || !img.clientWidth || !img.clientHeight) { return; }
+		var imageRatio = img.naturalWidth / img.naturalHeight, boxRatio = img.clientWidth / img.clientHeight;
+		img.style.objectPosition = position(areas.desktop, imageRatio, boxRatio);
+		img.style.setProperty('--mwe-focus-tablet', position(areas.tablet, imageRatio, boxRatio));
+		img.style.setProperty('--mwe-focus-mobile', position(areas.mobile, imageRatio, boxRatio));
+	}
+	function updateAll() {
+		Array.prototype.forEach.call(document.querySelectorAll('img[data-mwe-focus-area]'), update);
+	}
+	var timer;
+	document.addEventListener('load', function (e) {
+		if (e.target.hasAttribute && e.target.hasAttribute('data-mwe-focus-area')) { update(e.target); }
+	}, true);
+	window.addEventListener('resize', function () { clearTimeout(timer); timer = setTimeout(updateAll, 100); });
+	if (document.readyState === 'loading') { document.addEventListener('DOMContentLoaded', updateAll); } else { updateAll(); }
+})();
+JS;
+	}
+
+	/**
+	 * Enqueue the styles that zoom images towards their focus point.
+	 *
+	 * Uses object-view-box where supported. Other browsers scale the image
+	 * around the focus point and clip it back to its box.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	private function enqueue_zoom_styles(): void {
+		if ( wp_style_is( 'mwe-focus-zoom', 'enqueued' ) ) {
+			return;
+		}
+
+		$breakpoints = Helper::get_focus_breakpoints();
+		$version     = defined( 'MWE_ETCHWP_VERSION' ) ? MWE_ETCHWP_VERSION : '1.3.0';
+
+		$css = sprintf(
+			'[data-mwe-focus-zoom] { transform: scale(var(--mwe-focus-zoom)); transform-origin: var(--mwe-focus-origin); clip-path: var(--mwe-focus-inset); } '
+			. '@media (max-width: %1$dpx) { [data-mwe-focus-zoom][data-mwe-focus-responsive] { transform: scale(var(--mwe-focus-zoom-tablet)); transform-origin: var(--mwe-focus-tablet); clip-path: var(--mwe-focus-inset-tablet); } } '
+			. '@media (max-width: %2$dpx) { [data-mwe-focus-zoom][data-mwe-focus-responsive] { transform: scale(var(--mwe-focus-zoom-mobile)); transform-origin: var(--mwe-focus-mobile); clip-path: var(--mwe-focus-inset-mobile); } } '
+			. '@supports (object-view-box: inset(0%%)) { '
+			. '[data-mwe-focus-zoom] { transform: none !important; clip-path: none !important; object-view-box: var(--mwe-focus-inset); } '
+			. '@media (max-width: %1$dpx) { [data-mwe-focus-zoom][data-mwe-focus-responsive] { object-view-box: var(--mwe-focus-inset-tablet); } } '
+			. '@media (max-width: %2$dpx) { [data-mwe-focus-zoom][data-mwe-focus-responsive] { object-view-box: var(--mwe-focus-inset-mobile); } } }',
+			$breakpoints['tablet'],
+			$breakpoints['mobile']
+		);
+
+		wp_register_style( 'mwe-focus-zoom', false, array(), $version );
+		wp_add_inline_style( 'mwe-focus-zoom', $css );
+		wp_enqueue_style( 'mwe-focus-zoom' );
+	}
+
+	/**
+	 * Enqueue the per-source rules of a picture.
+	 *
+	 * Rules of all pictures on the page are collected in one inline style.
+	 *
+	 * @since  1.3.0
+	 * @param  string $css The rules of the picture.
+	 * @return void
+	 */
+	private function enqueue_picture_styles( string $css ): void {
+		if ( ! wp_style_is( 'mwe-focus-pictures', 'registered' ) ) {
+			$version = defined( 'MWE_ETCHWP_VERSION' ) ? MWE_ETCHWP_VERSION : '1.3.0';
+			wp_register_style( 'mwe-focus-pictures', false, array(), $version );
+		}
+
+		wp_add_inline_style( 'mwe-focus-pictures', $css );
+		wp_enqueue_style( 'mwe-focus-pictures' );
+	}
+
+	/**
+	 * Enqueue the media queries for per-breakpoint focus points.
+	 *
+	 * Called while rendering, so the styles are printed in the footer on
+	 * classic themes and in the head on block themes.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	private function enqueue_breakpoint_styles(): void {
+		if ( wp_style_is( 'mwe-focus-breakpoints', 'enqueued' ) ) {
+			return;
+		}
+
+		$breakpoints = Helper::get_focus_breakpoints();
+		$version     = defined( 'MWE_ETCHWP_VERSION' ) ? MWE_ETCHWP_VERSION : '1.3.0';
+
+		$css = sprintf(
+			'@media (max-width: %1$dpx) { [data-mwe-focus-responsive] { object-position: var(--mwe-focus-tablet) !important; } '
+			. '[data-mwe-focus-responsive="background"] { background-position: var(--mwe-focus-tablet) !important; } }'
+			. '@media (max-width: %2$dpx) { [data-mwe-focus-responsive] { object-position: var(--mwe-focus-mobile) !important; } '
+			. '[data-mwe-focus-responsive="background"] { background-position: var(--mwe-focus-mobile) !important; } }',
+			$breakpoints['tablet'],
+			$breakpoints['mobile']
+		);
+
+		wp_register_style( 'mwe-focus-breakpoints', false, array(), $version );
+		wp_add_inline_style( 'mwe-focus-breakpoints', $css );
+		wp_enqueue_style( 'mwe-focus-breakpoints' );
 	}
 
 }
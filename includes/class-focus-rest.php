@@ -0,0 +1,758 @@
+<?php
+/**
+ * Focus REST Class
+ *
+ * Exposes focus point overrides through the WordPress REST API.
+ *
+ * @package    MWE_EtchWP_Enhancements
+ * @subpackage MWE_EtchWP_Enhancements/Includes
+ * @author     Marco Michely <email@michelyweb.de>
+ * @copyright  2025 Marco Michely
+ * @license    GPL-3.0-or-later
+ * @since      1.3.0
+ */
+
+declare( strict_types=1 );
+
+namespace MWE\EtchWP_Enhancements;
+
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Focus REST class.
+ *
+ * Registers the mwe/v1 routes for per-page overrides, global (Media
+ * Library) focus points and batch lookups. Storage and validation are
+ * shared with the admin-ajax actions of Focus_Ajax.
+ *
+ * @since 1.3.0
+ */
+class Focus_Rest {
+
+	/**
+	 * REST namespace of the routes.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	public const REST_NAMESPACE = 'mwe/v1';
+
+	/**
+	 * Pattern of image keys in routes: plain or scoped keys.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	private const IMAGE_KEY_PATTERN = '[A-Za-z0-9_:-]+';
+
+	/**
+	 * The single instance of the class.
+	 *
+	 * @since 1.3.0
+	 * @var Focus_Rest|null
+	 */
+	private static ?Focus_Rest $instance = null;
+
+	/**
+	 * Main Focus_Rest Instance.
+	 *
+	 * @since  1.3.0
+	 * @return Focus_Rest Main instance.
+	 */
+	public static function get_instance(): Focus_Rest {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	private function __construct() {
+		// Private constructor.
+	}
+
+	/**
+	 * Initialize REST hooks.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register the REST routes.
+	 *
+	 * @since  1.3.0
+	 * @return void
+	 */
+	public function register_routes(): void {
+		$post_id = array(
+			'description' => 'ID of the post the overrides belong to.',
+			'type'        => 'integer',
+			'minimum'     => 1,
+			'required'    => true,
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/posts/(?P<post_id>\d+)/focus-overrides',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_overrides' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array( 'post_id' => $post_id ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_overrides' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array(
+						'post_id'   => $post_id,
+						'overrides' => $this->get_batch_args_schema( true ),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_overrides' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array(
+						'post_id'   => $post_id,
+						'overrides' => $this->get_batch_args_schema( false ),
+					),
+				),
+				'schema' => array( $this, 'get_collection_schema' ),
+			)
+		);
+
+		// Registered before the single override route, which would match them too.
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/posts/(?P<post_id>\d+)/focus-overrides/export',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'export_overrides' ),
+				'permission_callback' => array( $this, 'can_edit_post' ),
+				'args'                => array( 'post_id' => $post_id ),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/posts/(?P<post_id>\d+)/focus-overrides/import',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'import_overrides' ),
+				'permission_callback' => array( $this, 'can_edit_post' ),
+				'args'                => array(
+					'post_id'   => $post_id,
+					'version'   => array(
+						'description' => 'Version of the export format.',
+						'type'        => 'integer',
+						'minimum'     => 1,
+						'maximum'     => Focus_Transfer::FORMAT_VERSION,
+						'required'    => true,
+					),
+					'overrides' => array(
+						'description' => 'Exported overrides: key, override and the identity of the image.',
+						'type'        => 'array',
+						'required'    => true,
+						'items'       => array( 'type' => 'object' ),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/posts/(?P<post_id>\d+)/focus-overrides/(?P<image_key>' . self::IMAGE_KEY_PATTERN . ')',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_override' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array( 'post_id' => $post_id ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_override' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array(
+						'post_id'     => $post_id,
+						'focus_point' => $this->get_focus_point_arg( true ),
+						'breakpoint'  => $this->get_breakpoint_arg( Focus_Ajax::BREAKPOINTS, 'desktop' ),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_override' ),
+					'permission_callback' => array( $this, 'can_edit_post' ),
+					'args'                => array(
+						'post_id'    => $post_id,
+						'breakpoint' => $this->get_breakpoint_arg( Focus_Ajax::BREAKPOINTS ),
+					),
+				),
+				'schema' => array( $this, 'get_item_schema' ),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/attachments/(?P<attachment_id>\d+)/focus-point',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_attachment_focus_point' ),
+					'permission_callback' => array( $this, 'can_edit_posts' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_attachment_focus_point' ),
+					'permission_callback' => array( $this, 'can_edit_attachment' ),
+					'args'                => array(
+						'focus_point' => $this->get_focus_point_arg( false ),
+						'breakpoint'  => $this->get_breakpoint_arg( array_keys( Focus_Ajax::GLOBAL_META_KEYS ), 'desktop' ),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/focus-points',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_global_focus_point' ),
+				'permission_callback' => array( $this, 'can_edit_posts' ),
+				'args'                => array(
+					'url' => array(
+						'description' => 'URL of the image.',
+						'type'        => 'string',
+						'format'      => 'uri',
+						'required'    => true,
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/focus-points/resolve',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'resolve_focus_points' ),
+				'permission_callback' => array( $this, 'can_edit_posts' ),
+				'args'                => array(
+					'urls'           => array(
+						'description' => 'Image URLs to resolve to attachments and focus points.',
+						'type'        => 'array',
+						'items'       => array( 'type' => 'string' ),
+						'default'     => array(),
+					),
+					'attachment_ids' => array(
+						'description' => 'Attachment IDs to resolve to URLs and focus points.',
+						'type'        => 'array',
+						'items'       => array( 'type' => 'integer' ),
+						'default'     => array(),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check whether the current user may edit the post of the request.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return bool                     True if allowed.
+	 */
+	public function can_edit_post( WP_REST_Request $request ): bool {
+		return current_user_can( 'edit_post', (int) $request['post_id'] );
+	}
+
+	/**
+	 * Check whether the current user may edit posts.
+	 *
+	 * @since  1.3.0
+	 * @return bool True if allowed.
+	 */
+	public function can_edit_posts(): bool {
+		return current_user_can( 'edit_posts' );
+	}
+
+	/**
+	 * Check whether the current user may edit the attachment of the request.
+	 *
+	 * Changing the attachment affects every page it is used on.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return bool                     True if allowed.
+	 */
+	public function can_edit_attachment( WP_REST_Request $request ): bool {
+		return current_user_can( 'edit_post', (int) $request['attachment_id'] );
+	}
+
+	/**
+	 * Get all overrides that apply to a post.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response         The overrides, keyed by image key.
+	 */
+	public function get_overrides( WP_REST_Request $request ): WP_REST_Response {
+		$overrides = Focus_Ajax::get_instance()->get_all_overrides( (int) $request['post_id'] );
+
+		return rest_ensure_response( array( 'overrides' => (object) $overrides ) );
+	}
+
+	/**
+	 * Save several overrides at once.
+	 *
+	 * All items are validated before any is stored.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The resulting overrides of the changed images, or an error.
+	 */
+	public function update_overrides( WP_REST_Request $request ) {
+		$post_id = (int) $request['post_id'];
+		$ajax    = Focus_Ajax::get_instance();
+		$items   = (array) $request['overrides'];
+
+		foreach ( $items as $index => $item ) {
+			$error = $this->check_override_change( $post_id, $item['image_key'], $item['focus_point'] );
+			if ( $error ) {
+				$error->add_data( array_merge( (array) $error->get_error_data(), array( 'index' => $index ) ) );
+				return $error;
+			}
+		}
+
+		$overrides = array();
+		foreach ( $items as $item ) {
+			$overrides[ $item['image_key'] ] = $ajax->set_override(
+				$post_id,
+				$item['image_key'],
+				$item['focus_point'],
+				$item['breakpoint'] ?? 'desktop'
+			);
+		}
+
+		return rest_ensure_response( array( 'overrides' => (object) $overrides ) );
+	}
+
+	/**
+	 * Delete several overrides, or single breakpoints of them, at once.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The remaining overrides of the changed images, or an error.
+	 */
+	public function delete_overrides( WP_REST_Request $request ) {
+		$post_id = (int) $request['post_id'];
+		$ajax    = Focus_Ajax::get_instance();
+		$items   = (array) $request['overrides'];
+
+		foreach ( $items as $index => $item ) {
+			$error = $this->check_override_change( $post_id, $item['image_key'] );
+			if ( $error ) {
+				$error->add_data( array_merge( (array) $error->get_error_data(), array( 'index' => $index ) ) );
+				return $error;
+			}
+		}
+
+		$overrides = array();
+		foreach ( $items as $item ) {
+			$overrides[ $item['image_key'] ] = $ajax->remove_override( $post_id, $item['image_key'], $item['breakpoint'] ?? '' );
+		}
+
+		return rest_ensure_response( array( 'overrides' => (object) $overrides ) );
+	}
+
+	/**
+	 * Export the overrides of a post with the identity of their images.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response         The export document.
+	 */
+	public function export_overrides( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( Focus_Transfer::get_instance()->export_overrides( (int) $request['post_id'] ) );
+	}
+
+	/**
+	 * Import exported overrides into a post, remapping attachment keys.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response         The import report.
+	 */
+	public function import_overrides( WP_REST_Request $request ): WP_REST_Response {
+		$report = Focus_Transfer::get_instance()->import_overrides( (int) $request['post_id'], (array) $request['overrides'] );
+
+		// Keep the remapped keys a JSON object when empty.
+		$report['remapped'] = (object) $report['remapped'];
+
+		return rest_ensure_response( $report );
+	}
+
+	/**
+	 * Get the override of one image.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response         The override, null if there is none.
+	 */
+	public function get_override( WP_REST_Request $request ): WP_REST_Response {
+		$image_key = (string) $request['image_key'];
+		$storage   = Focus_Ajax::get_storage_post_id( (int) $request['post_id'], $image_key );
+		$overrides = Focus_Ajax::get_instance()->get_overrides_for_post( $storage );
+
+		return rest_ensure_response( $this->prepare_override( $image_key, $overrides[ $image_key ] ?? null ) );
+	}
+
+	/**
+	 * Save the focus point of one breakpoint of an image.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The stored override, or an error.
+	 */
+	public function update_override( WP_REST_Request $request ) {
+		$post_id   = (int) $request['post_id'];
+		$image_key = (string) $request['image_key'];
+
+		$error = $this->check_override_change( $post_id, $image_key );
+		if ( $error ) {
+			return $error;
+		}
+
+		$override = Focus_Ajax::get_instance()->set_override(
+			$post_id,
+			$image_key,
+			(string) $request['focus_point'],
+			(string) $request['breakpoint']
+		);
+
+		return rest_ensure_response( $this->prepare_override( $image_key, $override ) );
+	}
+
+	/**
+	 * Delete the override of an image, or the value of one breakpoint.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The remaining override, or an error.
+	 */
+	public function delete_override( WP_REST_Request $request ) {
+		$post_id   = (int) $request['post_id'];
+		$image_key = (string) $request['image_key'];
+
+		$error = $this->check_override_change( $post_id, $image_key );
+		if ( $error ) {
+			return $error;
+		}
+
+		$override = Focus_Ajax::get_instance()->remove_override( $post_id, $image_key, (string) $request['breakpoint'] );
+
+		return rest_ensure_response( $this->prepare_override( $image_key, $override ) );
+	}
+
+	/**
+	 * Get the URL and global focus points of an attachment.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The attachment data, or an error.
+	 */
+	public function get_attachment_focus_point( WP_REST_Request $request ) {
+		$attachment_id = (int) $request['attachment_id'];
+		$resolved      = Focus_Ajax::get_instance()->resolve_focus_points( array(), array( $attachment_id ) );
+
+		if ( null === $resolved['attachments'][ $attachment_id ] ) {
+			return new WP_Error( 'mwe_invalid_attachment', 'Invalid attachment ID', array( 'status' => 404 ) );
+		}
+
+		return rest_ensure_response( $resolved['attachments'][ $attachment_id ] );
+	}
+
+	/**
+	 * Save the global (Media Library) focus point of an attachment.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The saved value, or an error.
+	 */
+	public function update_attachment_focus_point( WP_REST_Request $request ) {
+		$attachment_id = (int) $request['attachment_id'];
+		$breakpoint    = (string) $request['breakpoint'];
+		$focus_point   = (string) $request['focus_point'];
+
+		$attachment = get_post( $attachment_id );
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return new WP_Error( 'mwe_invalid_attachment', 'Invalid attachment ID', array( 'status' => 404 ) );
+		}
+
+		update_post_meta( $attachment_id, Focus_Ajax::GLOBAL_META_KEYS[ $breakpoint ], $focus_point );
+
+		return rest_ensure_response(
+			array(
+				'attachment_id' => $attachment_id,
+				'focus_point'   => $focus_point,
+				'breakpoint'    => $breakpoint,
+			)
+		);
+	}
+
+	/**
+	 * Get the global focus points of an image by URL.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The attachment ID and focus points, or an error.
+	 */
+	public function get_global_focus_point( WP_REST_Request $request ) {
+		$url = esc_url_raw( (string) $request['url'] );
+		if ( '' === $url ) {
+			return new WP_Error( 'mwe_invalid_url', 'Invalid image URL', array( 'status' => 400 ) );
+		}
+
+		$resolved = Focus_Ajax::get_instance()->resolve_focus_points( array( $url ), array() );
+
+		return rest_ensure_response( $resolved['urls'][ $url ] );
+	}
+
+	/**
+	 * Resolve many image URLs and attachment IDs in one request.
+	 *
+	 * @since  1.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The resolved entries, or an error.
+	 */
+	public function resolve_focus_points( WP_REST_Request $request ) {
+		$urls = array_values( array_filter( array_map( 'strval', (array) $request['urls'] ) ) );
+		$ids  = array_values( array_filter( array_map( 'absint', (array) $request['attachment_ids'] ) ) );
+
+		if ( empty( $urls ) && empty( $ids ) ) {
+			return new WP_Error( 'mwe_missing_items', 'Missing urls or attachment_ids', array( 'status' => 400 ) );
+		}
+
+		if ( count( $urls ) + count( $ids ) > Focus_Ajax::MAX_BATCH_SIZE ) {
+			return new WP_Error( 'mwe_batch_too_large', 'Too many items in batch', array( 'status' => 400 ) );
+		}
+
+		$resolved = Focus_Ajax::get_instance()->resolve_focus_points( $urls, $ids );
+
+		return rest_ensure_response(
+			array(
+				'urls'        => (object) $resolved['urls'],
+				'attachments' => (object) $resolved['attachments'],
+			)
+		);
+	}
+
+	/**
+	 * Check that an override may be changed and its focus point is valid.
+	 *
+	 * @since  1.3.0
+	 * @param  int         $post_id     The post ID.
+	 * @param  string      $image_key   The image key, optionally scoped.
+	 * @param  string|null $focus_point The focus point to save, null when deleting.
+	 * @return WP_Error|null            The error, or null if the change is allowed.
+	 */
+	private function check_override_change( int $post_id, string $image_key, ?string $focus_point = null ): ?WP_Error {
+		$ajax = Focus_Ajax::get_instance();
+
+		if ( null !== $focus_point && ! $ajax->is_valid_focus_value( $focus_point ) ) {
+			return new WP_Error( 'mwe_invalid_focus_point', 'Invalid focus point format', array( 'status' => 400 ) );
+		}
+
+		if ( ! $ajax->can_edit_override( $post_id, $image_key ) ) {
+			return new WP_Error( 'rest_forbidden', 'Insufficient permissions', array( 'status' => rest_authorization_required_code() ) );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Prepare an override for the response.
+	 *
+	 * @since  1.3.0
+	 * @param  string            $image_key The image key.
+	 * @param  string|array|null $override  The override.
+	 * @return array                        The response data.
+	 */
+	private function prepare_override( string $image_key, $override ): array {
+		return array(
+			'image_key' => $image_key,
+			'override'  => $override,
+		);
+	}
+
+	/**
+	 * Get the argument of a focus point.
+	 *
+	 * @since  1.3.0
+	 * @param  bool $allow_override_values Whether zoomed points and focus areas are accepted.
+	 * @return array                       The argument.
+	 */
+	private function get_focus_point_arg( bool $allow_override_values ): array {
+		$ajax = Focus_Ajax::get_instance();
+
+		return array(
+			'description'       => $allow_override_values
+				? 'Focus point ("30% 70%"), optionally zoomed ("30% 70% 1.5x"), or focus area ("10% 20% 60% 80%").'
+				: 'Focus point ("30% 70%").',
+			'type'              => 'string',
+			'required'          => true,
+			'validate_callback' => static function ( $value ) use ( $ajax, $allow_override_values ) {
+				$value = is_string( $value ) ? $value : '';
+				$valid = $allow_override_values ? $ajax->is_valid_focus_value( $value ) : $ajax->is_valid_focus_point( $value );
+				return $valid ? true : new WP_Error( 'mwe_invalid_focus_point', 'Invalid focus point format', array( 'status' => 400 ) );
+			},
+		);
+	}
+
+	/**
+	 * Get the argument of a breakpoint.
+	 *
+	 * @since  1.3.0
+	 * @param  string[]    $breakpoints Allowed breakpoints.
+	 * @param  string|null $default     Default breakpoint; null to make it optional.
+	 * @return array                    The argument.
+	 */
+	private function get_breakpoint_arg( array $breakpoints, ?string $default = null ): array {
+		$arg = array(
+			'description' => 'Breakpoint of the focus point.',
+			'type'        => 'string',
+			'enum'        => $breakpoints,
+		);
+
+		if ( null !== $default ) {
+			$arg['default'] = $default;
+		}
+
+		return $arg;
+	}
+
+	/**
+	 * Get the argument of a batch of override changes.
+	 *
+	 * @since  1.3.0
+	 * @param  bool $with_focus_point Whether items carry a focus point (save) or not (delete).
+	 * @return array                  The argument.
+	 */
+	private function get_batch_args_schema( bool $with_focus_point ): array {
+		$properties = array(
+			'image_key'  => array(
+				'type'    => 'string',
+				'pattern' => '^' . self::IMAGE_KEY_PATTERN . '$',
+			),
+			'breakpoint' => array(
+				'type' => 'string',
+				'enum' => Focus_Ajax::BREAKPOINTS,
+			),
+		);
+		$required   = array( 'image_key' );
+
+		if ( $with_focus_point ) {
+			$properties['focus_point'] = array( 'type' => 'string' );
+			$required[]                = 'focus_point';
+		}
+
+		return array(
+			'description' => $with_focus_point
+				? 'Overrides to save: image key, focus point and breakpoint (default desktop).'
+				: 'Overrides to delete: image key and optionally a single breakpoint.',
+			'type'        => 'array',
+			'required'    => true,
+			'minItems'    => 1,
+			'maxItems'    => Focus_Ajax::MAX_BATCH_SIZE,
+			'items'       => array(
+				'type'                 => 'object',
+				'properties'           => $properties,
+				'required'             => $required,
+				'additionalProperties' => false,
+			),
+		);
+	}
+
+	/**
+	 * Get the schema of a single override.
+	 *
+	 * @since  1.3.0
+	 * @return array The schema.
+	 */
+	public function get_item_schema(): array {
+		return array(
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'mwe-focus-override',
+			'type'       => 'object',
+			'properties' => array(
+				'image_key' => array(
+					'description' => 'Image key: attachment_<id> or url_<md5>, optionally prefixed by a scope (loop, component or picture source) and a colon.',
+					'type'        => 'string',
+					'context'     => array( 'view', 'edit' ),
+					'readonly'    => true,
+				),
+				'override'  => $this->get_override_schema(),
+			),
+		);
+	}
+
+	/**
+	 * Get the schema of the overrides of a post.
+	 *
+	 * @since  1.3.0
+	 * @return array The schema.
+	 */
+	public function get_collection_schema(): array {
+		return array(
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'mwe-focus-overrides',
+			'type'       => 'object',
+			'properties' => array(
+				'overrides' => array(
+					'description'          => 'Overrides keyed by image key.',
+					'type'                 => 'object',
+					'context'              => array( 'view', 'edit' ),
+					'additionalProperties' => $this->get_override_schema(),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Get the schema of an override value.
+	 *
+	 * @since  1.3.0
+	 * @return array The schema.
+	 */
+	private function get_override_schema(): array {
+		$breakpoints = array();
+		foreach ( Focus_Ajax::BREAKPOINTS as $breakpoint ) {
+			$breakpoints[ $breakpoint ] = array( 'type' => 'string' );
+		}
+
+		return array(
+			'description' => 'Focus point for all breakpoints, or focus points keyed by breakpoint. Null without override.',
+			'type'        => array( 'string', 'object', 'null' ),
+			'context'     => array( 'view', 'edit' ),
+			'properties'  => $breakpoints,
+		);
+	}
+}
@@ -0,0 +1,475 @@
+<?php
+/**
+ * Focus Transfer Class
+ *
+ * Exports and imports the focus point overrides of a page.
+ *
+ * @package    MWE_EtchWP_Enhancements
+ * @subpackage MWE_EtchWP_Enhancements/Includes
+ * @author     Marco Michely <email@michelyweb.de>
+ * @copyright  2025 Marco Michely
+ * @license    GPL-3.0-or-later
+ * @since      1.3.0
+ */
+
+declare( strict_types=1 );
+
+namespace MWE\EtchWP_Enhancements;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Focus Transfer class.
+ *
+ * Attachment IDs differ between sites (e.g. staging and production), so
+ * exported overrides carry the identity of their image (file, URL and
+ * dimensions) and of the components in their scope (slug and post type).
+ * On import, attachment and component IDs are remapped to the matching
+ * posts of the target site.
+ *
+ * @since 1.3.0
+ */
+class Focus_Transfer {
+
+	/**
+	 * Version of the export format.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	public const FORMAT_VERSION = 1;
+
+	/**
+	 * Most attachments considered when matching an image by filename.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	private const MAX_FILENAME_CANDIDATES = 20;
+
+	/**
+	 * The single instance of the class.
+	 *
+	 * @since 1.3.0
+	 * @var Focus_Transfer|null
+	 */
+	private static ?Focus_Transfer $instance = null;
+
+	/**
+	 * Components of this site found during an import, by exported component ID.
+	 *
+	 * @since 1.3.0
+	 * @var array<int, int|null>
+	 */
+	private $found_components = array();
+
+	/**
+	 * Main Focus_Transfer Instance.
+	 *
+	 * @since  1.3.0
+	 * @return Focus_Transfer Main instance.
+	 */
+	public static function get_instance(): Focus_Transfer {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	private function __construct() {
+		// Private constructor.
+	}
+
+	/**
+	 * Export the overrides stored on a post.
+	 *
+	 * Overrides for every use of a component are stored on the component
+	 * and are not part of the export of a page.
+	 *
+	 * @since  1.3.0
+	 * @param  int $post_id The post ID.
+	 * @return array        The export document.
+	 */
+	public function export_overrides( int $post_id ): array {
+		$items = array();
+
+		foreach ( Focus_Ajax::get_instance()->get_overrides_for_post( $post_id ) as $key => $override ) {
+			$items[] = array(
+				'key'        => (string) $key,
+				'override'   => $override,
+				'image'      => $this->get_image_identity( self::get_base_key( (string) $key ) ),
+				'components' => $this->get_component_identities( (string) $key ),
+			);
+		}
+
+		return array(
+			'version'   => self::FORMAT_VERSION,
+			'site'      => home_url(),
+			'post_id'   => $post_id,
+			'exported'  => gmdate( 'c' ),
+			'overrides' => $items,
+		);
+	}
+
+	/**
+	 * Import exported overrides into a post.
+	 *
+	 * Imported values replace existing values of the same breakpoints.
+	 * Items whose image or component is not found on this site, or whose
+	 * values are invalid, are skipped and reported.
+	 *
+	 * @since  1.3.0
+	 * @param  int   $post_id The post ID.
+	 * @param  array $items   The overrides of the export document.
+	 * @return array{imported: string[], remapped: array<string, string>, unmatched: array[]} The import report.
+	 */
+	public function import_overrides( int $post_id, array $items ): array {
+		$ajax                   = Focus_Ajax::get_instance();
+		$this->found_components = array();
+		$report                 = array(
+			'imported'  => array(),
+			'remapped'  => array(),
+			'unmatched' => array(),
+		);
+
+		foreach ( $items as $item ) {
+			$key    = is_array( $item ) && isset( $item['key'] ) ? (string) $item['key'] : '';
+			$image  = is_array( $item ) && isset( $item['image'] ) && is_array( $item['image'] ) ? $item['image'] : null;
+			$record = Focus_Ajax::normalize_override( is_array( $item ) ? ( $item['override'] ?? null ) : null );
+
+			if ( ! $this->is_valid_item( $key, $record ) ) {
+				$report['unmatched'][] = $this->get_unmatched_entry( $key, $image, 'invalid' );
+				continue;
+			}
+
+			$components = is_array( $item['components'] ?? null ) ? $item['components'] : array();
+			$target_key = $this->remap_components( $key, $components );
+			if ( null === $target_key ) {
+				$report['unmatched'][] = $this->get_unmatched_entry( $key, $image, 'component_not_found' );
+				continue;
+			}
+
+			$target_key = $this->remap_key( $target_key, $image );
+			if ( null === $target_key ) {
+				$report['unmatched'][] = $this->get_unmatched_entry( $key, $image, 'not_found' );
+				continue;
+			}
+
+			if ( ! $ajax->can_edit_override( $post_id, $target_key ) ) {
+				$report['unmatched'][] = $this->get_unmatched_entry( $key, $image, 'forbidden' );
+				continue;
+			}
+
+			foreach ( $record as $breakpoint => $value ) {
+				$ajax->set_override( $post_id, $target_key, $value, $breakpoint );
+			}
+
+			$report['imported'][] = $target_key;
+			if ( $target_key !== $key ) {
+				$report['remapped'][ $key ] = $target_key;
+			}
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Get the identity of an image: file, URL and dimensions.
+	 *
+	 * Only attachments have an identity; URL keys are derived from the
+	 * image URL and stay valid as long as the URL does.
+	 *
+	 * @since  1.3.0
+	 * @param  string $image_key The image key without scope.
+	 * @return array|null        The identity, or null if not an existing attachment.
+	 */
+	public function get_image_identity( string $image_key ): ?array {
+		if ( ! preg_match( '/^attachment_(\d+)$/', $image_key, $matches ) ) {
+			return null;
+		}
+
+		$attachment_id = (int) $matches[1];
+		$file          = get_post_meta( $attachment_id, '_wp_attached_file', true );
+		if ( ! $file || ! is_string( $file ) ) {
+			return null;
+		}
+
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		$url      = wp_get_attachment_url( $attachment_id );
+
+		return array(
+			'filename' => wp_basename( $file ),
+			'file'     => $file,
+			'url'      => $url ? $url : null,
+			'width'    => is_array( $metadata ) ? (int) ( $metadata['width'] ?? 0 ) : 0,
+			'height'   => is_array( $metadata ) ? (int) ( $metadata['height'] ?? 0 ) : 0,
+		);
+	}
+
+	/**
+	 * Get the identity of the components in the scope of a key.
+	 *
+	 * @since  1.3.0
+	 * @param  string $key The image key, optionally scoped.
+	 * @return array[]     ID, slug and post type of each existing component.
+	 */
+	private function get_component_identities( string $key ): array {
+		$identities = array();
+
+		preg_match_all( '/(?:^|:)component_(\d+)(?=[_:])/', $key, $matches );
+		foreach ( array_unique( array_map( 'intval', $matches[1] ) ) as $component_id ) {
+			$component = get_post( $component_id );
+			if ( $component ) {
+				$identities[] = array(
+					'id'        => $component_id,
+					'slug'      => $component->post_name,
+					'post_type' => $component->post_type,
+				);
+			}
+		}
+
+		return $identities;
+	}
+
+	/**
+	 * Find the component of this site matching a component identity.
+	 *
+	 * @since  1.3.0
+	 * @param  array $component The component identity.
+	 * @return int|null         The component post ID, or null if none matches.
+	 */
+	private function find_component( array $component ): ?int {
+		if ( empty( $component['slug'] ) || ! is_string( $component['slug'] ) || empty( $component['post_type'] ) || ! is_string( $component['post_type'] ) ) {
+			return null;
+		}
+
+		$ids = get_posts(
+			array(
+				'name'          => sanitize_title( $component['slug'] ),
+				'post_type'     => sanitize_key( $component['post_type'] ),
+				'post_status'   => 'any',
+				'fields'        => 'ids',
+				'numberposts'   => 1,
+				'no_found_rows' => true,
+			)
+		);
+
+		return $ids ? (int) $ids[0] : null;
+	}
+
+	/**
+	 * Find the attachment of this site matching an image identity.
+	 *
+	 * Tries the URL (which also matches the same upload path on another
+	 * domain), then the relative file, then the filename in any upload
+	 * folder. Candidates must have the exported dimensions, if known.
+	 *
+	 * @since  1.3.0
+	 * @param  array $image The image identity.
+	 * @return int|null     The attachment ID, or null if none matches.
+	 */
+	public function find_attachment( array $image ): ?int {
+		$candidates = array();
+
+		if ( ! empty( $image['url'] ) && is_string( $image['url'] ) ) {
+			$attachment_id = Helper::get_attachment_id_from_url( esc_url_raw( $image['url'] ) );
+			if ( $attachment_id ) {
+				$candidates[] = $attachment_id;
+			}
+		}
+
+		$filename = ! empty( $image['filename'] ) && is_string( $image['filename'] ) ? wp_basename( $image['filename'] ) : '';
+		$file     = ! empty( $image['file'] ) && is_string( $image['file'] ) ? ltrim( $image['file'], '/' ) : '';
+
+		if ( $file || $filename ) {
+			$candidates = array_merge( $candidates, $this->find_attachments_by_file( $file, $filename ? $filename : wp_basename( $file ) ) );
+		}
+
+		$width  = (int) ( $image['width'] ?? 0 );
+		$height = (int) ( $image['height'] ?? 0 );
+
+		foreach ( array_unique( $candidates ) as $attachment_id ) {
+			if ( $this->has_dimensions( (int) $attachment_id, $width, $height ) ) {
+				return (int) $attachment_id;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Find attachments by relative file or by filename, exact file first.
+	 *
+	 * @since  1.3.0
+	 * @param  string $file     Relative file (e.g. "2024/01/hero.jpg"), may be empty.
+	 * @param  string $filename Filename (e.g. "hero.jpg").
+	 * @return int[]            Attachment IDs.
+	 */
+	private function find_attachments_by_file( string $file, string $filename ): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- One-off lookup during import.
+		$ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT post_id FROM {$wpdb->postmeta}
+				WHERE meta_key = '_wp_attached_file'
+				AND ( meta_value = %s OR meta_value = %s OR meta_value LIKE %s )
+				ORDER BY meta_value = %s DESC
+				LIMIT %d",
+				$file,
+				$filename,
+				'%/' . $wpdb->esc_like( $filename ),
+				$file,
+				self::MAX_FILENAME_CANDIDATES
+			)
+		);
+
+		return array_map( 'intval', (array) $ids );
+	}
+
+	/**
+	 * Check whether an attachment has the given dimensions.
+	 *
+	 * Unknown dimensions, on either side, don't rule an attachment out.
+	 *
+	 * @since  1.3.0
+	 * @param  int $attachment_id The attachment ID.
+	 * @param  int $width         Expected width, 0 if unknown.
+	 * @param  int $height        Expected height, 0 if unknown.
+	 * @return bool               True if the dimensions match.
+	 */
+	private function has_dimensions( int $attachment_id, int $width, int $height ): bool {
+		if ( ! $width || ! $height ) {
+			return true;
+		}
+
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		if ( ! is_array( $metadata ) || empty( $metadata['width'] ) || empty( $metadata['height'] ) ) {
+			return true;
+		}
+
+		return (int) $metadata['width'] === $width && (int) $metadata['height'] === $height;
+	}
+
+	/**
+	 * Get the key an exported override is stored under on this site.
+	 *
+	 * The scope of scoped keys is kept; attachment keys are remapped to
+	 * the matching attachment, other keys are kept as they are.
+	 *
+	 * @since  1.3.0
+	 * @param  string     $key   The exported key.
+	 * @param  array|null $image The exported image identity.
+	 * @return string|null       The key on this site, or null if the image is not found.
+	 */
+	private function remap_key( string $key, ?array $image ): ?string {
+		$base_key = self::get_base_key( $key );
+		$scope    = substr( $key, 0, strlen( $key ) - strlen( $base_key ) );
+
+		if ( 0 !== strpos( $base_key, 'attachment_' ) ) {
+			return $key;
+		}
+
+		$attachment_id = $image ? $this->find_attachment( $image ) : null;
+
+		return $attachment_id ? $scope . 'attachment_' . $attachment_id : null;
+	}
+
+	/**
+	 * Replace the component IDs in the scope of an exported key with those
+	 * of the matching components of this site.
+	 *
+	 * @since  1.3.0
+	 * @param  string  $key        The exported key.
+	 * @param  array[] $components The exported component identities.
+	 * @return string|null         The key with remapped scope, or null if a component is not found.
+	 */
+	private function remap_components( string $key, array $components ): ?string {
+		$base_key = self::get_base_key( $key );
+		$found    = true;
+
+		$scope = (string) preg_replace_callback(
+			'/(^|:)component_(\d+)(?=[_:])/',
+			function ( $matches ) use ( $components, &$found ) {
+				$source_id = (int) $matches[2];
+				if ( ! array_key_exists( $source_id, $this->found_components ) ) {
+					$identity = current(
+						array_filter(
+							$components,
+							static function ( $component ) use ( $source_id ) {
+								return is_array( $component ) && (int) ( $component['id'] ?? 0 ) === $source_id;
+							}
+						)
+					);
+
+					$this->found_components[ $source_id ] = $identity ? $this->find_component( $identity ) : null;
+				}
+
+				$found = $found && null !== $this->found_components[ $source_id ];
+				return $matches[1] . 'component_' . (int) $this->found_components[ $source_id ];
+			},
+			substr( $key, 0, strlen( $key ) - strlen( $base_key ) )
+		);
+
+		return $found ? $scope . $base_key : null;
+	}
+
+	/**
+	 * Check that an exported item has a usable key and valid values.
+	 *
+	 * @since  1.3.0
+	 * @param  string $key    The exported key.
+	 * @param  array  $record The override, keyed by breakpoint.
+	 * @return bool           True if valid.
+	 */
+	private function is_valid_item( string $key, array $record ): bool {
+		if ( ! preg_match( '/^[A-Za-z0-9_:-]+$/', $key ) || empty( $record ) ) {
+			return false;
+		}
+
+		foreach ( $record as $value ) {
+			if ( ! is_string( $value ) || ! Focus_Ajax::get_instance()->is_valid_focus_value( $value ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Build an entry of the unmatched list of the import report.
+	 *
+	 * @since  1.3.0
+	 * @param  string     $key    The exported key.
+	 * @param  array|null $image  The exported image identity.
+	 * @param  string     $reason Why it was skipped: not_found, component_not_found, invalid or forbidden.
+	 * @return array              The entry.
+	 */
+	private function get_unmatched_entry( string $key, ?array $image, string $reason ): array {
+		return array(
+			'key'      => $key,
+			'filename' => isset( $image['filename'] ) && is_string( $image['filename'] ) ? $image['filename'] : null,
+			'url'      => isset( $image['url'] ) && is_string( $image['url'] ) ? $image['url'] : null,
+			'reason'   => $reason,
+		);
+	}
+
+	/**
+	 * Get the image key of a possibly scoped key (the part after the last colon).
+	 *
+	 * @since  1.3.0
+	 * @param  string $key The key.
+	 * @return string      The image key.
+	 */
+	public static function get_base_key( string $key ): string {
+		$position = strrpos( $key, ':' );
+		return false === $position ? $key : substr( $key, $position + 1 );
+	}
+}
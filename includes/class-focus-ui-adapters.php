@@ -0,0 +1,292 @@
+<?php
+/**
+ * Focus UI Adapters Class
+ *
+ * Describes how the focus point editor finds things in the Etch builder UI.
+ *
+ * @package    MWE_EtchWP_Enhancements
+ * @subpackage MWE_EtchWP_Enhancements/Includes
+ * @author     Marco Michely <email@michelyweb.de>
+ * @copyright  2025 Marco Michely
+ * @license    GPL-3.0-or-later
+ * @since      1.3.0
+ */
+
+declare( strict_types=1 );
+
+namespace MWE\EtchWP_Enhancements;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Focus UI Adapters class.
+ *
+ * The editor has no API to ask Etch which element is selected or where
+ * its settings fields are, so it reads the builder DOM. Everything it
+ * relies on (selectors, and how to recognize settings fields) is kept in
+ * adapters here, each for a range of Etch versions. A change in the Etch
+ * UI is then fixed by adding an adapter through the
+ * mwe_etchwp_focus_ui_adapters filter instead of patching the editor.
+ *
+ * @since 1.3.0
+ */
+class Focus_UI_Adapters {
+
+	/**
+	 * ID of the default adapter, used for Etch versions no other adapter matches.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	public const DEFAULT_ADAPTER = 'etch';
+
+	/**
+	 * The single instance of the class.
+	 *
+	 * @since 1.3.0
+	 * @var Focus_UI_Adapters|null
+	 */
+	private static ?Focus_UI_Adapters $instance = null;
+
+	/**
+	 * Main Focus_UI_Adapters Instance.
+	 *
+	 * @since  1.3.0
+	 * @return Focus_UI_Adapters Main instance.
+	 */
+	public static function get_instance(): Focus_UI_Adapters {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	private function __construct() {
+		// Private constructor.
+	}
+
+	/**
+	 * Get the adapter for the editor config.
+	 *
+	 * @since  1.3.0
+	 * @return array The adapter for the installed Etch version.
+	 */
+	public function get_editor_config(): array {
+		return $this->get_adapter( $this->get_etch_version() );
+	}
+
+	/**
+	 * Get the adapter for an Etch version.
+	 *
+	 * The first adapter whose version range includes the Etch version is
+	 * used. It only needs to list what differs from the default adapter:
+	 * its selectors and fields replace those of the default adapter.
+	 *
+	 * @since  1.3.0
+	 * @param  string $etch_version The Etch version, empty if unknown.
+	 * @return array                The adapter with all selectors and fields.
+	 */
+	public function get_adapter( string $etch_version ): array {
+		$adapters = $this->get_adapters();
+		$default  = $this->get_default_adapter();
+
+		$adapter = $default;
+		foreach ( $adapters as $candidate ) {
+			if ( $this->matches_version( $candidate, $etch_version ) ) {
+				$adapter = $candidate;
+				break;
+			}
+		}
+
+		$fields = $default['fields'];
+		foreach ( (array) ( $adapter['fields'] ?? array() ) as $name => $field ) {
+			$fields[ $name ] = array_merge( $fields[ $name ] ?? array(), (array) $field );
+		}
+
+		$text_domain = (string) ( $adapter['textDomain'] ?? $default['textDomain'] );
+		foreach ( $fields as $name => $field ) {
+			$fields[ $name ]['labels'] = $this->get_translated_labels( (array) ( $field['labels'] ?? array() ), $text_domain );
+		}
+
+		return array(
+			'id'            => (string) ( $adapter['id'] ?? self::DEFAULT_ADAPTER ),
+			'etchVersion'   => $etch_version,
+			'selectors'     => array_merge( $default['selectors'], (array) ( $adapter['selectors'] ?? array() ) ),
+			'keyAttributes' => array_values( array_map( 'strval', (array) ( $adapter['keyAttributes'] ?? $default['keyAttributes'] ) ) ),
+			'fields'        => $fields,
+		);
+	}
+
+	/**
+	 * Get the registered adapters, most specific first.
+	 *
+	 * @since  1.3.0
+	 * @return array[] The adapters.
+	 */
+	public function get_adapters(): array {
+		/**
+		 * Filter the adapters describing the Etch builder UI.
+		 *
+		 * An adapter is an array with:
+		 * - id:         Unique name.
+		 * - etch:       Etch versions it applies to, as array( 'min' => '1.2',
+		 *               'max' => '2.0' ): min inclusive, max exclusive, both optional.
+		 * - selectors:  CSS selectors, keyed like those of the default adapter.
+		 * - fields:     Settings fields keyed by name (mediaId, dynamicImageSrc,
+		 *               src, class), each with a 'selector' for the input,
+		 *               'keys' (identifiers of the field, e.g. its property
+		 *               name) and 'labels' (label texts in English).
+		 * - keyAttributes: Attributes of inputs, labels and field containers
+		 *               holding the identifiers compared with 'keys'.
+		 * - textDomain: Text domain of the Etch UI, to recognize translated labels.
+		 *
+		 * Only selectors and fields that differ from the default adapter need
+		 * to be set. Adapters earlier in the list win.
+		 *
+		 * @since 1.3.0
+		 *
+		 * @param array[] $adapters The adapters, empty by default.
+		 */
+		$adapters = apply_filters( 'mwe_etchwp_focus_ui_adapters', array() );
+
+		return array_values(
+			array_filter(
+				(array) $adapters,
+				static function ( $adapter ) {
+					return is_array( $adapter ) && ! empty( $adapter['id'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Get the installed Etch version.
+	 *
+	 * @since  1.3.0
+	 * @return string The version, empty if unknown.
+	 */
+	public function get_etch_version(): string {
+		if ( defined( 'ETCH_VERSION' ) ) {
+			return (string) constant( 'ETCH_VERSION' );
+		}
+
+		$file = WP_PLUGIN_DIR . '/etch/etch.php';
+		if ( ! file_exists( $file ) ) {
+			return '';
+		}
+
+		$data = get_file_data( $file, array( 'Version' => 'Version' ) );
+		return (string) ( $data['Version'] ?? '' );
+	}
+
+	/**
+	 * Get the default adapter, for the Etch UI this version of the plugin
+	 * was built against.
+	 *
+	 * @since  1.3.0
+	 * @return array The adapter.
+	 */
+	private function get_default_adapter(): array {
+		return array(
+			'id'            => self::DEFAULT_ADAPTER,
+			'textDomain'    => 'etch',
+			// Identifiers don't depend on the admin language, unlike labels.
+			'keyAttributes' => array( 'name', 'id', 'for', 'data-field', 'data-key', 'data-name', 'data-prop', 'data-property' ),
+			'selectors'     => array(
+				// Builder page.
+				'canvasIframe'         => 'iframe[title="Etch Iframe"]',
+				'sidebar'              => '.etch-sidebar, .etch-sidebar__content-wrapper',
+				'sidebarFallback'      => '[class*="sidebar"]',
+				'elementPanel'         => '.etch-html-block-properties-wrapper',
+				'tagInput'             => 'input.etch-combobox__native-input, .etch-combobox__input-wrapper input, input[placeholder="Enter tag"]',
+				'panelInput'           => 'input.etch-input',
+				'fieldLabel'           => 'label',
+				'fieldContainer'       => 'label, [class*="field"], [class*="control"]',
+				'builderRoot'          => '[data-etch-builder]',
+				'builderSelectedImage' => '.etch-selected img, .etch-selected etch\:img, [data-etch-selected] img, [data-etch-selected] etch\:img, .etch-canvas img.selected, .etch-canvas etch\:img.selected, img[data-etch-selected], etch\:img[data-etch-selected], .etch-element--selected img, .etch-element--selected etch\:img',
+				// Canvas.
+				'canvasRoot'           => '[data-etch-canvas], .etch-canvas',
+				'canvasSelected'       => '.etch-selected, [data-etch-selected], .etch-builder-block--selected',
+			),
+			'fields'        => array(
+				// Media ID of etch:img and Dynamic Image elements.
+				'mediaId'         => array(
+					'selector' => 'input[name="mediaId"], input[name="media_id"], [data-field="mediaId"] input',
+					'keys'     => array( 'mediaId', 'media_id', 'wpMediaId' ),
+					'labels'   => array( 'WP Media ID' ),
+				),
+				// Fallback URL, unique to Dynamic Image elements.
+				'dynamicImageSrc' => array(
+					'selector' => '[data-field="fallbackSrc"] input',
+					'keys'     => array( 'fallbackSrc', 'fallback_src' ),
+					'labels'   => array( 'src (Static URL - Optional/Fallback)' ),
+				),
+				'src'             => array(
+					'selector' => 'input[name="src"], [data-field="src"] input',
+					'keys'     => array( 'src' ),
+					'labels'   => array( 'src' ),
+				),
+				'class'           => array(
+					'selector' => 'input[name="class"], [data-field="class"] input',
+					'keys'     => array( 'class', 'className' ),
+					'labels'   => array( 'class' ),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Check whether an adapter applies to an Etch version.
+	 *
+	 * Adapters with a version range don't apply if the version is unknown.
+	 *
+	 * @since  1.3.0
+	 * @param  array  $adapter      The adapter.
+	 * @param  string $etch_version The Etch version, empty if unknown.
+	 * @return bool                 True if the adapter applies.
+	 */
+	private function matches_version( array $adapter, string $etch_version ): bool {
+		$min = (string) ( $adapter['etch']['min'] ?? '' );
+		$max = (string) ( $adapter['etch']['max'] ?? '' );
+
+		if ( '' === $min && '' === $max ) {
+			return true;
+		}
+		if ( '' === $etch_version ) {
+			return false;
+		}
+
+		return ( '' === $min || version_compare( $etch_version, $min, '>=' ) )
+			&& ( '' === $max || version_compare( $etch_version, $max, '<' ) );
+	}
+
+	/**
+	 * Add the translations of the Etch UI to the labels of a field.
+	 *
+	 * Only finds translations Etch ships for PHP; labels translated by the
+	 * builder app alone are missed. Labels are therefore the last way the
+	 * editor tries to find a field, after its selector and keys.
+	 *
+	 * @since  1.3.0
+	 * @param  string[] $labels      Label texts in English.
+	 * @param  string   $text_domain Text domain of the Etch UI.
+	 * @return string[]              Label texts in English and the admin language.
+	 */
+	private function get_translated_labels( array $labels, string $text_domain ): array {
+		$translated = array();
+		foreach ( $labels as $label ) {
+			$translated[] = (string) $label;
+			// phpcs:ignore WordPress.WP.I18n.LowLevelTranslationFunction, WordPress.WP.I18n.NonSingularStringLiteralText, WordPress.WP.I18n.NonSingularStringLiteralDomain -- Labels of the Etch UI, translated with its text domain.
+			$translated[] = translate( (string) $label, $text_domain );
+		}
+
+		return array_values( array_unique( $translated ) );
+	}
+}
@@ -175,6 +175,87 @@ class Helper {
 		return in_array( $block_name, $skip_blocks, true );
 	}
 
+	/**
+	 * Get the viewport breakpoints used for per-breakpoint focus points.
+	 *
+	 * Values are max-widths in pixels. Desktop has no max-width and is
+	 * used whenever the viewport is wider than the tablet breakpoint.
+	 *
+	 * @since  1.3.0
+	 * @return array<string, int> Max-widths keyed by breakpoint (tablet, mobile).
+	 */
+	public static function get_focus_breakpoints(): array {
+		$breakpoints = array(
+			'tablet' => 1024,
+			'mobile' => 767,
+		);
+
+		/**
+		 * Filter the viewport breakpoints used for per-breakpoint focus points.
+		 *
+		 * Used for the frontend media queries and for the canvas preview
+		 * in the Etch builder.
+		 *
+		 * @since 1.3.0
+		 *
+		 * @param array $breakpoints Max-widths in pixels keyed by 'tablet' and 'mobile'.
+		 */
+		$breakpoints = apply_filters( 'mwe_etchwp_focus_breakpoints', $breakpoints );
+
+		return array(
+			'tablet' => absint( $breakpoints['tablet'] ?? 1024 ),
+			'mobile' => absint( $breakpoints['mobile'] ?? 767 ),
+		);
+	}
+
+	/**
+	 * Get the ID of the component definition an etch/component block uses.
+	 *
+	 * @since  1.3.0
+	 * @param  array $block The block data.
+	 * @return int          The component post ID or 0 if the block is not a component.
+	 */
+	public static function get_component_id( array $block ): int {
+		if ( 'etch/component' !== ( $block['blockName'] ?? '' ) ) {
+			return 0;
+		}
+
+		$component_id = $block['attrs']['ref'] ?? 0;
+
+		/**
+		 * Filter the component definition ID of an etch/component block.
+		 *
+		 * Component-scoped focus overrides are stored and resolved by this ID.
+		 *
+		 * @since 1.3.0
+		 *
+		 * @param int|string $component_id The ID found in the block attributes.
+		 * @param array      $block        The block data.
+		 */
+		$component_id = apply_filters( 'mwe_etchwp_component_id', $component_id, $block );
+
+		return is_numeric( $component_id ) ? absint( $component_id ) : 0;
+	}
+
+	/**
+	 * Get the image URL of a <source> element of a <picture>.
+	 *
+	 * Uses the first candidate of the srcset, or the src attribute that is
+	 * sometimes set on sources by mistake.
+	 *
+	 * @since  1.3.0
+	 * @param  string $source_tag The source tag HTML.
+	 * @return string|null        The decoded URL, or null if the source has none.
+	 */
+	public static function get_source_url( string $source_tag ): ?string {
+		if ( ! preg_match( '/\ssrcset=(["\'])\s*([^\s"\',]+)/i', $source_tag, $matches )
+			&& ! preg_match( '/\ssrc=(["\'])\s*([^\s"\']+)/i', $source_tag, $matches ) ) {
+			return null;
+		}
+
+		return html_entity_decode( $matches[2], ENT_QUOTES );
+	}
+
 	/**
 	 * Find attachment ID by searching for filename in database.
 	 *
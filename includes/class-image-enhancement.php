@@ -104,8 +104,137 @@ class Image_Enhancement {
 			$block_content
 		);
 
+		// Apply enhancements to the <source> elements of art-directed pictures.
+		$block_content = preg_replace_callback(
+			'/<picture\b[^>]*>.*?<\/picture>/is',
+			array( $this, 'enhance_picture' ),
+			$block_content
+		);
+
 		return $block_content;
 	}
+
+	/**
+	 * Enhance the <source> elements of a picture with missing attributes.
+	 *
+	 * @since  1.3.0
+	 * @param  array $matches Regex matches from preg_replace_callback.
+	 * @return string         The enhanced picture element.
+	 */
+	public function enhance_picture( $matches ) {
+		return (string) preg_replace_callback(
+			'/<source\b[^>]*>/i',
+			array( $this, 'enhance_source' ),
+			$matches[0]
+		);
+	}
+
+	/**
+	 * Enhance an individual <source> element with missing attributes.
+	 *
+	 * @since  1.3.0
+	 * @param  array $matches Regex matches from preg_replace_callback.
+	 * @return string         The enhanced source tag.
+	 */
+	public function enhance_source( $matches ) {
+		$full_tag = $matches[0];
+		$src      = Helper::get_source_url( $full_tag );
+
+		if ( ! $src || false === strpos( $src, 'wp-content/uploads' ) ) {
+			return $full_tag;
+		}
+
+		// Skip DB lookups for sources that already have all attributes.
+		$has_candidates = (bool) preg_match( '/\ssrcset=["\'][^"\']*\s\d+[wx]\b/i', $full_tag );
+		if ( $has_candidates && false !== strpos( $full_tag, 'sizes=' )
+			&& false !== strpos( $full_tag, 'width=' ) && false !== strpos( $full_tag, 'height=' ) ) {
+			return $full_tag;
+		}
+
+		$attachment_id = Helper::get_attachment_id_from_url( $src );
+
+		if ( ! $attachment_id ) {
+			return $full_tag;
+		}
+
+		return $this->add_source_attributes( $full_tag, $attachment_id );
+	}
+
+	/**
+	 * Enhance source tag with missing attributes (srcset, sizes, dimensions).
+	 *
+	 * A srcset with a single URL and no descriptor is replaced with all
+	 * sizes of the image that share its aspect ratio.
+	 *
+	 * @since  1.3.0
+	 * @param  string $source_tag    The source tag HTML.
+	 * @param  int    $attachment_id The attachment ID.
+	 * @return string                The enhanced source tag.
+	 */
+	public function add_source_attributes( $source_tag, $attachment_id ) {
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		$src_url  = Helper::get_source_url( $source_tag );
+
+		if ( ! $metadata || ! $src_url ) {
+			return $source_tag;
+		}
+
+		$attributes_to_add = array();
+
+		// Dimensions of the size the source uses (e.g., my-image-800x800.webp), else of the original.
+		$width  = isset( $metadata['width'] ) ? (int) $metadata['width'] : 0;
+		$height = isset( $metadata['height'] ) ? (int) $metadata['height'] : 0;
+		if ( preg_match( '/-(\d+)x(\d+)\.[^.]+$/', basename( $src_url ), $size_matches ) ) {
+			$width  = intval( $size_matches[1] );
+			$height = intval( $size_matches[2] );
+		}
+
+		if ( false === strpos( $source_tag, 'width=' ) && $width ) {
+			$attributes_to_add[] = 'width="' . $width . '"';
+		}
+
+		if ( false === strpos( $source_tag, 'height=' ) && $height ) {
+			$attributes_to_add[] = 'height="' . $height . '"';
+		}
+
+		// Add srcset if not present, or expand a single URL without descriptor.
+		// Sources with a type only get the URL they set: the other sizes of
+		// the attachment may not be in that format.
+		$has_srcset = (bool) preg_match( '/\ssrcset=(["\'])(.*?)\1/is', $source_tag, $srcset_matches );
+		$is_single  = $has_srcset && ! preg_match( '/\s\d+[wx]\b|,/', trim( $srcset_matches[2] ) );
+		if ( preg_match( '/\stype=/i', $source_tag ) ) {
+			if ( ! $has_srcset ) {
+				$attributes_to_add[] = 'srcset="' . esc_attr( $src_url ) . '"';
+			}
+		} elseif ( ( ! $has_srcset || $is_single ) && $width && $height ) {
+			$srcset = wp_get_attachment_image_srcset( $attachment_id, array( $width, $height ) );
+			if ( $srcset ) {
+				if ( $is_single ) {
+					$source_tag = str_replace( $srcset_matches[0], ' srcset="' . esc_attr( $srcset ) . '"', $source_tag );
+				} else {
+					$attributes_to_add[] = 'srcset="' . esc_attr( $srcset ) . '"';
+				}
+				$has_srcset = true;
+				$is_single  = false;
+			}
+		}
+
+		// Add sizes if not present and the srcset has width descriptors.
+		if ( false === strpos( $source_tag, 'sizes=' ) && $has_srcset && ! $is_single ) {
+			$sizes = wp_get_attachment_image_sizes( $attachment_id, array( $width, $height ) );
+			if ( $sizes ) {
+				$attributes_to_add[] = 'sizes="' . esc_attr( $sizes ) . '"';
+			}
+		}
+
+		// Add all missing attributes to the source tag.
+		if ( ! empty( $attributes_to_add ) ) {
+			$attributes_string = ' ' . implode( ' ', $attributes_to_add );
+			$source_tag        = (string) preg_replace( '/^<source\b/i', '<source' . $attributes_string, $source_tag );
+		}
+
+		return $source_tag;
+	}
 
 	/**
 	 * Enhance individual Etch image with missing attributes.
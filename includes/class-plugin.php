@@ -69,6 +69,14 @@ class Plugin {
 	 */
 	private $focus_ajax = null;
 
+	/**
+	 * Focus REST instance.
+	 *
+	 * @since 1.3.0
+	 * @var Focus_Rest|null
+	 */
+	private $focus_rest = null;
+
 	/**
 	 * Focus Editor UI instance.
 	 *
@@ -188,6 +196,10 @@ class Plugin {
 			$this->focus_ajax = Focus_Ajax::get_instance();
 			$this->focus_ajax->init();
 
+			// REST routes for overrides (mwe/v1).
+			$this->focus_rest = Focus_Rest::get_instance();
+			$this->focus_rest->init();
+
 			// Editor UI for Etch canvas.
 			$this->focus_editor_ui = Focus_Editor_UI::get_instance();
 			$this->focus_editor_ui->init();
@@ -27,7 +27,28 @@ class FocusAjaxTest extends TestCase {
 		$key = \MWE\EtchWP_Enhancements\Focus_Ajax::generate_url_key( $url );
 
 		$this->assertStringStartsWith( 'url_', $key );
-		$this->assertEquals( 'url_' . md5( $url ), $key );
+		$this->assertEquals( 'url_' . md5( '/image.jpg' ), $key );
+		$this->assertEquals( 'url_' . md5( $url ), \MWE\EtchWP_Enhancements\Focus_Ajax::generate_legacy_url_key( $url ) );
+	}
+
+	/**
+	 * Test that URL variants of the same image normalize to the same path.
+	 */
+	public function test_normalize_url_ignores_host_query_and_size_suffix(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$urls = array(
+			'https://example.com/uploads/hero.jpg',
+			'http://cdn.example.net/uploads/hero-1440x960.jpg?ver=2#top',
+			'//example.com/uploads/hero-scaled.jpg',
+			'/uploads/hero.jpg',
+		);
+		foreach ( $urls as $url ) {
+			$this->assertSame( '/uploads/hero.jpg', \MWE\EtchWP_Enhancements\Focus_Ajax::normalize_url( $url ) );
+		}
+
+		$this->assertSame( '/uploads/my hero.jpg', \MWE\EtchWP_Enhancements\Focus_Ajax::normalize_url( 'https://example.com/uploads/my%20hero.jpg' ) );
+		$this->assertSame( '/uploads/hero-1440.jpg', \MWE\EtchWP_Enhancements\Focus_Ajax::normalize_url( 'https://example.com/uploads/hero-1440.jpg' ) );
 	}
 
 	/**
@@ -54,4 +75,194 @@ class FocusAjaxTest extends TestCase {
 
 		$this->assertNotEquals( $key1, $key2 );
 	}
+
+	/**
+	 * Test that legacy string overrides normalize to a desktop value.
+	 */
+	public function test_normalize_override_treats_string_as_desktop(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$this->assertSame(
+			array( 'desktop' => '30% 70%' ),
+			\MWE\EtchWP_Enhancements\Focus_Ajax::normalize_override( '30% 70%' )
+		);
+		$this->assertSame( array(), \MWE\EtchWP_Enhancements\Focus_Ajax::normalize_override( null ) );
+	}
+
+	/**
+	 * Test that unknown breakpoints are dropped when normalizing.
+	 */
+	public function test_normalize_override_drops_unknown_breakpoints(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$record = \MWE\EtchWP_Enhancements\Focus_Ajax::normalize_override(
+			array(
+				'mobile' => '10% 20%',
+				'watch'  => '50% 50%',
+			)
+		);
+
+		$this->assertSame( array( 'mobile' => '10% 20%' ), $record );
+	}
+
+	/**
+	 * Test that desktop-only overrides are stored as plain strings.
+	 */
+	public function test_compact_override_keeps_desktop_only_as_string(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$this->assertSame(
+			'30% 70%',
+			\MWE\EtchWP_Enhancements\Focus_Ajax::compact_override( array( 'desktop' => '30% 70%' ) )
+		);
+		$this->assertSame(
+			array(
+				'desktop' => '30% 70%',
+				'mobile'  => '10% 20%',
+			),
+			\MWE\EtchWP_Enhancements\Focus_Ajax::compact_override(
+				array(
+					'mobile'  => '10% 20%',
+					'desktop' => '30% 70%',
+				)
+			)
+		);
+		$this->assertNull( \MWE\EtchWP_Enhancements\Focus_Ajax::compact_override( array() ) );
+	}
+
+	/**
+	 * Test that resolve_focus_points resolves URLs and attachment IDs in one call.
+	 */
+	public function test_resolve_focus_points_resolves_urls_and_attachments(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-helper.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 42 );
+		Functions\when( 'wp_get_attachment_url' )->justReturn( 'https://example.com/wp-content/uploads/batch.jpg' );
+		Functions\when( 'get_post' )->alias(
+			function ( $id ) {
+				return 42 === $id ? (object) array( 'post_type' => 'attachment' ) : null;
+			}
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				return 'bg_pos_desktop' === $key ? '20% 80%' : '';
+			}
+		);
+
+		Functions\when( 'esc_url_raw' )->alias(
+			function ( $url ) {
+				return str_replace( array( '&amp;', ' ' ), array( '&', '%20' ), $url );
+			}
+		);
+
+		$url    = 'https://example.com/wp-content/uploads/batch-resolve.jpg';
+		$result = \MWE\EtchWP_Enhancements\Focus_Ajax::get_instance()->resolve_focus_points( array( $url ), array( 42, 7 ) );
+
+		$this->assertSame( 42, $result['urls'][ $url ]['attachment_id'] );
+		$this->assertSame( '20% 80%', $result['urls'][ $url ]['focus_point'] );
+		$this->assertNull( $result['urls'][ $url ]['focus_point_mobile'] );
+		$this->assertSame( 'https://example.com/wp-content/uploads/batch.jpg', $result['attachments'][42]['url'] );
+		$this->assertNull( $result['attachments'][7] );
+	}
+
+	/**
+	 * Test that resolved URLs are keyed by the URL as sent, not as sanitized.
+	 */
+	public function test_resolve_focus_points_keys_urls_as_sent(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-helper.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 43 );
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\when( 'esc_url_raw' )->alias(
+			function ( $url ) {
+				return str_replace( array( '&amp;', ' ' ), array( '&', '%20' ), $url );
+			}
+		);
+
+		$url    = 'https://example.com/wp-content/uploads/my photo.jpg?w=1&amp;h=2';
+		$result = \MWE\EtchWP_Enhancements\Focus_Ajax::get_instance()->resolve_focus_points( array( $url ), array() );
+
+		$this->assertSame( array( $url ), array_keys( $result['urls'] ) );
+		$this->assertSame( 43, $result['urls'][ $url ]['attachment_id'] );
+	}
+
+	/**
+	 * Test that the AJAX batch drops nested arrays instead of resolving them as "Array".
+	 */
+	public function test_resolve_focus_points_batch_ignores_nested_arrays(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-helper.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		Functions\when( 'check_ajax_referer' )->justReturn( true );
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 44 );
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\when( 'get_post' )->justReturn( null );
+
+		$response = null;
+		Functions\when( 'wp_send_json_success' )->alias(
+			function ( $data ) use ( &$response ) {
+				$response = $data;
+			}
+		);
+
+		$url   = 'https://example.com/wp-content/uploads/nested.jpg';
+		$_POST = array(
+			'nonce'          => 'nonce',
+			'urls'           => array( array( 'https://example.com/a.jpg' ), $url ),
+			'attachment_ids' => array( array( 5 ), '7' ),
+		);
+
+		\MWE\EtchWP_Enhancements\Focus_Ajax::get_instance()->resolve_focus_points_batch();
+		$_POST = array();
+
+		$this->assertSame( array( $url ), array_keys( $response['urls'] ) );
+		$this->assertSame( array( 7 ), array_keys( $response['attachments'] ) );
+	}
+
+	/**
+	 * Test that set_override and remove_override store per breakpoint on the storage post.
+	 */
+	public function test_set_and_remove_override_store_per_breakpoint(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$meta = array(
+			1  => array( 'url_abc' => '10% 10%' ),
+			12 => array(),
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id ) use ( &$meta ) {
+				return $meta[ $id ] ?? '';
+			}
+		);
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$meta ) {
+				$meta[ $id ] = $value;
+				return true;
+			}
+		);
+
+		$ajax = \MWE\EtchWP_Enhancements\Focus_Ajax::get_instance();
+
+		$this->assertSame( '30% 70%', $ajax->set_override( 1, 'attachment_5', '30% 70%' ) );
+		$this->assertSame(
+			array(
+				'desktop' => '30% 70%',
+				'mobile'  => '80% 20% 2x',
+			),
+			$ajax->set_override( 1, 'attachment_5', '80% 20% 2x', 'mobile' )
+		);
+		$this->assertSame( '30% 70%', $ajax->remove_override( 1, 'attachment_5', 'mobile' ) );
+		$this->assertNull( $ajax->remove_override( 1, 'attachment_5' ) );
+		$this->assertSame( array( 'url_abc' => '10% 10%' ), $meta[1] );
+
+		// Overrides for every use of a component are stored on the component.
+		$ajax->set_override( 1, 'component_12:attachment_5', '40% 60%' );
+		$this->assertSame( array( 'component_12:attachment_5' => '40% 60%' ), $meta[12] );
+	}
 }
@@ -139,4 +139,65 @@ class FocusPointValidationTest extends TestCase {
 		$this->assertFalse( $method->invoke( $instance, '100.1% 50%' ) );
 		$this->assertFalse( $method->invoke( $instance, '50% 100.1%' ) );
 	}
+
+	/**
+	 * Test focus area validation.
+	 */
+	public function test_focus_area_validation(): void {
+		$reflection = new ReflectionClass( \MWE\EtchWP_Enhancements\Focus_Ajax::class );
+		$method     = $reflection->getMethod( 'is_valid_focus_area' );
+		$instance   = $this->getInstance();
+
+		$this->assertTrue( $method->invoke( $instance, '10% 20% 60% 80%' ) );
+		$this->assertTrue( $method->invoke( $instance, '0% 0% 100% 100%' ) );
+
+		// Points, reversed corners, empty areas and values over 100% are rejected.
+		$this->assertFalse( $method->invoke( $instance, '50% 50%' ) );
+		$this->assertFalse( $method->invoke( $instance, '60% 20% 10% 80%' ) );
+		$this->assertFalse( $method->invoke( $instance, '10% 20% 10% 80%' ) );
+		$this->assertFalse( $method->invoke( $instance, '10% 20% 60% 100.1%' ) );
+	}
+
+	/**
+	 * Test override values accept points with a zoom factor within range.
+	 */
+	public function test_zoomed_focus_point_validation(): void {
+		$reflection = new ReflectionClass( \MWE\EtchWP_Enhancements\Focus_Ajax::class );
+		$method     = $reflection->getMethod( 'is_valid_focus_value' );
+		$instance   = $this->getInstance();
+
+		$this->assertTrue( $method->invoke( $instance, '30% 70%' ) );
+		$this->assertTrue( $method->invoke( $instance, '30% 70% 1.5x' ) );
+		$this->assertTrue( $method->invoke( $instance, '30% 70% 4x' ) );
+		$this->assertTrue( $method->invoke( $instance, '10% 20% 60% 80%' ) );
+
+		// Zoom out of range, zoomed areas and a zoom without point are rejected.
+		$this->assertFalse( $method->invoke( $instance, '30% 70% 4.5x' ) );
+		$this->assertFalse( $method->invoke( $instance, '30% 70% 0.5x' ) );
+		$this->assertFalse( $method->invoke( $instance, '10% 20% 60% 80% 2x' ) );
+		$this->assertFalse( $method->invoke( $instance, '2x' ) );
+	}
+
+	/**
+	 * Test split_zoom separates position and zoom factor.
+	 */
+	public function test_split_zoom(): void {
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+
+		$this->assertSame(
+			array(
+				'position' => '30% 70%',
+				'zoom'     => 1.5,
+			),
+			\MWE\EtchWP_Enhancements\Focus_Ajax::split_zoom( '30% 70% 1.5x' )
+		);
+		$this->assertSame(
+			array(
+				'position' => '30% 70%',
+				'zoom'     => 1.0,
+			),
+			\MWE\EtchWP_Enhancements\Focus_Ajax::split_zoom( '30% 70%' )
+		);
+		$this->assertNull( \MWE\EtchWP_Enhancements\Focus_Ajax::split_zoom( '30% 70% 5x' ) );
+	}
 }
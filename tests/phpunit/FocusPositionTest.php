@@ -230,6 +230,39 @@ class FocusPositionTest extends TestCase {
 		$this->assertStringContainsString( 'object-position: 25% 75%', $result );
 	}
 
+	/**
+	 * Test that external URL overrides survive another host, query string and size suffix.
+	 */
+	public function test_external_url_override_matches_normalized_url(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 0 );
+
+		$url_key = \MWE\EtchWP_Enhancements\Focus_Ajax::generate_url_key( 'https://external-cdn.com/images/hero.jpg' );
+		Functions\when( 'get_post_meta' )->justReturn( array( $url_key => '25% 75%' ) );
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		Functions\when( 'get_queried_object' )->justReturn( null );
+
+		$method   = $this->getAddFocusMethod();
+		$instance = $this->getInstance();
+
+		$external_url = '//other-cdn.net/images/hero-800x600.jpg?v=3';
+		$matches      = array(
+			0 => '<img src="' . $external_url . '" alt="External">',
+			1 => 'img',
+			2 => ' ',
+			3 => $external_url,
+			4 => ' alt="External"',
+		);
+
+		$result = $method->invoke( $instance, $matches );
+
+		$this->assertStringContainsString( 'object-position: 25% 75%', $result );
+	}
+
 	/**
 	 * Test that external URLs without override return original tag.
 	 */
@@ -259,4 +292,564 @@ class FocusPositionTest extends TestCase {
 		// Should return unchanged (no override, no attachment).
 		$this->assertEquals( $original, $result );
 	}
+
+	/**
+	 * Test that differing breakpoint values add custom properties and the responsive marker.
+	 */
+	public function test_breakpoint_override_adds_responsive_properties(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				if ( \MWE\EtchWP_Enhancements\Focus_Ajax::META_KEY === $key ) {
+					return array(
+						'attachment_123' => array(
+							'desktop' => '30% 70%',
+							'mobile'  => '80% 20%',
+						),
+					);
+				}
+				return '';
+			}
+		);
+		Functions\when( 'wp_style_is' )->justReturn( false );
+		Functions\when( 'wp_register_style' )->justReturn( true );
+		Functions\when( 'wp_add_inline_style' )->justReturn( true );
+		Functions\when( 'wp_enqueue_style' )->justReturn( true );
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$method   = $this->getAddFocusMethod();
+		$instance = $this->getInstance();
+
+		$matches = array(
+			0 => '<img src="https://example.com/wp-content/uploads/image.jpg" alt="Test">',
+			1 => 'img',
+			2 => ' ',
+			3 => 'https://example.com/wp-content/uploads/image.jpg',
+			4 => ' alt="Test"',
+		);
+
+		$result = $method->invoke( $instance, $matches );
+
+		$this->assertStringContainsString( 'object-position: 30% 70%', $result );
+		$this->assertStringContainsString( '--mwe-focus-tablet: 30% 70%', $result );
+		$this->assertStringContainsString( '--mwe-focus-mobile: 80% 20%', $result );
+		$this->assertStringContainsString( 'data-mwe-focus-responsive', $result );
+	}
+
+	/**
+	 * Test breakpoint resolution cascades from override to global values.
+	 */
+	public function test_resolve_breakpoint_positions_cascade(): void {
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				return 'bg_pos_mobile' === $key ? '10% 10%' : '40% 60%';
+			}
+		);
+
+		$instance = $this->getInstance();
+
+		// Without override: global desktop and global mobile.
+		$this->assertSame(
+			array(
+				'desktop' => '40% 60%',
+				'tablet'  => '40% 60%',
+				'mobile'  => '10% 10%',
+			),
+			$instance->resolve_breakpoint_positions( array(), 123 )
+		);
+
+		// Tablet override is inherited by mobile and wins over global mobile.
+		$this->assertSame(
+			array(
+				'desktop' => '40% 60%',
+				'tablet'  => '25% 25%',
+				'mobile'  => '25% 25%',
+			),
+			$instance->resolve_breakpoint_positions( array( 'tablet' => '25% 25%' ), 123 )
+		);
+	}
+
+	/**
+	 * Test focus areas are converted to the position that keeps the area visible.
+	 */
+	public function test_area_to_position(): void {
+		$class = \MWE\EtchWP_Enhancements\Focus_Position::class;
+
+		// Points are returned unchanged.
+		$this->assertSame( '30% 70%', $class::area_to_position( '30% 70%', 2.0, 1.0 ) );
+
+		// Unknown aspect ratios: center of the area.
+		$this->assertSame( '20% 40%', $class::area_to_position( '10% 20% 30% 60%' ) );
+
+		// Square element on a 2:1 image: half the width is visible.
+		$this->assertSame( '0% 40%', $class::area_to_position( '10% 20% 30% 60%', 2.0, 1.0 ) );
+		$this->assertSame( '90% 40%', $class::area_to_position( '60% 20% 80% 60%', 2.0, 1.0 ) );
+
+		// 2:1 element on a square image: half the height is visible.
+		$this->assertSame( '20% 30%', $class::area_to_position( '10% 20% 30% 60%', 1.0, 2.0 ) );
+	}
+
+	/**
+	 * Test that a focus area override uses the element aspect ratio and exposes the area.
+	 */
+	public function test_focus_area_override_adds_area_data(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				if ( \MWE\EtchWP_Enhancements\Focus_Ajax::META_KEY === $key ) {
+					return array( 'attachment_123' => '60% 20% 80% 60%' );
+				}
+				return '';
+			}
+		);
+		Functions\when( 'wp_json_encode' )->alias( 'json_encode' );
+		Functions\when( 'wp_script_is' )->justReturn( false );
+		Functions\when( 'wp_register_script' )->justReturn( true );
+		Functions\when( 'wp_add_inline_script' )->justReturn( true );
+		Functions\when( 'wp_enqueue_script' )->justReturn( true );
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$method   = $this->getAddFocusMethod();
+		$instance = $this->getInstance();
+
+		$tag     = '<img src="https://example.com/wp-content/uploads/image.jpg" width="200" height="100" style="aspect-ratio: 1/1">';
+		$matches = array(
+			0 => $tag,
+			1 => 'img',
+			2 => ' ',
+			3 => 'https://example.com/wp-content/uploads/image.jpg',
+			4 => ' width="200" height="100" style="aspect-ratio: 1/1"',
+		);
+
+		$result = $method->invoke( $instance, $matches );
+
+		$this->assertStringContainsString( 'object-position: 90% 40%', $result );
+		$this->assertStringContainsString( 'data-mwe-focus-area=', $result );
+		$this->assertStringContainsString( '60% 20% 80% 60%', $result );
+	}
+
+	/**
+	 * Test that a zoomed focus point adds the zoom properties and the zoom marker.
+	 */
+	public function test_zoomed_override_adds_zoom_properties(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				if ( \MWE\EtchWP_Enhancements\Focus_Ajax::META_KEY === $key ) {
+					return array( 'attachment_123' => '20% 40% 2x' );
+				}
+				return '';
+			}
+		);
+		Functions\when( 'wp_style_is' )->justReturn( false );
+		Functions\when( 'wp_register_style' )->justReturn( true );
+		Functions\when( 'wp_add_inline_style' )->justReturn( true );
+		Functions\when( 'wp_enqueue_style' )->justReturn( true );
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$method   = $this->getAddFocusMethod();
+		$instance = $this->getInstance();
+
+		$matches = array(
+			0 => '<img src="https://example.com/wp-content/uploads/image.jpg" alt="Test">',
+			1 => 'img',
+			2 => ' ',
+			3 => 'https://example.com/wp-content/uploads/image.jpg',
+			4 => ' alt="Test"',
+		);
+
+		$result = $method->invoke( $instance, $matches );
+
+		$this->assertStringContainsString( 'object-position: 20% 40%', $result );
+		$this->assertStringContainsString( '--mwe-focus-zoom: 2', $result );
+		$this->assertStringContainsString( '--mwe-focus-inset: inset(20% 40% 30% 10%)', $result );
+		$this->assertStringContainsString( 'data-mwe-focus-zoom', $result );
+		$this->assertStringNotContainsString( '2x', $result );
+	}
+
+	/**
+	 * Test that the zoom inset is rounded to two decimals, like zoomToInset() in the editor.
+	 */
+	public function test_zoom_to_inset_rounds_to_two_decimals(): void {
+		$position = \MWE\EtchWP_Enhancements\Focus_Position::class;
+
+		$this->assertSame( 'inset(33.33% 50% 33.33% 16.67%)', $position::zoom_to_inset( '25% 50%', 3.0 ) );
+		$this->assertSame( 'inset(0% 0% 0% 0%)', $position::zoom_to_inset( '25% 50%', 1.0 ) );
+	}
+
+	/**
+	 * Test that a loop-scoped override wins over the page override in dynamic images.
+	 */
+	public function test_loop_scoped_override_applies_to_dynamic_image(): void {
+		$ajax     = \MWE\EtchWP_Enhancements\Focus_Ajax::class;
+		$loop_key = $ajax::generate_loop_key( '{item.image.id}' );
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) use ( $ajax, $loop_key ) {
+				if ( $ajax::META_KEY === $key ) {
+					return array(
+						'attachment_123' => '10% 10%',
+						$ajax::generate_scoped_key( $loop_key, 'attachment_123' ) => '70% 30%',
+					);
+				}
+				return '';
+			}
+		);
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$instance = $this->getInstance();
+		$content  = '<img src="https://example.com/wp-content/uploads/image.jpg" alt="Test">';
+
+		$in_loop = $instance->filter_images(
+			$content,
+			array(
+				'blockName' => 'etch/dynamic-image',
+				'attrs'     => array(
+					'alt'     => '{item.title}',
+					'mediaId' => '{ item.image.id }',
+				),
+			)
+		);
+		$this->assertStringContainsString( 'object-position: 70% 30%', $in_loop );
+
+		// Other blocks use the page override.
+		$outside_loop = $instance->filter_images( $content, array( 'blockName' => 'etch/element' ) );
+		$this->assertStringContainsString( 'object-position: 10% 10%', $outside_loop );
+	}
+
+	/**
+	 * Test that component instance, component and page overrides resolve most specific first.
+	 */
+	public function test_component_scoped_overrides_resolve_most_specific(): void {
+		$ajax           = \MWE\EtchWP_Enhancements\Focus_Ajax::class;
+		$instance_key   = $ajax::generate_scoped_key( $ajax::generate_component_key( 7, 2 ), 'attachment_123' );
+		$definition_key = $ajax::generate_scoped_key( $ajax::generate_component_key( 7 ), 'attachment_123' );
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) use ( $ajax, $instance_key, $definition_key ) {
+				if ( $ajax::META_KEY !== $key ) {
+					return '';
+				}
+				// Overrides for every use of the component are stored on the component.
+				if ( 7 === $id ) {
+					return array( $definition_key => '20% 20%' );
+				}
+				return array(
+					'attachment_123' => '10% 10%',
+					$instance_key    => '80% 80%',
+				);
+			}
+		);
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$instance  = $this->getInstance();
+		$content   = '<img src="https://example.com/wp-content/uploads/image.jpg" alt="Test">';
+		$component = array(
+			'blockName' => 'etch/component',
+			'attrs'     => array( 'ref' => 7 ),
+		);
+		$element   = array( 'blockName' => 'etch/element' );
+
+		$instance->enter_component( $component );
+		$first = $instance->filter_images( $content, $element );
+		$instance->leave_component( '', $component );
+
+		$instance->enter_component( $component );
+		$second = $instance->filter_images( $content, $element );
+		$instance->leave_component( '', $component );
+
+		$this->assertStringContainsString( 'object-position: 20% 20%', $first );
+		$this->assertStringContainsString( 'object-position: 80% 80%', $second );
+
+		// Outside the component the page override applies.
+		$this->assertStringContainsString( 'object-position: 10% 10%', $instance->filter_images( $content, $element ) );
+	}
+
+	/**
+	 * Test that component instances are numbered from 1 every time content is rendered.
+	 */
+	public function test_component_instances_are_numbered_per_content_rendering(): void {
+		$ajax         = \MWE\EtchWP_Enhancements\Focus_Ajax::class;
+		$instance_key = $ajax::generate_scoped_key( $ajax::generate_component_key( 7, 1 ), 'attachment_123' );
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) use ( $ajax, $instance_key ) {
+				return $ajax::META_KEY === $key && 1 === $id ? array( $instance_key => '80% 80%' ) : '';
+			}
+		);
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$instance  = $this->getInstance();
+		$content   = '<img src="https://example.com/wp-content/uploads/image.jpg" alt="Test">';
+		$component = array(
+			'blockName' => 'etch/component',
+			'attrs'     => array( 'ref' => 7 ),
+		);
+		$element   = array( 'blockName' => 'etch/element' );
+
+		// The same content rendered twice, e.g. for an excerpt and for the page.
+		$results = array();
+		for ( $i = 0; $i < 2; $i++ ) {
+			$instance->reset_component_counts( $content );
+			$instance->enter_component( $component );
+			$results[] = $instance->filter_images( $content, $element );
+			$instance->leave_component( '', $component );
+		}
+
+		$this->assertStringContainsString( 'object-position: 80% 80%', $results[0] );
+		$this->assertStringContainsString( 'object-position: 80% 80%', $results[1] );
+	}
+
+	/**
+	 * Test that inline background images from the Media Library get a background position.
+	 */
+	public function test_inline_background_image_gets_background_position(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'get_post_meta' )->justReturn( '30% 70%' );
+		Functions\when( 'get_queried_object' )->justReturn( null );
+
+		$GLOBALS['post'] = null;
+
+		$instance = $this->getInstance();
+		$block    = array( 'blockName' => 'etch/element' );
+
+		$result = $instance->filter_images(
+			'<section class="hero" style="background-image: url(\'https://example.com/wp-content/uploads/hero.jpg\');">',
+			$block
+		);
+		$this->assertStringContainsString( 'background-position: 30% 70%"', $result );
+
+		// An existing background position is kept.
+		$positioned = '<div style="background-image: url(https://example.com/wp-content/uploads/hero.jpg); background-position: top">';
+		$this->assertSame( $positioned, $instance->filter_images( $positioned, $block ) );
+
+		// Images outside the Media Library are left alone.
+		$external = '<div style="background-image: url(https://cdn.example.org/hero.jpg)">';
+		$this->assertSame( $external, $instance->filter_images( $external, $block ) );
+	}
+
+	/**
+	 * Test that all sizes of an uploaded image share one path key.
+	 */
+	public function test_get_upload_path_key(): void {
+		$position = \MWE\EtchWP_Enhancements\Focus_Position::class;
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'wp_get_upload_dir' )->justReturn( array( 'baseurl' => 'https://example.com/wp-content/uploads' ) );
+
+		$this->assertSame( '2025/01/hero.jpg', $position::get_upload_path_key( 'https://example.com/wp-content/uploads/2025/01/hero-1024x683.jpg' ) );
+		$this->assertSame( '2025/01/hero.jpg', $position::get_upload_path_key( 'https://example.com/wp-content/uploads/2025/01/hero-scaled.jpg?ver=2' ) );
+		$this->assertNull( $position::get_upload_path_key( 'https://cdn.example.org/hero.jpg' ) );
+	}
+
+	/**
+	 * Test that the background map uses the uploads URL from WordPress.
+	 */
+	public function test_get_upload_path_key_uses_uploads_url(): void {
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'wp_get_upload_dir' )->justReturn( array( 'baseurl' => 'https://cdn.example.org/media' ) );
+
+		$position = \MWE\EtchWP_Enhancements\Focus_Position::class;
+
+		$this->assertSame( '2025/01/hero.jpg', $position::get_upload_path_key( 'https://cdn.example.org/media/2025/01/hero-1024x683.jpg' ) );
+		$this->assertNull( $position::get_upload_path_key( 'https://example.com/wp-content/uploads/2025/01/hero.jpg' ) );
+	}
+
+	/**
+	 * Test that the background map includes instance overrides and Media Library focus points
+	 * of the images the page references in CSS.
+	 */
+	public function test_background_focus_map_includes_scoped_and_global_focus_points(): void {
+		$ajax = \MWE\EtchWP_Enhancements\Focus_Ajax::class;
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'wp_get_upload_dir' )->justReturn( array( 'baseurl' => 'https://example.com/wp-content/uploads' ) );
+		Functions\when( 'wp_get_attachment_url' )->alias(
+			function ( $id ) {
+				return 'https://example.com/wp-content/uploads/2025/01/image-' . $id . '.jpg';
+			}
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) use ( $ajax ) {
+				if ( $ajax::META_KEY === $key ) {
+					return 10 === $id ? array(
+						$ajax::generate_scoped_key( $ajax::generate_component_key( 7, 2 ), 'attachment_5' ) => '10% 20%',
+						'attachment_9' => '70% 70%',
+					) : array();
+				}
+				return in_array( $id, array( 6, 8 ), true ) && 'bg_pos_desktop' === $key ? '30% 40%' : '';
+			}
+		);
+		Functions\when( 'get_transient' )->justReturn( false );
+		Functions\expect( 'set_transient' )
+			->once()
+			->with(
+				'mwe_etchwp_background_focus_index',
+				array(
+					'2025/01/image-6.jpg' => 6,
+					'2025/01/image-8.jpg' => 8,
+				),
+				DAY_IN_SECONDS
+			);
+		Functions\when( 'wp_styles' )->justReturn(
+			new class() {
+				/**
+				 * Printed handles.
+				 *
+				 * @var string[]
+				 */
+				public $done = array( 'theme' );
+
+				/**
+				 * Queued handles.
+				 *
+				 * @var string[]
+				 */
+				public $queue = array();
+
+				/**
+				 * Registered styles.
+				 *
+				 * @var array
+				 */
+				public $registered = array();
+
+				/**
+				 * Get the inline styles of a handle.
+				 *
+				 * @return string[]
+				 */
+				public function get_data() {
+					return array( '.hero { background-image: url("https://example.com/wp-content/uploads/2025/01/image-6-1024x768.jpg"); }' );
+				}
+			}
+		);
+
+		global $wpdb;
+		$wpdb           = \Mockery::mock( 'wpdb' );
+		$wpdb->postmeta = 'wp_postmeta';
+		$wpdb->shouldReceive( 'prepare' )->andReturn( 'PREPARED_QUERY' );
+		$wpdb->shouldReceive( 'get_results' )->once()->andReturn(
+			array(
+				(object) array(
+					'post_id'    => '6',
+					'meta_value' => '2025/01/image-6-scaled.jpg',
+				),
+				(object) array(
+					'post_id'    => '8',
+					'meta_value' => '2025/01/image-8.jpg',
+				),
+			)
+		);
+
+		$position = $this->getInstance();
+		$position->collect_background_paths( '<div style="background-image: url(&quot;https://example.com/wp-content/uploads/2025/01/image-5.jpg&quot;)"></div>' );
+
+		$method = ( new ReflectionClass( \MWE\EtchWP_Enhancements\Focus_Position::class ) )->getMethod( 'get_background_focus_map' );
+		$map    = $method->invoke( $position, 10 );
+
+		$this->assertSame( array( '10% 20%', '10% 20%', '10% 20%' ), $map['component_7_2']['2025/01/image-5.jpg'] );
+		$this->assertSame( array( '30% 40%', '30% 40%', '30% 40%' ), $map['page']['2025/01/image-6.jpg'] );
+		$this->assertArrayNotHasKey( '2025/01/image-5.jpg', $map['page'] );
+
+		// Images the page doesn't reference are left out.
+		$this->assertArrayNotHasKey( '2025/01/image-8.jpg', $map['page'] );
+		$this->assertArrayNotHasKey( '2025/01/image-9.jpg', $map['page'] );
+	}
+
+	/**
+	 * Test that the cached index of Media Library focus points is deleted when a focus point changes.
+	 */
+	public function test_background_index_is_flushed_when_focus_point_changes(): void {
+		Functions\expect( 'delete_transient' )->once()->with( 'mwe_etchwp_background_focus_index' );
+
+		$position = $this->getInstance();
+		$position->flush_background_index( 1, 6, 'bg_pos_mobile' );
+		$position->flush_background_index( 2, 6, '_edit_lock' );
+	}
+
+	/**
+	 * Test that picture sources get their own focus point, applied to the img per media query.
+	 */
+	public function test_picture_sources_get_per_source_focus_points(): void {
+		$ajax = \MWE\EtchWP_Enhancements\Focus_Ajax::class;
+
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->alias(
+			function ( $url ) {
+				return false !== strpos( $url, 'square' ) ? 124 : 123;
+			}
+		);
+		Functions\when( 'get_queried_object' )->justReturn( null );
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) use ( $ajax ) {
+				if ( $ajax::META_KEY === $key ) {
+					return array(
+						$ajax::generate_scoped_key( $ajax::generate_source_key( '(max-width: 600px)' ), 'attachment_124' ) => '10% 20%',
+						'attachment_123' => '70% 70%',
+					);
+				}
+				return '';
+			}
+		);
+		Functions\when( 'wp_style_is' )->justReturn( false );
+		Functions\when( 'wp_register_style' )->justReturn( true );
+		Functions\when( 'wp_enqueue_style' )->justReturn( true );
+
+		$css = '';
+		Functions\when( 'wp_add_inline_style' )->alias(
+			function ( $handle, $data ) use ( &$css ) {
+				$css .= $data;
+				return true;
+			}
+		);
+
+		$mock_post     = \Mockery::mock( 'WP_Post' );
+		$mock_post->ID = 1;
+		$GLOBALS['post'] = $mock_post;
+
+		$result = $this->getInstance()->filter_images(
+			'<picture><source media="(max-width: 600px)" srcset="https://example.com/wp-content/uploads/square.jpg 800w" sizes="100vw" width="800" height="800">'
+			. '<img src="https://example.com/wp-content/uploads/image.jpg" srcset="..." sizes="..." width="1920" height="1080" alt="Test"></picture>',
+			array( 'blockName' => 'etch/element' )
+		);
+
+		$this->assertMatchesRegularExpression( '/<picture data-mwe-focus-picture="(\d+)">/', $result );
+		$this->assertStringContainsString( 'style="object-position: 70% 70%"', $result );
+		$this->assertMatchesRegularExpression( '/@media \(max-width: 600px\) \{ \[data-mwe-focus-picture="\d+"\] > img \{ object-position: 10% 20% !important; \}/', $css );
+	}
 }
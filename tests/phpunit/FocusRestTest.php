@@ -0,0 +1,201 @@
+<?php
+/**
+ * Tests for Focus_Rest class.
+ *
+ * @package MWE_EtchWP_Enhancements\Tests
+ */
+
+declare(strict_types=1);
+
+namespace MWE\EtchWP_Enhancements\Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+
+/**
+ * Focus REST test class.
+ */
+class FocusRestTest extends TestCase {
+
+	/**
+	 * Set up the test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		require_once __DIR__ . '/stubs/class-wp-rest.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-helper.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-transfer.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-rest.php';
+
+		Functions\when( 'rest_ensure_response' )->alias(
+			function ( $data ) {
+				return new \WP_REST_Response( $data );
+			}
+		);
+		Functions\when( 'rest_authorization_required_code' )->justReturn( 403 );
+	}
+
+	/**
+	 * Get Focus_Rest instance.
+	 *
+	 * @return \MWE\EtchWP_Enhancements\Focus_Rest
+	 */
+	private function getInstance(): \MWE\EtchWP_Enhancements\Focus_Rest {
+		return \MWE\EtchWP_Enhancements\Focus_Rest::get_instance();
+	}
+
+	/**
+	 * Test that export and import get their own routes before the single override route, which would match them too.
+	 */
+	public function test_export_and_import_routes_are_registered_before_single_override(): void {
+		$routes = array();
+		Functions\when( 'register_rest_route' )->alias(
+			function ( $route_namespace, $route, $args ) use ( &$routes ) {
+				$routes[ $route ] = $args;
+				return true;
+			}
+		);
+
+		$rest = $this->getInstance();
+		$rest->register_routes();
+
+		$paths  = array_keys( $routes );
+		$single = array_search( '/posts/(?P<post_id>\d+)/focus-overrides/(?P<image_key>[A-Za-z0-9_:-]+)', $paths, true );
+		$export = array_search( '/posts/(?P<post_id>\d+)/focus-overrides/export', $paths, true );
+		$import = array_search( '/posts/(?P<post_id>\d+)/focus-overrides/import', $paths, true );
+
+		$this->assertNotFalse( $single );
+		$this->assertLessThan( $single, $export );
+		$this->assertLessThan( $single, $import );
+
+		$this->assertSame( array( $rest, 'export_overrides' ), $routes[ $paths[ $export ] ]['callback'] );
+		$this->assertSame( \WP_REST_Server::READABLE, $routes[ $paths[ $export ] ]['methods'] );
+		$this->assertSame( array( $rest, 'import_overrides' ), $routes[ $paths[ $import ] ]['callback'] );
+		$this->assertSame( \WP_REST_Server::CREATABLE, $routes[ $paths[ $import ] ]['methods'] );
+	}
+
+	/**
+	 * Test that the export and import callbacks return the documents of Focus_Transfer.
+	 */
+	public function test_export_and_import_return_transfer_documents(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\when( 'home_url' )->justReturn( 'https://example.com' );
+
+		$rest = $this->getInstance();
+
+		$export = $rest->export_overrides( new \WP_REST_Request( array( 'post_id' => 1 ) ) )->get_data();
+		$this->assertSame( 1, $export['post_id'] );
+		$this->assertSame( array(), $export['overrides'] );
+
+		$report = $rest->import_overrides(
+			new \WP_REST_Request(
+				array(
+					'post_id'   => 1,
+					'overrides' => array(),
+				)
+			)
+		)->get_data();
+		$this->assertSame( array(), $report['imported'] );
+		$this->assertEquals( new \stdClass(), $report['remapped'] );
+	}
+
+	/**
+	 * Test that a batch with one invalid focus point stores none of its items.
+	 */
+	public function test_batch_update_rejects_invalid_item_without_storing_any(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\expect( 'update_post_meta' )->never();
+
+		$result = $this->getInstance()->update_overrides(
+			new \WP_REST_Request(
+				array(
+					'post_id'   => 1,
+					'overrides' => array(
+						array(
+							'image_key'   => 'attachment_5',
+							'focus_point' => '30% 70%',
+						),
+						array(
+							'image_key'   => 'attachment_6',
+							'focus_point' => '130% 70%',
+						),
+					),
+				)
+			)
+		);
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'mwe_invalid_focus_point', $result->get_error_code() );
+		$this->assertSame(
+			array(
+				'status' => 400,
+				'index'  => 1,
+			),
+			$result->get_error_data()
+		);
+	}
+
+	/**
+	 * Test that overrides of a component the user can't edit are forbidden.
+	 */
+	public function test_component_override_requires_edit_rights_on_component(): void {
+		Functions\when( 'current_user_can' )->alias(
+			function ( $capability, $post_id = 0 ) {
+				return 12 !== $post_id;
+			}
+		);
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\expect( 'update_post_meta' )->never();
+
+		$rest = $this->getInstance();
+
+		$result = $rest->update_override(
+			new \WP_REST_Request(
+				array(
+					'post_id'     => 1,
+					'image_key'   => 'component_12:attachment_5',
+					'focus_point' => '30% 70%',
+					'breakpoint'  => 'desktop',
+				)
+			)
+		);
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'rest_forbidden', $result->get_error_code() );
+		$this->assertSame( array( 'status' => 403 ), $result->get_error_data() );
+
+		$result = $rest->update_overrides(
+			new \WP_REST_Request(
+				array(
+					'post_id'   => 1,
+					'overrides' => array(
+						array(
+							'image_key'   => 'attachment_5',
+							'focus_point' => '30% 70%',
+						),
+						array(
+							'image_key'   => 'component_12:attachment_5',
+							'focus_point' => '30% 70%',
+						),
+					),
+				)
+			)
+		);
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'rest_forbidden', $result->get_error_code() );
+	}
+
+	/**
+	 * Test that a URL lookup without a usable URL is rejected.
+	 */
+	public function test_global_focus_point_rejects_empty_url(): void {
+		Functions\when( 'esc_url_raw' )->justReturn( '' );
+
+		$result = $this->getInstance()->get_global_focus_point( new \WP_REST_Request( array( 'url' => 'javascript:alert(1)' ) ) );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'mwe_invalid_url', $result->get_error_code() );
+		$this->assertSame( array( 'status' => 400 ), $result->get_error_data() );
+	}
+}
@@ -0,0 +1,269 @@
+<?php
+/**
+ * Tests for Focus_Transfer class.
+ *
+ * @package MWE_EtchWP_Enhancements\Tests
+ */
+
+declare(strict_types=1);
+
+namespace MWE\EtchWP_Enhancements\Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+
+/**
+ * Focus Transfer test class.
+ */
+class FocusTransferTest extends TestCase {
+
+	/**
+	 * Set up the test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		require_once dirname( __DIR__, 2 ) . '/includes/class-helper.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ajax.php';
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-transfer.php';
+	}
+
+	/**
+	 * Test that an export carries the identity of attachment images only.
+	 */
+	public function test_export_includes_image_identity(): void {
+		Functions\when( 'home_url' )->justReturn( 'https://staging.example.com' );
+		Functions\when( 'wp_basename' )->alias( 'basename' );
+		Functions\when( 'wp_get_attachment_url' )->justReturn( 'https://staging.example.com/wp-content/uploads/2024/01/hero.jpg' );
+		Functions\when( 'wp_get_attachment_metadata' )->justReturn(
+			array(
+				'width'  => 1920,
+				'height' => 1080,
+			)
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id, $key ) {
+				if ( \MWE\EtchWP_Enhancements\Focus_Ajax::META_KEY === $key ) {
+					return array(
+						'loop_abc:attachment_5' => '30% 70%',
+						'url_def'               => '10% 10%',
+					);
+				}
+				return '_wp_attached_file' === $key ? '2024/01/hero.jpg' : '';
+			}
+		);
+
+		$export = \MWE\EtchWP_Enhancements\Focus_Transfer::get_instance()->export_overrides( 1 );
+
+		$this->assertSame( 1, $export['version'] );
+		$this->assertSame( 'loop_abc:attachment_5', $export['overrides'][0]['key'] );
+		$this->assertSame(
+			array(
+				'filename' => 'hero.jpg',
+				'file'     => '2024/01/hero.jpg',
+				'url'      => 'https://staging.example.com/wp-content/uploads/2024/01/hero.jpg',
+				'width'    => 1920,
+				'height'   => 1080,
+			),
+			$export['overrides'][0]['image']
+		);
+		$this->assertNull( $export['overrides'][1]['image'] );
+	}
+
+	/**
+	 * Test that import remaps attachment keys by filename and dimensions and reports the rest.
+	 */
+	public function test_import_remaps_keys_and_reports_unmatched(): void {
+		$meta = array();
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id ) use ( &$meta ) {
+				return $meta[ $id ] ?? '';
+			}
+		);
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$meta ) {
+				$meta[ $id ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'wp_basename' )->alias( 'basename' );
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 0 );
+		Functions\when( 'trailingslashit' )->alias(
+			function ( $value ) {
+				return rtrim( $value, '/' ) . '/';
+			}
+		);
+		Functions\when( 'wp_get_attachment_metadata' )->alias(
+			function ( $id ) {
+				return 42 === $id
+					? array(
+						'width'  => 1920,
+						'height' => 1080,
+					)
+					: array(
+						'width'  => 800,
+						'height' => 600,
+					);
+			}
+		);
+
+		// The staging URL is not found; by filename, hero.jpg is attachment 42
+		// on this site and other.jpg only exists in another size.
+		global $wpdb;
+		$wpdb           = \Mockery::mock( 'wpdb' );
+		$wpdb->postmeta = 'wp_postmeta';
+		$wpdb->posts    = 'wp_posts';
+		$wpdb->shouldReceive( 'esc_like' )->andReturnUsing(
+			function ( $value ) {
+				return $value;
+			}
+		);
+		$wpdb->shouldReceive( 'prepare' )->andReturnUsing(
+			function ( $query, ...$args ) {
+				return $args[1] ?? $args[0];
+			}
+		);
+		$wpdb->shouldReceive( 'get_var' )->andReturn( null );
+		$wpdb->shouldReceive( 'get_results' )->andReturn( array() );
+		$wpdb->shouldReceive( 'get_col' )->andReturnUsing(
+			function ( $filename ) {
+				return 'hero.jpg' === $filename ? array( '42' ) : array( '43' );
+			}
+		);
+
+		$report = \MWE\EtchWP_Enhancements\Focus_Transfer::get_instance()->import_overrides(
+			1,
+			array(
+				array(
+					'key'      => 'loop_abc:attachment_5',
+					'override' => array(
+						'desktop' => '30% 70%',
+						'mobile'  => '50% 20% 2x',
+					),
+					'image'    => array(
+						'filename' => 'hero.jpg',
+						'file'     => '2023/05/hero.jpg',
+						'url'      => 'https://staging.example.com/wp-content/uploads/2023/05/hero.jpg',
+						'width'    => 1920,
+						'height'   => 1080,
+					),
+				),
+				array(
+					'key'      => 'attachment_6',
+					'override' => '10% 10%',
+					'image'    => array(
+						'filename' => 'other.jpg',
+						'width'    => 1200,
+						'height'   => 900,
+					),
+				),
+				array(
+					'key'      => 'url_def',
+					'override' => '20% 20%',
+					'image'    => null,
+				),
+				array(
+					'key'      => 'attachment_7',
+					'override' => 'top left',
+					'image'    => null,
+				),
+			)
+		);
+
+		$this->assertSame( array( 'loop_abc:attachment_42', 'url_def' ), $report['imported'] );
+		$this->assertSame( array( 'loop_abc:attachment_5' => 'loop_abc:attachment_42' ), $report['remapped'] );
+		$this->assertSame( array( 'not_found', 'invalid' ), array_column( $report['unmatched'], 'reason' ) );
+		$this->assertSame( 'other.jpg', $report['unmatched'][0]['filename'] );
+		$this->assertSame(
+			array(
+				'loop_abc:attachment_42' => array(
+					'desktop' => '30% 70%',
+					'mobile'  => '50% 20% 2x',
+				),
+				'url_def'                => '20% 20%',
+			),
+			$meta[1]
+		);
+	}
+
+	/**
+	 * Test that component scopes are exported with their identity and remapped by slug on import.
+	 */
+	public function test_component_scopes_are_remapped_by_slug(): void {
+		$meta = array(
+			1 => array( 'component_7_2:url_def' => '30% 70%' ),
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id ) use ( &$meta ) {
+				return $meta[ $id ] ?? '';
+			}
+		);
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$meta ) {
+				$meta[ $id ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'home_url' )->justReturn( 'https://staging.example.com' );
+		Functions\when( 'sanitize_title' )->returnArg();
+		Functions\when( 'sanitize_key' )->returnArg();
+		Functions\when( 'current_user_can' )->justReturn( true );
+
+		$component            = \Mockery::mock( 'WP_Post' );
+		$component->post_name = 'hero-card';
+		$component->post_type = 'wp_block';
+		Functions\when( 'get_post' )->justReturn( $component );
+
+		$transfer = \MWE\EtchWP_Enhancements\Focus_Transfer::get_instance();
+		$export   = $transfer->export_overrides( 1 );
+
+		$this->assertSame(
+			array(
+				array(
+					'id'        => 7,
+					'slug'      => 'hero-card',
+					'post_type' => 'wp_block',
+				),
+			),
+			$export['overrides'][0]['components']
+		);
+
+		// On this site the component is post 17; other-card doesn't exist.
+		Functions\when( 'get_posts' )->alias(
+			function ( $args ) {
+				return 'hero-card' === $args['name'] ? array( 17 ) : array();
+			}
+		);
+
+		$report = $transfer->import_overrides(
+			2,
+			array(
+				$export['overrides'][0],
+				array(
+					'key'        => 'component_8:url_def',
+					'override'   => '10% 10%',
+					'image'      => null,
+					'components' => array(
+						array(
+							'id'        => 8,
+							'slug'      => 'other-card',
+							'post_type' => 'wp_block',
+						),
+					),
+				),
+				array(
+					'key'      => 'component_9_3:url_def',
+					'override' => '10% 10%',
+					'image'    => null,
+				),
+			)
+		);
+
+		$this->assertSame( array( 'component_17_2:url_def' ), $report['imported'] );
+		$this->assertSame( array( 'component_7_2:url_def' => 'component_17_2:url_def' ), $report['remapped'] );
+		$this->assertSame( array( 'component_not_found', 'component_not_found' ), array_column( $report['unmatched'], 'reason' ) );
+		$this->assertSame( array( 'component_17_2:url_def' => '30% 70%' ), $meta[2] );
+		$this->assertArrayNotHasKey( 8, $meta );
+	}
+}
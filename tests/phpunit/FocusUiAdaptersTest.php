@@ -0,0 +1,109 @@
+<?php
+/**
+ * Tests for Focus_UI_Adapters class.
+ *
+ * @package MWE_EtchWP_Enhancements\Tests
+ */
+
+declare(strict_types=1);
+
+namespace MWE\EtchWP_Enhancements\Tests;
+
+use Brain\Monkey\Filters;
+use Brain\Monkey\Functions;
+
+/**
+ * Focus UI Adapters test class.
+ */
+class FocusUiAdaptersTest extends TestCase {
+
+	/**
+	 * Set up the test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		require_once dirname( __DIR__, 2 ) . '/includes/class-focus-ui-adapters.php';
+
+		Functions\when( 'translate' )->returnArg();
+	}
+
+	/**
+	 * Test that the default adapter is used without registered adapters.
+	 */
+	public function test_default_adapter_without_registered_adapters(): void {
+		$adapter = \MWE\EtchWP_Enhancements\Focus_UI_Adapters::get_instance()->get_adapter( '1.0.0' );
+
+		$this->assertSame( 'etch', $adapter['id'] );
+		$this->assertSame( 'iframe[title="Etch Iframe"]', $adapter['selectors']['canvasIframe'] );
+		$this->assertSame( array( 'WP Media ID' ), $adapter['fields']['mediaId']['labels'] );
+		$this->assertContains( 'mediaId', $adapter['fields']['mediaId']['keys'] );
+		$this->assertContains( 'name', $adapter['keyAttributes'] );
+	}
+
+	/**
+	 * Test that an adapter can replace the attributes fields are identified by.
+	 */
+	public function test_adapter_overrides_key_attributes(): void {
+		Filters\expectApplied( 'mwe_etchwp_focus_ui_adapters' )->andReturn(
+			array(
+				array(
+					'id'            => 'etch-keys',
+					'keyAttributes' => array( 'data-etch-prop' ),
+					'fields'        => array( 'src' => array( 'keys' => array( 'imageSrc' ) ) ),
+				),
+			)
+		);
+
+		$adapter = \MWE\EtchWP_Enhancements\Focus_UI_Adapters::get_instance()->get_adapter( '1.0.0' );
+
+		$this->assertSame( array( 'data-etch-prop' ), $adapter['keyAttributes'] );
+		$this->assertSame( array( 'imageSrc' ), $adapter['fields']['src']['keys'] );
+		$this->assertSame( array( 'src' ), $adapter['fields']['src']['labels'] );
+	}
+
+	/**
+	 * Test that an adapter for a version range overrides the default adapter.
+	 */
+	public function test_versioned_adapter_overrides_default(): void {
+		Filters\expectApplied( 'mwe_etchwp_focus_ui_adapters' )->andReturn(
+			array(
+				array(
+					'id'        => 'etch-2',
+					'etch'      => array( 'min' => '2.0' ),
+					'selectors' => array( 'sidebar' => '.etch-inspector' ),
+					'fields'    => array( 'mediaId' => array( 'labels' => array( 'Media ID' ) ) ),
+				),
+			)
+		);
+
+		$instance = \MWE\EtchWP_Enhancements\Focus_UI_Adapters::get_instance();
+		$adapter  = $instance->get_adapter( '2.1.3' );
+
+		$this->assertSame( 'etch-2', $adapter['id'] );
+		$this->assertSame( '.etch-inspector', $adapter['selectors']['sidebar'] );
+		$this->assertSame( 'iframe[title="Etch Iframe"]', $adapter['selectors']['canvasIframe'] );
+		$this->assertSame( array( 'Media ID' ), $adapter['fields']['mediaId']['labels'] );
+		$this->assertStringContainsString( 'mediaId', $adapter['fields']['mediaId']['selector'] );
+
+		// Older and unknown versions keep the default adapter.
+		$this->assertSame( 'etch', $instance->get_adapter( '1.9' )['id'] );
+		$this->assertSame( 'etch', $instance->get_adapter( '' )['id'] );
+	}
+
+	/**
+	 * Test that field labels include their translation in the admin language.
+	 */
+	public function test_labels_include_translations(): void {
+		Functions\when( 'translate' )->alias(
+			function ( $text, $domain ) {
+				return 'etch' === $domain && 'WP Media ID' === $text ? 'WP-Medien-ID' : $text;
+			}
+		);
+
+		$adapter = \MWE\EtchWP_Enhancements\Focus_UI_Adapters::get_instance()->get_adapter( '1.0.0' );
+
+		$this->assertSame( array( 'WP Media ID', 'WP-Medien-ID' ), $adapter['fields']['mediaId']['labels'] );
+		$this->assertSame( array( 'src' ), $adapter['fields']['src']['labels'] );
+	}
+}
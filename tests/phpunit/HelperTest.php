@@ -104,6 +104,45 @@ class HelperTest extends TestCase {
 		$this->assertFalse( Helper::should_skip_responsive_images( 'etch/component' ) );
 	}
 
+	/**
+	 * Test get_component_id reads the component reference of etch/component blocks only.
+	 */
+	public function test_get_component_id(): void {
+		Functions\when( 'apply_filters' )->returnArg( 2 );
+
+		$this->assertSame(
+			7,
+			Helper::get_component_id(
+				array(
+					'blockName' => 'etch/component',
+					'attrs'     => array( 'ref' => '7' ),
+				)
+			)
+		);
+		$this->assertSame( 0, Helper::get_component_id( array( 'blockName' => 'etch/component' ) ) );
+		$this->assertSame(
+			0,
+			Helper::get_component_id(
+				array(
+					'blockName' => 'etch/element',
+					'attrs'     => array( 'ref' => 7 ),
+				)
+			)
+		);
+	}
+
+	/**
+	 * Test get_source_url reads the first srcset candidate, then src.
+	 */
+	public function test_get_source_url(): void {
+		$this->assertSame(
+			'https://example.com/wp-content/uploads/a-400x400.jpg',
+			Helper::get_source_url( '<source media="(max-width: 600px)" srcset="https://example.com/wp-content/uploads/a-400x400.jpg 400w, https://example.com/wp-content/uploads/a.jpg 800w">' )
+		);
+		$this->assertSame( '/wp-content/uploads/a.jpg?x=1&y=2', Helper::get_source_url( '<source src="/wp-content/uploads/a.jpg?x=1&amp;y=2">' ) );
+		$this->assertNull( Helper::get_source_url( '<source type="image/webp">' ) );
+	}
+
 	/**
 	 * Test get_attachment_id_from_url with cache hit.
 	 */
@@ -201,4 +201,38 @@ class ImageEnhancementTest extends TestCase {
 		$this->assertStringContainsString( 'data-decorative="true"', $result );
 		$this->assertStringNotContainsString( 'alt="-"', $result );
 	}
+
+	/**
+	 * Test that picture sources get missing attributes.
+	 */
+	public function test_filter_images_enhances_picture_sources(): void {
+		Functions\when( 'apply_filters' )->returnArg( 2 );
+		Functions\when( 'wp_parse_url' )->alias( 'parse_url' );
+		Functions\when( 'attachment_url_to_postid' )->justReturn( 123 );
+		Functions\when( 'wp_get_attachment_metadata' )->justReturn( array(
+			'width'  => 1920,
+			'height' => 1080,
+		) );
+		Functions\when( 'get_post' )->justReturn( (object) array( 'ID' => 123 ) );
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\when( 'wp_get_attachment_image_srcset' )->justReturn( 'square-400x400.jpg 400w, square-800x800.jpg 800w' );
+		Functions\when( 'wp_get_attachment_image_sizes' )->justReturn( '(max-width: 800px) 100vw, 800px' );
+
+		$instance = $this->getInstance();
+
+		$content = '<picture>'
+			. '<source media="(max-width: 600px)" srcset="https://example.com/wp-content/uploads/square-800x800.jpg">'
+			. '<source type="image/webp" srcset="https://example.com/wp-content/uploads/image.webp">'
+			. '<img src="https://example.com/wp-content/uploads/image.jpg" srcset="..." sizes="..." width="1920" height="1080" alt="Test">'
+			. '</picture>';
+		$block   = array( 'blockName' => 'etch/element' );
+
+		$result = $instance->filter_images( $content, $block );
+
+		// A single URL is expanded to all sizes of the crop, with its dimensions.
+		$this->assertStringContainsString( '<source width="800" height="800" sizes="(max-width: 800px) 100vw, 800px" media="(max-width: 600px)" srcset="square-400x400.jpg 400w, square-800x800.jpg 800w">', $result );
+
+		// Sources with a type keep their URL.
+		$this->assertStringContainsString( '<source width="1920" height="1080" type="image/webp" srcset="https://example.com/wp-content/uploads/image.webp">', $result );
+	}
 }
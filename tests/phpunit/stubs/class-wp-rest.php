@@ -0,0 +1,191 @@
+<?php
+/**
+ * Minimal WordPress REST API classes for the tests.
+ *
+ * Only what Focus_Rest uses: errors with data, array access to request
+ * parameters, response data and the method constants.
+ *
+ * @package MWE_EtchWP_Enhancements\Tests
+ */
+
+declare(strict_types=1);
+
+// phpcs:disable Generic.Files.OneObjectStructurePerFile.MultipleFound
+
+if ( ! class_exists( 'WP_Error' ) ) {
+	/**
+	 * WP_Error stub.
+	 */
+	class WP_Error {
+
+		/**
+		 * Error code.
+		 *
+		 * @var string
+		 */
+		private $code;
+
+		/**
+		 * Error message.
+		 *
+		 * @var string
+		 */
+		private $message;
+
+		/**
+		 * Error data.
+		 *
+		 * @var mixed
+		 */
+		private $data;
+
+		/**
+		 * Constructor.
+		 *
+		 * @param string $code    Error code.
+		 * @param string $message Error message.
+		 * @param mixed  $data    Error data.
+		 */
+		public function __construct( $code = '', $message = '', $data = '' ) {
+			$this->code    = $code;
+			$this->message = $message;
+			$this->data    = $data;
+		}
+
+		/**
+		 * Get the error code.
+		 *
+		 * @return string
+		 */
+		public function get_error_code() {
+			return $this->code;
+		}
+
+		/**
+		 * Get the error data.
+		 *
+		 * @return mixed
+		 */
+		public function get_error_data() {
+			return $this->data;
+		}
+
+		/**
+		 * Replace the error data.
+		 *
+		 * @param mixed $data Error data.
+		 */
+		public function add_data( $data ) {
+			$this->data = $data;
+		}
+	}
+}
+
+if ( ! class_exists( 'WP_REST_Request' ) ) {
+	/**
+	 * WP_REST_Request stub.
+	 */
+	class WP_REST_Request implements ArrayAccess {
+
+		/**
+		 * Request parameters.
+		 *
+		 * @var array
+		 */
+		private $params;
+
+		/**
+		 * Constructor.
+		 *
+		 * @param array $params Request parameters.
+		 */
+		public function __construct( array $params = array() ) {
+			$this->params = $params;
+		}
+
+		/**
+		 * Check whether a parameter is set.
+		 *
+		 * @param mixed $offset Parameter name.
+		 * @return bool
+		 */
+		public function offsetExists( $offset ): bool {
+			return isset( $this->params[ $offset ] );
+		}
+
+		/**
+		 * Get a parameter.
+		 *
+		 * @param mixed $offset Parameter name.
+		 * @return mixed
+		 */
+		#[\ReturnTypeWillChange]
+		public function offsetGet( $offset ) {
+			return $this->params[ $offset ] ?? null;
+		}
+
+		/**
+		 * Set a parameter.
+		 *
+		 * @param mixed $offset Parameter name.
+		 * @param mixed $value  Parameter value.
+		 */
+		public function offsetSet( $offset, $value ): void {
+			$this->params[ $offset ] = $value;
+		}
+
+		/**
+		 * Remove a parameter.
+		 *
+		 * @param mixed $offset Parameter name.
+		 */
+		public function offsetUnset( $offset ): void {
+			unset( $this->params[ $offset ] );
+		}
+	}
+}
+
+if ( ! class_exists( 'WP_REST_Response' ) ) {
+	/**
+	 * WP_REST_Response stub.
+	 */
+	class WP_REST_Response {
+
+		/**
+		 * Response data.
+		 *
+		 * @var mixed
+		 */
+		private $data;
+
+		/**
+		 * Constructor.
+		 *
+		 * @param mixed $data Response data.
+		 */
+		public function __construct( $data = null ) {
+			$this->data = $data;
+		}
+
+		/**
+		 * Get the response data.
+		 *
+		 * @return mixed
+		 */
+		public function get_data() {
+			return $this->data;
+		}
+	}
+}
+
+if ( ! class_exists( 'WP_REST_Server' ) ) {
+	/**
+	 * WP_REST_Server stub.
+	 */
+	class WP_REST_Server {
+		const READABLE  = 'GET';
+		const CREATABLE = 'POST';
+		const EDITABLE  = 'POST, PUT, PATCH';
+		const DELETABLE = 'DELETE';
+	}
+}